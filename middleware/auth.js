@@ -0,0 +1,108 @@
+/* ============================================================
+   AUTHENTICATION & ROLE CHECKS
+   Clients send `Authorization: Bearer <token>` from /api/auth/login.
+
+   Settings (environment):
+   - JWT_SECRET      required, signs session tokens
+   - JWT_EXPIRES_IN  token lifetime (default 7d)
+   - PLATFORM_ADMIN_EMAILS  comma-separated operators who can see
+                            every school (usage billing, quotas)
+============================================================ */
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+/**
+ * Issue a session token for a user.
+ */
+function signToken(user) {
+  return jwt.sign(
+    { sub: String(user._id), school: String(user.school), role: user.role },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+  );
+}
+
+/**
+ * Require a valid session. Sets req.user = { id, email, name, role, school }.
+ * The user is re-read on every request so deactivation and role changes apply at once.
+ */
+async function requireAuth(req, res, next) {
+  try {
+    if (!process.env.JWT_SECRET) {
+      console.error('❌ JWT_SECRET not configured');
+      return res.status(500).json({ error: 'Authentication not configured. Please set JWT_SECRET.' });
+    }
+
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ error: 'Session expired or invalid. Please log in again.' });
+    }
+
+    const user = await User.findById(payload.sub).select('email name role school active').lean();
+    if (!user || !user.active) {
+      return res.status(401).json({ error: 'Account not found or disabled' });
+    }
+
+    req.user = {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      school: user.school
+    };
+    next();
+  } catch (err) {
+    console.error('❌ Authentication error:', err);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+/**
+ * Allow only the given roles. Use after requireAuth.
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    next();
+  };
+}
+
+/**
+ * Is this user one of the deployment's operators (not tied to one school)?
+ */
+function isPlatformAdmin(user) {
+  const emails = (process.env.PLATFORM_ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
+  return Boolean(user) && emails.includes(user.email);
+}
+
+/**
+ * Allow only platform operators. Use after requireAuth.
+ */
+function requirePlatformAdmin(req, res, next) {
+  if (!isPlatformAdmin(req.user)) {
+    return res.status(403).json({ error: 'You do not have permission to do this' });
+  }
+  next();
+}
+
+module.exports = {
+  signToken,
+  requireAuth,
+  requireRole,
+  isPlatformAdmin,
+  requirePlatformAdmin
+};
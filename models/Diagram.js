@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One rendered diagram, shared by every document that contains it.
+// Keyed by the SHA-256 of its normalised, sanitised SVG
+// (services/diagramStore.js); the PNG lives in the "diagrams" GridFS bucket.
+const DiagramSchema = new mongoose.Schema({
+  hash: { type: String, required: true, unique: true },
+  svg: { type: String, required: true },
+  width: { type: Number },
+  height: { type: Number },
+  png: { type: mongoose.Schema.Types.ObjectId, default: null }, // GridFS file, once converted
+  spec: { type: mongoose.Schema.Types.Mixed },                   // Structured spec it was drawn from
+
+  // Library search: every caption and subject it has been used with
+  caption: { type: String, default: '' },
+  captions: { type: [String], default: [] },
+  subjects: { type: [String], default: [] },
+
+  // Schools whose teachers have generated it; the library only shows these
+  schools: [{ type: mongoose.Schema.Types.ObjectId, ref: 'School' }],
+  useCount: { type: Number, default: 1 },
+  lastUsedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+DiagramSchema.index({ schools: 1, lastUsedAt: -1 });
+DiagramSchema.index({ schools: 1, subjects: 1 });
+DiagramSchema.index(
+  { captions: 'text', subjects: 'text' },
+  { name: 'diagram_text', weights: { captions: 5, subjects: 1 } }
+);
+
+module.exports = mongoose.model('Diagram', DiagramSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const SectionSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  heading: { type: String, required: true },
+  content: { type: String, default: '' }
+}, { _id: false });
+
+// Mirrors the diagram objects returned by processDiagramsInContent().
+// New diagrams are references into the diagram store; documents saved
+// before it existed carry the image inline (base64/svgCode).
+const DiagramSchema = new mongoose.Schema({
+  index: { type: Number, required: true },
+  caption: { type: String, default: '' },
+  diagramId: { type: String },  // Content hash in the diagram store
+  url: { type: String },        // /api/diagrams/:diagramId
+  width: { type: Number },
+  height: { type: Number },
+  base64: { type: String },   // Inline PNG (older documents)
+  svgCode: { type: String },  // Inline SVG (older documents)
+  spec: { type: mongoose.Schema.Types.Mixed }, // Structured diagram spec it was drawn from
+  failed: { type: Boolean, default: false }
+}, { _id: false });
+
+// Snapshot of a previous generation, kept when a document is regenerated
+const VersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  content: { type: String, default: '' },
+  sections: { type: [SectionSchema], default: [] },
+  diagrams: { type: [DiagramSchema], default: [] },
+  plan: { type: mongoose.Schema.Types.Mixed },
+  prompt: { type: String, required: true },
+  model: { type: String },
+  generatedAt: { type: Date, required: true }
+}, { _id: false });
+
+const GeneratedDocumentSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  documentType: {
+    type: String,
+    required: true,
+    enum: ['lesson-plan', 'scheme-of-work', 'record-of-work', 'notes', 'custom'],
+    default: 'custom'
+  },
+
+  // Free-form output keeps [IMAGE_PLACEHOLDER_n] markers in `content`.
+  // Structured output (lesson plans etc.) is stored in `sections`.
+  content: { type: String, default: '' },
+  sections: { type: [SectionSchema], default: [] },
+  diagrams: { type: [DiagramSchema], default: [] },
+
+  // Week-by-week allocation behind a planned scheme of work
+  // (services/schemeOfWork.js); the sections are rendered from it
+  plan: { type: mongoose.Schema.Types.Mixed },
+
+  // What produced this version
+  prompt: { type: String, required: true },
+  model: { type: String },
+  version: { type: Number, default: 1 },
+  generatedAt: { type: Date, default: Date.now },
+
+  // Source syllabus, when the document was generated from one
+  syllabus: { type: mongoose.Schema.Types.ObjectId, ref: 'Syllabus', default: null },
+  topicId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  subtopicId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+  // Ownership
+  school: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // Previous generations, oldest first
+  versions: { type: [VersionSchema], default: [] }
+}, {
+  timestamps: true
+});
+
+GeneratedDocumentSchema.index({ school: 1, updatedAt: -1 });
+GeneratedDocumentSchema.index({ syllabus: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('GeneratedDocument', GeneratedDocumentSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const GenerationJobSchema = new mongoose.Schema({
+  // 'document' = free-form prompt, 'structured' = syllabus-driven document
+  kind: {
+    type: String,
+    required: true,
+    enum: ['document', 'structured']
+  },
+
+  status: {
+    type: String,
+    required: true,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+
+  // Who queued it; results are saved under the same owner
+  school: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // Request body the job was created with (prompt or syllabus references)
+  input: { type: mongoose.Schema.Types.Mixed, required: true },
+  llmOptions: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  // Retry bookkeeping
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  runAt: { type: Date, default: Date.now },   // Not picked up before this time (backoff)
+  lastError: { type: String },
+
+  // Set while a worker owns the job, used to recover jobs from crashed workers.
+  // lockedAt is refreshed while the job runs; slot is one of JOB_CONCURRENCY seats.
+  lockedAt: { type: Date },
+  lockedBy: { type: String },
+  slot: { type: Number },
+
+  cancelRequested: { type: Boolean, default: false },
+
+  result: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+  startedAt: { type: Date },
+  finishedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// Worker picks the oldest due job
+GenerationJobSchema.index({ status: 1, runAt: 1 });
+
+// One running job per slot, so claiming a slot enforces the concurrency limit
+GenerationJobSchema.index(
+  { slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'running', slot: { $exists: true } } }
+);
+
+// Finished jobs are removed after a week
+GenerationJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('GenerationJob', GenerationJobSchema);
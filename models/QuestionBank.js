@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// A specific competence (CBC) or outcome (OBC) in the bank's scope
+const ItemSchema = new mongoose.Schema({
+  kind: { type: String, required: true, enum: ['competence', 'outcome'] },
+  topicId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  subtopicId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  competenceId: { type: mongoose.Schema.Types.ObjectId },
+  outcomeIndex: { type: Number },
+  topic: { type: String },
+  subtopic: { type: String },
+  text: { type: String, required: true }
+}, { _id: false });
+
+const QuestionPartSchema = new mongoose.Schema({
+  question: { type: String, required: true },
+  marks: { type: Number, required: true },
+  answer: { type: String, default: '' }
+}, { _id: false });
+
+const QuestionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['multiple-choice', 'short-answer', 'structured']
+  },
+  question: { type: String, required: true },
+  options: { type: [String], default: undefined },   // Multiple choice only
+  correctOption: { type: Number },                    // Index into options
+  answer: { type: String, default: '' },
+  marks: { type: Number, required: true },
+  markingScheme: { type: [String], default: [] },
+  parts: { type: [QuestionPartSchema], default: undefined }, // Structured only
+
+  // Curriculum items the question tests (at least one)
+  assesses: {
+    type: [ItemSchema],
+    validate: {
+      validator: v => v.length > 0,
+      message: 'A question must assess at least one competence or outcome'
+    }
+  }
+});
+
+// Reusable questions generated for selected subtopics of a syllabus
+const QuestionBankSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  assessmentType: {
+    type: String,
+    required: true,
+    enum: ['quiz', 'test', 'end-of-term']
+  },
+
+  syllabus: { type: mongoose.Schema.Types.ObjectId, ref: 'Syllabus', required: true },
+  subject: { type: String },
+  curriculumType: { type: String, enum: ['cbc', 'obc'] },
+  level: { type: String },
+
+  // Everything selected for the bank, so untested items can be reported
+  subtopics: {
+    type: [{
+      _id: false,
+      topicId: mongoose.Schema.Types.ObjectId,
+      subtopicId: mongoose.Schema.Types.ObjectId,
+      topic: String,
+      subtopic: String
+    }],
+    default: []
+  },
+  items: { type: [ItemSchema], default: [] },
+
+  questions: { type: [QuestionSchema], default: [] },
+
+  // What produced the questions
+  prompt: { type: String, required: true },
+  model: { type: String },
+
+  school: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+  timestamps: true
+});
+
+QuestionBankSchema.index({ school: 1, updatedAt: -1 });
+QuestionBankSchema.index({ syllabus: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('QuestionBank', QuestionBankSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const SchoolSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+
+  // Letterhead details used by document exports
+  address: { type: String, default: '' },
+  contact: { type: String, default: '' },
+  motto: { type: String, default: '' },
+  logoBase64: { type: String, default: '' }, // PNG
+
+  // AI token quotas. null = use the deployment default from the environment, 0 = unlimited
+  quotas: {
+    dailyTokens: { type: Number, default: null },
+    monthlyTokens: { type: Number, default: null },
+    userDailyTokens: { type: Number, default: null },
+    userMonthlyTokens: { type: Number, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('School', SchoolSchema);
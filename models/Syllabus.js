@@ -11,6 +11,8 @@ const SubtopicSchema = new mongoose.Schema({
   
   // --- CBC FIELDS ---
   specificCompetences: { type: [SpecificCompetenceSchema], default: [] },
+  keyCompetences: { type: [String], default: [] },    // "Key Competences" column
+  resources: { type: [String], default: [] },         // "Resources" / materials column
   
   // --- OBC FIELDS ---
   specificOutcomes: { type: [String], default: [] },  // "Specific Outcomes"
@@ -33,7 +35,7 @@ const SyllabusSchema = new mongoose.Schema({
   },
   
   // ✨ NEW: Education category (Early Childhood, Primary, Secondary)
-  // Note: Only used for CBC. OBC doesn't have categories.
+  // Note: Only used for CBC, and for OBC grade ranges within one stage ("10-12").
   category: { 
     type: String, 
     required: false,
@@ -61,7 +63,7 @@ const SyllabusSchema = new mongoose.Schema({
   
   form: { 
     type: String, 
-    required: false  // For Secondary (e.g., "1", "2", "3", "4")
+    required: false  // For Secondary (e.g., "1", "2", "3", "4", or a range like "1-4")
   },
   
   // DEPRECATED: Keep for backward compatibility with old data
@@ -70,10 +72,54 @@ const SyllabusSchema = new mongoose.Schema({
     required: false  // Old field - no longer used for new uploads
   },
   
-  topics: [TopicSchema]
+  topics: [TopicSchema],
+
+  // Owning school. null = shared syllabus uploaded before schools existed,
+  // readable by every school but only editable through the database.
+  school: { type: mongoose.Schema.Types.ObjectId, ref: 'School', default: null, index: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  // Revisions of the same curriculum (services/syllabusVersions.js):
+  // one lineage per school + curriculum + level + subject, numbered
+  // from 1, with one version active. null = not migrated yet.
+  lineage: { type: String, default: null },
+  version: { type: Number, default: 1 },
+  active: { type: Boolean, default: true },
+
+  // Hash of the topic tree, for finding re-uploads of the same syllabus.
+  // Kept up to date on save; null = saved before fingerprints existed.
+  fingerprint: { type: String, default: null }
 }, { 
   timestamps: true // ✅ AUTOMATICALLY manages createdAt and updatedAt
 });
 
+// List filters, newest first with _id as the cursor tie-breaker
+SyllabusSchema.index({ school: 1, createdAt: -1, _id: -1 });
+SyllabusSchema.index({ school: 1, curriculumType: 1, category: 1, createdAt: -1 });
+SyllabusSchema.index({ school: 1, subject: 1 });
+SyllabusSchema.index(
+  { school: 1, lineage: 1, version: -1 },
+  { unique: true, partialFilterExpression: { lineage: { $type: 'string' } } }
+);
+
+// Full-text search (only one text index is allowed per collection)
+SyllabusSchema.index({
+  subject: 'text',
+  'topics.name': 'text',
+  'topics.subtopics.name': 'text',
+  'topics.subtopics.specificCompetences.description': 'text',
+  'topics.subtopics.specificOutcomes': 'text'
+}, {
+  name: 'syllabus_text',
+  weights: {
+    subject: 10,
+    'topics.name': 5,
+    'topics.subtopics.name': 3,
+    'topics.subtopics.specificCompetences.description': 1,
+    'topics.subtopics.specificOutcomes': 1
+  }
+});
+
 // ✅ CORRECT EXPORT
 module.exports = mongoose.model('Syllabus', SyllabusSchema);
+module.exports.TopicSchema = TopicSchema; // Shared with upload drafts
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { TopicSchema } = require('./Syllabus');
+
+const DRAFT_TTL_HOURS = Number(process.env.SYLLABUS_DRAFT_TTL_HOURS) || 24;
+
+// A parsed upload waiting to be reviewed and confirmed into a Syllabus
+const SyllabusDraftSchema = new mongoose.Schema({
+  school: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  fileName: { type: String },
+
+  // Same shape as Syllabus so confirming is a straight copy
+  subject: { type: String },
+  curriculumType: { type: String, required: true, enum: ['cbc', 'obc'] },
+  category: { type: String },
+  yearRange: { type: String },
+  grade: { type: String },
+  form: { type: String },
+  gradeRange: { type: String },
+  topics: [TopicSchema],
+
+  // Lineage key and topic fingerprint (services/syllabusVersions.js),
+  // so a batch upload can find a pending draft of the same syllabus
+  lineage: { type: String },
+  fingerprint: { type: String },
+
+  // Parse statistics shown in the preview (counts, skipped rows, orphans)
+  stats: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  // Problems found while parsing and a confidence score (see services/parseDiagnostics)
+  diagnostics: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  // Level and subject read from the title page, with the text they came from
+  suggestions: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  // Unconfirmed drafts are removed by MongoDB after this time
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + DRAFT_TTL_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+SyllabusDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SyllabusDraftSchema.index({ school: 1, createdAt: -1 });
+SyllabusDraftSchema.index({ school: 1, lineage: 1, fingerprint: 1 });
+
+module.exports = mongoose.model('SyllabusDraft', SyllabusDraftSchema);
+module.exports.DRAFT_TTL_HOURS = DRAFT_TTL_HOURS;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Audit log of in-place edits to a syllabus tree
+const SyllabusEditSchema = new mongoose.Schema({
+  syllabus: { type: mongoose.Schema.Types.ObjectId, ref: 'Syllabus', required: true },
+  school: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  userName: { type: String }, // Kept so the log stays readable if the account is removed
+
+  // <topic|subtopic|competence|outcome>.<add|update|delete>, e.g. subtopic.update
+  // (reordering is an update with a new position)
+  action: { type: String, required: true },
+
+  // Where in the tree the edit happened
+  target: {
+    topicId: { type: mongoose.Schema.Types.ObjectId },
+    subtopicId: { type: mongoose.Schema.Types.ObjectId },
+    competenceId: { type: mongoose.Schema.Types.ObjectId },
+    outcomeIndex: { type: Number }
+  },
+
+  // Snapshots of the edited item (null for add/delete respectively)
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+SyllabusEditSchema.index({ syllabus: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SyllabusEdit', SyllabusEditSchema);
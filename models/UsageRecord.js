@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One row per AI call, used for quotas and billing reports
+const UsageRecordSchema = new mongoose.Schema({
+  school: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  provider: { type: String, required: true },
+  model: { type: String },
+  purpose: { type: String, default: 'generate' }, // e.g. generate, stream, structured, regenerate, job, assessment
+
+  inputTokens: { type: Number, default: 0 },
+  outputTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+UsageRecordSchema.index({ school: 1, createdAt: -1 });
+UsageRecordSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsageRecord', UsageRecordSchema);
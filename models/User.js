@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['admin', 'hod', 'teacher'];
+
+const UserSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email address is not valid']
+  },
+  passwordHash: { type: String, required: true },
+  name: { type: String, required: true, trim: true },
+
+  // admin = school administrator, hod = head of department, teacher
+  role: { type: String, required: true, enum: ROLES, default: 'teacher' },
+  department: { type: String, default: '' },
+
+  school: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+// Never send password hashes to the client
+UserSchema.set('toJSON', {
+  transform(doc, ret) {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+UserSchema.index({ school: 1, role: 1 });
+
+module.exports = mongoose.model('User', UserSchema);
+module.exports.ROLES = ROLES;
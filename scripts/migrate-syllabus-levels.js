@@ -0,0 +1,84 @@
+/* ============================================================
+   MIGRATION: Normalise syllabus level fields
+   Moves the deprecated gradeRange into category/grade/form/
+   yearRange, strips "Form"/"Grade" prefixes and removes the
+   form defaults the parsers used to add ('Form 1' on CBC,
+   'Grade 10' on OBC) where they contradict the record.
+
+   npm run migrate:levels               apply
+   npm run migrate:levels -- --dry-run  only report
+============================================================ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Syllabus = require('../models/Syllabus');
+const { normaliseLevel } = require('../services/syllabusLevel');
+
+const LEVEL_FIELDS = ['category', 'yearRange', 'grade', 'form', 'gradeRange'];
+
+async function migrate() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+  console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}`);
+
+  let checked = 0;
+  let changed = 0;
+  let unresolved = 0;
+
+  const cursor = Syllabus.find()
+    .select(['subject', 'curriculumType', ...LEVEL_FIELDS].join(' '))
+    .lean()
+    .cursor();
+
+  for await (const syllabus of cursor) {
+    checked++;
+
+    const normalised = normaliseLevel(syllabus);
+    const $set = {};
+    const $unset = {};
+
+    LEVEL_FIELDS.forEach(field => {
+      const before = syllabus[field] || undefined;
+      const after = normalised[field];
+      if (before === after) return;
+
+      if (after === undefined) $unset[field] = '';
+      else $set[field] = after;
+    });
+
+    if (normalised.gradeRange) {
+      unresolved++;
+      console.log(`⚠️ ${syllabus._id} (${syllabus.subject}): could not read gradeRange "${normalised.gradeRange}"`);
+    }
+
+    if (!Object.keys($set).length && !Object.keys($unset).length) continue;
+    changed++;
+
+    const summary = LEVEL_FIELDS
+      .filter(field => field in $set || field in $unset)
+      .map(field => `${field}: ${JSON.stringify(syllabus[field] ?? null)} -> ${JSON.stringify(normalised[field] ?? null)}`)
+      .join(', ');
+    console.log(`✏️ ${syllabus._id} (${syllabus.subject}): ${summary}`);
+
+    if (!dryRun) {
+      await Syllabus.updateOne(
+        { _id: syllabus._id },
+        {
+          ...(Object.keys($set).length && { $set }),
+          ...(Object.keys($unset).length && { $unset })
+        },
+        { timestamps: false }
+      );
+    }
+  }
+
+  console.log(`✅ Checked ${checked} syllabi, ${dryRun ? 'would update' : 'updated'} ${changed}, ${unresolved} with unreadable gradeRange left as is`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,75 @@
+/* ============================================================
+   MIGRATION: Group existing syllabi into versioned lineages
+   Gives every syllabus saved before versioning its lineage
+   (school + curriculum + level + subject) and a version number
+   in upload order. The newest of a lineage is left active.
+   Run after migrate:levels, so the level fields are normalised.
+
+   npm run migrate:versions               apply
+   npm run migrate:versions -- --dry-run  only report
+============================================================ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Syllabus = require('../models/Syllabus');
+const { lineageKey } = require('../services/syllabusVersions');
+
+async function migrate() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+  console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}`);
+
+  // school|lineage -> syllabi without a lineage, oldest first
+  const groups = new Map();
+  let checked = 0;
+
+  const cursor = Syllabus.find({ lineage: { $not: { $type: 'string' } } })
+    .select('subject curriculumType category yearRange grade form gradeRange school createdAt')
+    .sort({ createdAt: 1, _id: 1 })
+    .lean()
+    .cursor();
+
+  for await (const syllabus of cursor) {
+    checked++;
+    const lineage = lineageKey(syllabus);
+    const key = `${syllabus.school || 'shared'}|${lineage}`;
+    if (!groups.has(key)) groups.set(key, { school: syllabus.school || null, lineage, syllabi: [] });
+    groups.get(key).syllabi.push(syllabus);
+  }
+
+  let updated = 0;
+
+  for (const { school, lineage, syllabi } of groups.values()) {
+    // Versions saved since versioning went live keep their numbers and active flag
+    const latest = await Syllabus.findOne({ school, lineage }).sort({ version: -1 }).select('version').lean();
+    const first = latest ? latest.version + 1 : 1;
+    if (latest) {
+      console.log(`⚠️ ${lineage}: already has ${latest.version} version(s); older uploads are added after them, inactive`);
+    }
+
+    for (const [index, syllabus] of syllabi.entries()) {
+      const version = first + index;
+      const active = !latest && index === syllabi.length - 1;
+      console.log(`✏️ ${syllabus._id} (${syllabus.subject}): ${lineage} v${version}${active ? ' (active)' : ''}`);
+      updated++;
+
+      if (!dryRun) {
+        await Syllabus.updateOne(
+          { _id: syllabus._id },
+          { $set: { lineage, version, active } },
+          { timestamps: false }
+        );
+      }
+    }
+  }
+
+  console.log(`✅ Checked ${checked} syllabi in ${groups.size} lineages, ${dryRun ? 'would update' : 'updated'} ${updated}`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
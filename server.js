@@ -8,133 +8,57 @@ const mammoth = require('mammoth');
 const cheerio = require('cheerio');
 
 const Syllabus = require('./models/Syllabus');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const fs = require('fs').promises;
-const path = require('path');
-
-const execAsync = promisify(exec);
+const GeneratedDocument = require('./models/GeneratedDocument');
+const GenerationJob = require('./models/GenerationJob');
+const School = require('./models/School');
+const User = require('./models/User');
+const SyllabusEdit = require('./models/SyllabusEdit');
+const SyllabusDraft = require('./models/SyllabusDraft');
+const QuestionBank = require('./models/QuestionBank');
+const Diagram = require('./models/Diagram');
+const {
+  signToken,
+  requireAuth,
+  requireRole,
+  isPlatformAdmin,
+  requirePlatformAdmin
+} = require('./middleware/auth');
+const { getQuotaStatus, enforceQuota, recordUsage, usageReport } = require('./services/usage');
+const {
+  DOCUMENT_TYPES,
+  describeLevel,
+  findSyllabusSection,
+  extractCurriculum,
+  buildDocumentPrompt,
+  parseStructuredDocument
+} = require('./services/documentBuilder');
+const llm = require('./services/llm');
+const jobQueue = require('./services/jobQueue');
+const syllabusEditor = require('./services/syllabusEditor');
+const { createCollector, recordNumber, buildDiagnostics } = require('./services/parseDiagnostics');
+const { readPdfSyllabus } = require('./services/pdfSyllabus');
+const {
+  detectLevelAndSubject,
+  detectCurriculum,
+  fileNameLines,
+  detectFromFileName,
+  normaliseLevel
+} = require('./services/syllabusLevel');
+const syllabusSearch = require('./services/syllabusSearch');
+const syllabusTransfer = require('./services/syllabusTransfer');
+const syllabusVersions = require('./services/syllabusVersions');
+const syllabusBatch = require('./services/syllabusBatch');
+const schemeOfWork = require('./services/schemeOfWork');
+const assessments = require('./services/assessmentBuilder');
+const { buildDocx, buildSyllabusDocx } = require('./services/docxExport');
+const { buildPdf } = require('./services/pdfExport');
+const { hasDiagramBlocks, processDiagramsInContent } = require('./services/diagrams');
+const { DIAGRAM_SPEC_GUIDE } = require('./services/diagramSpec');
+const diagramStore = require('./services/diagramStore');
+const bcrypt = require('bcryptjs');
 
 const app = express();
 
-/* -----------------------------
-   SVG TO PNG CONVERSION UTILITIES
------------------------------- */
-
-/**
- * Extract SVG diagrams from generated content
- * Format: [SVG_DIAGRAM_START]...<svg>...</svg>...[SVG_DIAGRAM_END][DIAGRAM_CAPTION]: caption text
- */
-function extractSvgDiagrams(content) {
-  const diagrams = [];
-  const svgRegex = /\[SVG_DIAGRAM_START\]([\s\S]*?)\[SVG_DIAGRAM_END\]\s*\[DIAGRAM_CAPTION\]:\s*(.+?)(?=\n|$)/g;
-  
-  let match;
-  while ((match = svgRegex.exec(content)) !== null) {
-    const svgCode = match[1].trim();
-    const caption = match[2].trim();
-    diagrams.push({ svgCode, caption });
-  }
-  
-  console.log(`📊 Extracted ${diagrams.length} SVG diagrams from content`);
-  return diagrams;
-}
-
-/**
- * Convert SVG code to PNG buffer using various methods
- * Tries multiple approaches for Railway compatibility
- */
-async function convertSvgToPng(svgCode, index) {
-  const tempDir = '/tmp';
-  const svgPath = path.join(tempDir, `diagram_${index}_${Date.now()}.svg`);
-  const pngPath = path.join(tempDir, `diagram_${index}_${Date.now()}.png`);
-  
-  try {
-    // Write SVG to temp file
-    await fs.writeFile(svgPath, svgCode);
-    console.log(`📝 Wrote SVG to ${svgPath}`);
-    
-    // Method 1: Try using rsvg-convert (librsvg - lightweight, often available)
-    try {
-      await execAsync(`rsvg-convert -w 800 -h 600 "${svgPath}" -o "${pngPath}"`);
-      console.log(`✅ Converted SVG using rsvg-convert`);
-    } catch (err) {
-      console.log(`⚠️ rsvg-convert not available, trying imagemagick...`);
-      
-      // Method 2: Try ImageMagick
-      try {
-        await execAsync(`convert -density 150 "${svgPath}" -resize 800x600 "${pngPath}"`);
-        console.log(`✅ Converted SVG using imagemagick`);
-      } catch (err2) {
-        console.log(`⚠️ ImageMagick not available, trying inkscape...`);
-        
-        // Method 3: Try Inkscape
-        try {
-          await execAsync(`inkscape "${svgPath}" --export-png="${pngPath}" --export-width=800`);
-          console.log(`✅ Converted SVG using inkscape`);
-        } catch (err3) {
-          console.error(`❌ All conversion methods failed`);
-          // Return null to indicate conversion failed
-          return null;
-        }
-      }
-    }
-    
-    // Read the PNG file
-    const pngBuffer = await fs.readFile(pngPath);
-    
-    // Cleanup temp files
-    await fs.unlink(svgPath).catch(() => {});
-    await fs.unlink(pngPath).catch(() => {});
-    
-    return pngBuffer;
-    
-  } catch (error) {
-    console.error(`❌ Error converting SVG to PNG:`, error.message);
-    // Cleanup on error
-    await fs.unlink(svgPath).catch(() => {});
-    await fs.unlink(pngPath).catch(() => {});
-    return null;
-  }
-}
-
-/**
- * Process content and convert SVG diagrams to Base64 PNG
- * Returns: { processedContent, diagrams: [{base64, caption}] }
- */
-async function processDiagramsInContent(content) {
-  const diagrams = extractSvgDiagrams(content);
-  const processedDiagrams = [];
-  
-  for (let i = 0; i < diagrams.length; i++) {
-    const { svgCode, caption } = diagrams[i];
-    console.log(`🔄 Converting diagram ${i + 1}/${diagrams.length}...`);
-    
-    const pngBuffer = await convertSvgToPng(svgCode, i);
-    
-    if (pngBuffer) {
-      const base64 = pngBuffer.toString('base64');
-      processedDiagrams.push({ base64, caption, index: i });
-      console.log(`✅ Diagram ${i + 1} converted successfully`);
-    } else {
-      console.log(`⚠️ Diagram ${i + 1} conversion failed, will include SVG code as text`);
-      processedDiagrams.push({ svgCode, caption, index: i, failed: true });
-    }
-  }
-  
-  // Remove SVG diagram blocks from content and replace with placeholders
-  let processedContent = content.replace(
-    /\[SVG_DIAGRAM_START\][\s\S]*?\[SVG_DIAGRAM_END\]\s*\[DIAGRAM_CAPTION\]:\s*.+?(?=\n|$)/g,
-    (match, offset) => {
-      // Find which diagram index this is
-      const index = processedContent.substring(0, offset).match(/\[SVG_DIAGRAM_START\]/g)?.length || 0;
-      return `[IMAGE_PLACEHOLDER_${index}]`;
-    }
-  );
-  
-  return { processedContent, diagrams: processedDiagrams };
-}
-
 /* -----------------------------
    CORS CONFIG (STACKBLITZ + LOCAL)
 ------------------------------ */
@@ -143,11 +67,12 @@ app.use(cors({
     'http://localhost:5173',
     'https://vitejsviterbquwxee-oc5q--5173--31fc58ec.local-credentialless.webcontainer.io'
   ],
-  methods: ['GET', 'POST', 'DELETE'],
-  allowedHeaders: ['Content-Type']
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Content-Disposition', 'X-Next-Cursor'] // Export file names, list pagination
 }));
 
-app.use(express.json());
+app.use(express.json({ limit: '20mb' })); // Saved documents carry base64 diagrams
 
 /* -----------------------------
    DATABASE CONNECTION
@@ -159,20 +84,40 @@ mongoose.connect(process.env.MONGODB_URI, {
   socketTimeoutMS: 45000, // 45 seconds timeout for socket operations
   maxPoolSize: 10, // Maximum connection pool size
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+  jobQueue.start(runGenerationJob);
+})
 .catch(err => {
   console.error('❌ MongoDB connection error');
   console.error(err);
 });
 
 /* -----------------------------
-   FILE UPLOAD (DOCX ONLY)
+   FILE UPLOAD (DOCX / PDF)
 ------------------------------ */
 const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
   fileFilter(req, file, cb) {
-    if (!file.originalname.toLowerCase().endsWith('.docx')) {
-      return cb(new Error('Only Word (.docx) files are allowed'));
+    if (!/\.(docx|pdf)$/i.test(file.originalname)) {
+      return cb(new Error('Only Word (.docx) or PDF files are allowed'));
+    }
+    cb(null, true);
+  }
+});
+
+// Batch uploads: unsupported files are reported per file, not rejected
+const MAX_BATCH_UPLOADS = 20;
+const batchUpload = multer({
+  limits: { fileSize: 25 * 1024 * 1024, files: MAX_BATCH_UPLOADS } // ZIPs of many syllabi
+});
+
+// Syllabus imports (JSON or CSV exports, see services/syllabusTransfer.js)
+const importUpload = multer({
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+  fileFilter(req, file, cb) {
+    if (!/\.(json|csv)$/i.test(file.originalname)) {
+      return cb(new Error('Only JSON (.json) or CSV (.csv) files are allowed'));
     }
     cb(null, true);
   }
@@ -203,6 +148,7 @@ function splitBulletContent(html) {
 
   let text = html
     .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n')
     .replace(/<li>/gi, '\n•')
     .replace(/<\/li>/gi, '')
     .replace(/<[^>]+>/g, '')
@@ -253,13 +199,99 @@ function isHeaderRow(cells) {
   );
 }
 
+/* ---- Helper: Field a header cell names (null if unknown) ---- */
+// Order matters: "Sub-topic" also contains "topic", "Key competences" "competence"
+const CBC_HEADER_FIELDS = [
+  ['subtopic', /sub[\s-]*topic/],
+  ['keyCompetences', /key\s*competenc/],
+  ['specificCompetences', /specific\s*competenc/],
+  ['learningActivities', /learning\s*activit/],
+  ['expectedStandards', /expected\s*standard/],
+  ['resources', /resource|material/],
+  ['topic', /topic/]
+];
+
+// OBC "Content" is usually split into Knowledge / Skills / Values columns
+const OBC_HEADER_FIELDS = [
+  ['subtopic', /sub[\s-]*topic/],
+  ['specificOutcomes', /outcome/],
+  ['knowledge', /knowledge/],
+  ['skills', /skill/],
+  ['values', /value|attitude/],
+  ['content', /content/],
+  ['topic', /topic/]
+];
+
+function headerField(text, fields) {
+  const lower = text.toLowerCase().replace(/\s+/g, ' ');
+  const match = fields.find(([, pattern]) => pattern.test(lower));
+  return match ? match[0] : null;
+}
+
+/* ---- Helper: Column index of each field named in a header row ---- */
+function buildColumnMap(cellTexts, fields = CBC_HEADER_FIELDS) {
+  const map = {};
+  cellTexts.forEach((text, index) => {
+    const field = headerField(text, fields);
+    if (field && map[field] === undefined) map[field] = index;
+  });
+  return map;
+}
+
+/**
+ * Expand a table's rowspan/colspan cells into a full grid so every
+ * cell sits under its real column. mammoth leaves out the cells that
+ * Word merged vertically; without this, later cells shift left.
+ * A rowspan copies the cell into the rows below (so topics and
+ * competences carry down); colspan copies stay empty to avoid
+ * duplicating text into the neighbouring columns.
+ */
+function expandTableGrid($, table) {
+  const rows = $(table).find('tr').filter((i, tr) => $(tr).closest('table').get(0) === table).toArray();
+  const grid = rows.map(() => []);
+
+  rows.forEach((tr, rowIndex) => {
+    let column = 0;
+
+    $(tr).children('td, th').each((i, cell) => {
+      while (grid[rowIndex][column]) column++;
+
+      const html = $(cell).html() || '';
+      const rowspan = Math.min(Math.max(parseInt($(cell).attr('rowspan'), 10) || 1, 1), rows.length - rowIndex);
+      const colspan = Math.max(parseInt($(cell).attr('colspan'), 10) || 1, 1);
+
+      for (let r = 0; r < rowspan; r++) {
+        for (let c = 0; c < colspan; c++) {
+          grid[rowIndex + r][column + c] = c === 0
+            ? { html, text: extractText(html) }
+            : { html: '', text: '' };
+        }
+      }
+      column += colspan;
+    });
+  });
+
+  return grid.map(row => Array.from(row, cell => cell || { html: '', text: '' }));
+}
+
+/* ---- Helper: Add items to a list, skipping ones already there ---- */
+function addUnique(list, items) {
+  items.forEach(item => {
+    if (!list.includes(item)) list.push(item);
+  });
+}
+
 /* ============================================================
    CBC SYLLABUS TABLE PARSER
    Parses HTML tables from mammoth.convertToHtml()
-   
-   KEY INSIGHT: Mammoth shifts cells left when Word has merged cells.
-   So we detect content by NUMBERING PATTERN, not column position.
-   
+
+   Merged Word cells are expanded back into their columns first.
+   When a table has a header row, every field is read from the
+   column its header names (including Key Competences and
+   Resources). Tables without a recognisable header fall back to
+   NUMBERING PATTERN detection, with learning activities and
+   expected standards in the two cells after the competence.
+
    Numbering:
    - X.Y = Topic (2 parts)
    - X.Y.Z = Subtopic (3 parts)  
@@ -271,107 +303,185 @@ function parseCBCSyllabusTable(html, subject) {
   const topics = [];
   let currentTopic = null;
   let currentSubtopic = null;
+  let currentCompetence = null;
   let rowCount = 0;
+  let rowNumber = 0;
+
+  // Reported back with the draft so a bad parse is visible before saving
+  const stats = {
+    tableRows: 0,
+    headerRowsSkipped: 0,
+    tablesWithHeaders: 0,
+    orphanedCompetences: [] // Competences seen before any subtopic
+  };
+  const diagnostics = createCollector();
+  const newCompetences = []; // { location, competence } checked for empty activities at the end
+
+  $('table').each((tableIndex, table) => {
+    // Column meaning, from this table's header row(s)
+    let columnMap = null;
+
+    expandTableGrid($, table).forEach(cells => {
+      // Rows are counted from 1 across all tables in the document
+      const location = { row: ++rowNumber };
+
+      if (cells.length < 2) return;
+      stats.tableRows++;
+
+      const cellTexts = cells.map(cell => cell.text);
+      const cellHtmls = cells.map(cell => cell.html);
+
+      // Header rows are not data, but they tell us what each column holds
+      if (isHeaderRow(cellTexts)) {
+        stats.headerRowsSkipped++;
+        const map = buildColumnMap(cellTexts);
+        if (map.specificCompetences !== undefined || columnMap) {
+          if (!columnMap) stats.tablesWithHeaders++;
+          columnMap = { ...columnMap, ...map };
+        }
+        return;
+      }
 
-  // Process each table row
-  $('table tr').each((rowIndex, row) => {
-    const cells = $(row).find('td, th');
-    
-    if (cells.length < 2) return;
-
-    // Extract text from all cells
-    const cellTexts = [];
-    const cellHtmls = [];
-    cells.each((i, cell) => {
-      cellTexts.push(extractText($(cell).html()));
-      cellHtmls.push($(cell).html() || '');
-    });
+      // Log first 15 rows for debugging
+      if (rowCount < 15) {
+        console.log(`Row ${rowCount}:`, cellTexts.map(t => t.substring(0, 40)));
+      }
+      rowCount++;
+
+      // Analyze each cell to find Topic, Subtopic, Competence by numbering
+      let foundTopic = null;
+      let foundSubtopic = null;
+      let foundCompetence = null;
+      let competenceIndex = -1;
+
+      for (let i = 0; i < cellTexts.length; i++) {
+        const info = getNumberingInfo(cellTexts[i]);
+
+        if (info.level === 2 && !foundTopic) {
+          foundTopic = cellTexts[i];
+        } else if (info.level === 3 && !foundSubtopic) {
+          foundSubtopic = cellTexts[i];
+        } else if (info.level === 4 && !foundCompetence) {
+          foundCompetence = cellTexts[i];
+          competenceIndex = i;
+        }
+      }
 
-    // Skip header rows
-    if (isHeaderRow(cellTexts)) {
-      return;
-    }
+      // Cell html of each field: by column when the header named it,
+      // otherwise by position after the competence
+      const fieldHtml = {};
 
-    // Log first 15 rows for debugging
-    if (rowCount < 15) {
-      console.log(`Row ${rowCount}:`, cellTexts.map(t => t.substring(0, 40)));
-    }
-    rowCount++;
+      if (columnMap) {
+        const textAt = field => (columnMap[field] !== undefined ? cellTexts[columnMap[field]] || null : undefined);
+        if (textAt('topic') !== undefined) foundTopic = textAt('topic');
+        if (textAt('subtopic') !== undefined) foundSubtopic = textAt('subtopic');
+        foundCompetence = textAt('specificCompetences');
 
-    // Analyze each cell to find Topic, Subtopic, Competence by numbering
-    let foundTopic = null;
-    let foundSubtopic = null;
-    let foundCompetence = null;
-    let competenceIndex = -1;
+        // Un-numbered text (notes, titles spanning the table) only counts
+        // as a topic/subtopic when the row also has the level below it
+        const numbered = text => text && getNumberingInfo(text).number;
+        if (foundSubtopic && !numbered(foundSubtopic) && !foundCompetence) foundSubtopic = null;
+        if (foundTopic && !numbered(foundTopic) && !foundSubtopic && !foundCompetence) foundTopic = null;
 
-    for (let i = 0; i < cellTexts.length; i++) {
-      const info = getNumberingInfo(cellTexts[i]);
-      
-      if (info.level === 2 && !foundTopic) {
-        foundTopic = cellTexts[i];
-      } else if (info.level === 3 && !foundSubtopic) {
-        foundSubtopic = cellTexts[i];
-      } else if (info.level === 4 && !foundCompetence) {
-        foundCompetence = cellTexts[i];
-        competenceIndex = i;
+        ['learningActivities', 'expectedStandards', 'keyCompetences', 'resources'].forEach(field => {
+          if (columnMap[field] !== undefined) fieldHtml[field] = cellHtmls[columnMap[field]];
+        });
+      } else if (foundCompetence) {
+        fieldHtml.learningActivities = cellHtmls[competenceIndex + 1];
+        fieldHtml.expectedStandards = cellHtmls[competenceIndex + 2];
       }
-    }
 
-    // Process TOPIC (X.Y pattern)
-    if (foundTopic) {
-      const existing = topics.find(t => t.name === foundTopic);
-      if (existing) {
-        currentTopic = existing;
-      } else {
-        currentTopic = { name: foundTopic, subtopics: [] };
-        topics.push(currentTopic);
-        currentSubtopic = null;
+      const fields = {};
+      Object.keys(fieldHtml).forEach(field => {
+        fields[field] = splitBulletContent(fieldHtml[field]);
+      });
+
+      // Activities/standards on their own row continue the competence above
+      const continuesCompetence = !foundTopic && !foundSubtopic && !foundCompetence &&
+        currentCompetence && Object.values(fields).some(items => items.length);
+
+      if (!foundTopic && !foundSubtopic && !foundCompetence && !continuesCompetence) {
+        // Nothing numbered: continuation rows and stray text are dropped
+        if (cellTexts.some(Boolean)) {
+          diagnostics.unmatched.push({ location, cells: cellTexts });
+        }
+        return;
       }
-    }
 
-    // Process SUBTOPIC (X.Y.Z pattern)
-    if (foundSubtopic && currentTopic) {
-      const existingSubtopic = currentTopic.subtopics.find(s => s.name === foundSubtopic);
-      if (existingSubtopic) {
-        currentSubtopic = existingSubtopic;
-      } else {
-        currentSubtopic = {
-          name: foundSubtopic,
-          specificCompetences: []
-        };
-        currentTopic.subtopics.push(currentSubtopic);
+      diagnostics.matched++;
+      [foundTopic, foundSubtopic, foundCompetence].forEach(text => {
+        const number = text && getNumberingInfo(text).number;
+        if (number) recordNumber(diagnostics, number, text, location);
+      });
+
+      // Process TOPIC (X.Y pattern)
+      if (foundTopic) {
+        const existing = topics.find(t => t.name === foundTopic);
+        if (existing) {
+          currentTopic = existing;
+        } else {
+          currentTopic = { name: foundTopic, subtopics: [] };
+          topics.push(currentTopic);
+          currentSubtopic = null;
+          currentCompetence = null;
+        }
       }
-    }
 
-    // Process SPECIFIC COMPETENCE (X.Y.Z.W pattern)
-    if (foundCompetence && currentSubtopic) {
-      // Learning activities and expected standards are in cells AFTER the competence
-      let learningActivities = [];
-      let expectedStandards = [];
+      // Process SUBTOPIC (X.Y.Z pattern)
+      if (foundSubtopic && currentTopic) {
+        const existingSubtopic = currentTopic.subtopics.find(s => s.name === foundSubtopic);
+        if (existingSubtopic) {
+          currentSubtopic = existingSubtopic;
+        } else {
+          currentSubtopic = {
+            name: foundSubtopic,
+            specificCompetences: [],
+            keyCompetences: [],
+            resources: []
+          };
+          currentTopic.subtopics.push(currentSubtopic);
+          currentCompetence = null;
+        }
+      }
 
-      // The cell right after competence is usually learning activities
-      if (competenceIndex + 1 < cellHtmls.length) {
-        learningActivities = splitBulletContent(cellHtmls[competenceIndex + 1]);
+      if (foundCompetence && !currentSubtopic) {
+        stats.orphanedCompetences.push({ row: location.row, text: foundCompetence });
       }
-      
-      // The cell after that is usually expected standards
-      if (competenceIndex + 2 < cellHtmls.length) {
-        expectedStandards = splitBulletContent(cellHtmls[competenceIndex + 2]);
+
+      // Key competences and resources belong to the subtopic
+      if (currentSubtopic) {
+        addUnique(currentSubtopic.keyCompetences, fields.keyCompetences || []);
+        addUnique(currentSubtopic.resources, fields.resources || []);
       }
 
-      // Check if this competence already exists (avoid duplicates)
-      const existingCompetence = currentSubtopic.specificCompetences.find(
-        c => c.description === foundCompetence
-      );
+      // Process SPECIFIC COMPETENCE (X.Y.Z.W pattern)
+      if (foundCompetence && currentSubtopic) {
+        // A competence merged over several rows is the same competence
+        currentCompetence = currentSubtopic.specificCompetences.find(
+          c => c.description === foundCompetence
+        );
+
+        if (!currentCompetence) {
+          currentCompetence = {
+            description: foundCompetence,
+            learningActivities: [],
+            expectedStandards: []
+          };
+          currentSubtopic.specificCompetences.push(currentCompetence);
+          newCompetences.push({ location, competence: currentCompetence });
+        }
+      }
 
-      if (!existingCompetence) {
-        const specificCompetence = {
-          description: foundCompetence,
-          learningActivities: learningActivities,
-          expectedStandards: expectedStandards
-        };
-        currentSubtopic.specificCompetences.push(specificCompetence);
+      if (currentCompetence && (foundCompetence || continuesCompetence)) {
+        addUnique(currentCompetence.learningActivities, fields.learningActivities || []);
+        addUnique(currentCompetence.expectedStandards, fields.expectedStandards || []);
       }
+    });
+  });
+
+  newCompetences.forEach(({ location, competence }) => {
+    if (!competence.learningActivities.length) {
+      diagnostics.emptyLearningActivities.push({ location, competence: competence.description });
     }
   });
 
@@ -390,16 +500,43 @@ function parseCBCSyllabusTable(html, subject) {
   console.log(`   - Subtopics: ${totalSubtopics}`);
   console.log(`   - Specific Competences: ${totalCompetences}`);
 
-  if (!topics.length) return null;
-
+  // Returned even when nothing parsed so the caller can explain why
   return {
     subject,
     curriculumType: 'cbc',
-    form: 'Form 1',
-    topics
+    topics,
+    stats: {
+      topics: topics.length,
+      subtopics: totalSubtopics,
+      specificCompetences: totalCompetences,
+      ...stats
+    },
+    diagnostics: buildDiagnostics(diagnostics, {
+      topics,
+      leafField: 'specificCompetences',
+      orphans: stats.orphanedCompetences
+    })
   };
 }
 
+/* ---- Helper: Guess knowledge/skills/values from wording ---- */
+// Fallback only: used when the syllabus has no separate K/S/V columns
+function classifyObcContent(content) {
+  const lower = content.toLowerCase();
+
+  if (lower.startsWith('appreciat') || lower.startsWith('value')) {
+    return 'values';
+  }
+  if (
+    lower.startsWith('measure') ||
+    lower.startsWith('calculate') ||
+    lower.startsWith('demonstrate')
+  ) {
+    return 'skills';
+  }
+  return 'knowledge';
+}
+
 /* ============================================================
    OBC ZAMBIAN SYLLABUS PARSER (TEXT-BASED)
    NOW SUPPORTS: 10.x, 11.x, 12.x AND 1.x, 2.x, 3.x formats
@@ -424,6 +561,15 @@ function parseOBCSyllabus(rawText, subject) {
   let currentSubtopic = null;
   let pendingNumber = null;
 
+  const stats = {
+    layout: 'text',
+    lines: lines.length,
+    headerLinesSkipped: 0,
+    orphanedSubtopics: [], // Subtopics seen before any topic
+    orphanedOutcomes: []   // Outcomes seen before any subtopic
+  };
+  const diagnostics = createCollector();
+
   // Accept any number format (not just 10-12)
   const numberOnly = line =>
     /^((\d+)(\.\d+){1,3})$/.test(line);
@@ -433,10 +579,11 @@ function parseOBCSyllabus(rawText, subject) {
     return m ? { number: m[1], text: m[4] || '' } : null;
   };
 
-  for (const line of lines) {
+  for (const [lineIndex, line] of lines.entries()) {
 
     // Skip header rows
     if (/^topic$|^sub\s*topic$|^specific outcomes?$|^content$/i.test(line)) {
+      stats.headerLinesSkipped++;
       continue;
     }
 
@@ -452,10 +599,28 @@ function parseOBCSyllabus(rawText, subject) {
       pendingNumber = null;
     }
 
-    if (!parsed) continue;
+    // Lines count from 1 after numbers are split onto their own lines
+    const location = { line: lineIndex + 1 };
+
+    // Content bullets: no table columns here, so classify by wording
+    if (!parsed && currentSubtopic && (line.startsWith('•') || line.startsWith('-'))) {
+      const content = line.replace(/^[-•]\s*/, '').trim();
+      if (content.length >= 3) {
+        currentSubtopic[classifyObcContent(content)].push(content);
+        diagnostics.matched++;
+      }
+      continue;
+    }
+
+    if (!parsed) {
+      diagnostics.unmatched.push({ location, text: line });
+      continue;
+    }
 
     const level = parsed.number.split('.').length;
     const fullText = `${parsed.number} ${parsed.text}`.trim();
+    recordNumber(diagnostics, parsed.number, fullText, location);
+    diagnostics.matched++;
 
     // Level 2: Topic (e.g., 10.1 or 1.1)
     if (level === 2) {
@@ -485,238 +650,2679 @@ function parseOBCSyllabus(rawText, subject) {
       continue;
     }
 
-    // Optional: Parse bullet points for knowledge/skills/values
-    // (These arrays can stay empty if not in syllabus)
-    if (currentSubtopic && (line.startsWith('•') || line.startsWith('-'))) {
-      const content = line.replace(/^[-•]\s*/, '').trim();
-      if (content.length < 3) continue;
-
-      const lower = content.toLowerCase();
-
-      if (lower.startsWith('appreciat') || lower.startsWith('value')) {
-        currentSubtopic.values.push(content);
-      } else if (
-        lower.startsWith('measure') ||
-        lower.startsWith('calculate') ||
-        lower.startsWith('demonstrate')
-      ) {
-        currentSubtopic.skills.push(content);
-      } else {
-        currentSubtopic.knowledge.push(content);
-      }
+    if (level === 3) {
+      stats.orphanedSubtopics.push(fullText);
+      continue;
+    }
+    if (level === 4) {
+      stats.orphanedOutcomes.push(fullText);
+      continue;
     }
   }
 
-  console.log(`✅ OBC Parsing complete:`);
-  console.log(`   - Topics: ${topics.length}`);
-  if (topics.length > 0) {
-    let totalSubtopics = 0;
-    let totalOutcomes = 0;
-    topics.forEach(t => {
-      totalSubtopics += t.subtopics.length;
-      t.subtopics.forEach(s => {
-        totalOutcomes += s.specificOutcomes.length;
-      });
+  let totalSubtopics = 0;
+  let totalOutcomes = 0;
+  topics.forEach(t => {
+    totalSubtopics += t.subtopics.length;
+    t.subtopics.forEach(s => {
+      totalOutcomes += s.specificOutcomes.length;
     });
-    console.log(`   - Subtopics: ${totalSubtopics}`);
-    console.log(`   - Specific Outcomes: ${totalOutcomes}`);
-  }
+  });
 
-  if (!topics.length) return null;
+  console.log(`✅ OBC Parsing complete:`);
+  console.log(`   - Topics: ${topics.length}`);
+  console.log(`   - Subtopics: ${totalSubtopics}`);
+  console.log(`   - Specific Outcomes: ${totalOutcomes}`);
 
   return {
     subject,
     curriculumType: 'obc',
-    form: 'Grade 10',
-    topics
+    topics,
+    stats: {
+      topics: topics.length,
+      subtopics: totalSubtopics,
+      specificOutcomes: totalOutcomes,
+      ...stats
+    },
+    diagnostics: buildDiagnostics(diagnostics, {
+      topics,
+      leafField: 'specificOutcomes',
+      orphans: [...stats.orphanedSubtopics, ...stats.orphanedOutcomes]
+    })
   };
 }
 
+/* ---- Helper: Header row of an OBC table (short labels only, no numbers) ---- */
+function obcHeaderMap(cellTexts) {
+  const filled = cellTexts.filter(Boolean);
+  if (!filled.length || filled.some(text => text.length > 40 || getNumberingInfo(text).number)) {
+    return null;
+  }
+
+  const map = buildColumnMap(cellTexts, OBC_HEADER_FIELDS);
+  const labelled = cellTexts.every((text, index) => !text || Object.values(map).includes(index));
+  return labelled && Object.keys(map).length ? map : null;
+}
+
 /* ============================================================
-   API ROUTES
+   OBC ZAMBIAN SYLLABUS PARSER (TABLE-BASED)
+   Parses HTML tables from mammoth.convertToHtml() whose header
+   names the Knowledge, Skills and Values columns of the Content
+   section, and maps each column directly. A single "Content"
+   column falls back to the wording heuristic. Returns null when
+   the document has no such table, so the caller can use the
+   text parser instead.
 ============================================================ */
+function parseOBCSyllabusTable(html, subject) {
+  const $ = cheerio.load(html);
 
-/* ---- PARSE & SAVE SYLLABUS ---- */
-app.post('/api/syllabi/parse', upload.single('file'), async (req, res) => {
-  try {
-    const { curriculum, category, yearRange, grade, form, subject } = req.body;
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+  const topics = [];
+  let currentTopic = null;
+  let currentSubtopic = null;
+  let rowNumber = 0;
+
+  const stats = {
+    layout: 'table',
+    tableRows: 0,
+    headerRowsSkipped: 0,
+    contentColumns: null,   // 'knowledge-skills-values' or 'content'
+    orphanedSubtopics: [],
+    orphanedOutcomes: []
+  };
+  const diagnostics = createCollector();
+
+  $('table').each((tableIndex, table) => {
+    let columnMap = null;
+    let previousWasHeader = false;
+
+    expandTableGrid($, table).forEach(cells => {
+      const location = { row: ++rowNumber };
+      if (cells.length < 2) return;
+      stats.tableRows++;
+
+      const cellTexts = cells.map(cell => cell.text);
+      const cellHtmls = cells.map(cell => cell.html);
+
+      // Two-row headers ("CONTENT" over "KNOWLEDGE | SKILLS | VALUES") are merged
+      const headerMap = obcHeaderMap(cellTexts);
+      if (headerMap) {
+        stats.headerRowsSkipped++;
+        columnMap = previousWasHeader ? { ...columnMap, ...headerMap } : headerMap;
+        previousWasHeader = true;
+        return;
+      }
+      previousWasHeader = false;
 
-    console.log('📝 Upload request:', { curriculum, category, yearRange, grade, form, subject });
+      if (!columnMap || columnMap.specificOutcomes === undefined) {
+        if (cellTexts.some(Boolean)) diagnostics.unmatched.push({ location, cells: cellTexts });
+        return;
+      }
 
-    let parsed;
+      const splitContent = ['knowledge', 'skills', 'values'].some(field => columnMap[field] !== undefined);
+      if (!stats.contentColumns || splitContent) {
+        stats.contentColumns = splitContent ? 'knowledge-skills-values' : 'content';
+      }
 
-    if (curriculum === 'cbc') {
-      const result = await mammoth.convertToHtml({
-        buffer: req.file.buffer
-      });
+      const textAt = field => (columnMap[field] !== undefined ? cellTexts[columnMap[field]] : '');
+      const itemsAt = field => (columnMap[field] !== undefined ? splitBulletContent(cellHtmls[columnMap[field]]) : []);
 
-      console.log('📄 CBC HTML length:', result.value.length);
+      const topicText = textAt('topic');
+      const subtopicText = textAt('subtopic');
+      const outcomes = itemsAt('specificOutcomes');
 
-      parsed = parseCBCSyllabusTable(result.value, subject);
+      if (!topicText && !subtopicText && !outcomes.length) {
+        if (cellTexts.some(Boolean)) diagnostics.unmatched.push({ location, cells: cellTexts });
+        return;
+      }
+      diagnostics.matched++;
 
-    } else {
-      const result = await mammoth.extractRawText({
-        buffer: req.file.buffer
-      });
+      if (topicText && (!currentTopic || currentTopic.name !== topicText)) {
+        currentTopic = topics.find(t => t.name === topicText);
+        if (!currentTopic) {
+          currentTopic = { name: topicText, subtopics: [] };
+          topics.push(currentTopic);
+        }
+        currentSubtopic = null;
+      }
 
-      parsed = parseOBCSyllabus(result.value, subject);
-    }
+      if (subtopicText && (!currentSubtopic || currentSubtopic.name !== subtopicText)) {
+        if (!currentTopic) {
+          stats.orphanedSubtopics.push(subtopicText);
+        } else {
+          currentSubtopic = currentTopic.subtopics.find(s => s.name === subtopicText);
+          if (!currentSubtopic) {
+            currentSubtopic = {
+              name: subtopicText,
+              specificOutcomes: [],
+              knowledge: [],
+              skills: [],
+              values: []
+            };
+            currentTopic.subtopics.push(currentSubtopic);
+          }
+        }
+      }
 
-    if (!parsed) {
-      return res.status(400).json({ 
-        error: 'Parsing failed. Could not extract syllabus structure from the document.' 
+      [topicText, subtopicText, ...outcomes].forEach(text => {
+        const number = text && getNumberingInfo(text).number;
+        if (number) recordNumber(diagnostics, number, text, location);
       });
-    }
 
-    // ✨ NEW: Add flexible fields based on category
-    // Only set category if it has a value (for CBC). OBC doesn't need category.
-    if (category) {
-      parsed.category = category;
-    }
-    
-    // Add yearRange for Early Childhood
-    if (yearRange) {
-      parsed.yearRange = yearRange;
-    }
-    
-    // Add grade for Primary or OBC
-    if (grade) {
-      parsed.grade = grade;
-    }
-    
-    // Add form for Secondary
-    if (form) {
-      parsed.form = form;
-    }
-    
-    // Keep old gradeRange for backward compatibility (deprecated)
-    if (req.body.gradeRange) {
-      parsed.gradeRange = req.body.gradeRange;
-    }
-    
-    console.log('💾 Saving syllabus with structure:', {
-      subject: parsed.subject,
-      curriculumType: parsed.curriculumType,
-      category: parsed.category,
-      yearRange: parsed.yearRange,
-      grade: parsed.grade,
-      form: parsed.form,
-      topicsCount: parsed.topics?.length
+      if (!currentSubtopic) {
+        stats.orphanedOutcomes.push(...outcomes);
+        return;
+      }
+
+      addUnique(currentSubtopic.specificOutcomes, outcomes);
+
+      if (splitContent) {
+        ['knowledge', 'skills', 'values'].forEach(field => addUnique(currentSubtopic[field], itemsAt(field)));
+      } else {
+        itemsAt('content').forEach(item => addUnique(currentSubtopic[classifyObcContent(item)], [item]));
+      }
     });
+  });
 
-    const saved = await Syllabus.create(parsed);
-    res.json({ success: true, syllabus: saved });
+  if (!topics.length) return null;
 
-  } catch (err) {
-    console.error('❌ Syllabus parsing error:', err);
-    res.status(500).json({ error: err.message });
+  let totalSubtopics = 0;
+  let totalOutcomes = 0;
+  topics.forEach(t => {
+    totalSubtopics += t.subtopics.length;
+    t.subtopics.forEach(s => {
+      totalOutcomes += s.specificOutcomes.length;
+    });
+  });
+
+  console.log(`✅ OBC table parsing complete (${stats.contentColumns}):`);
+  console.log(`   - Topics: ${topics.length}`);
+  console.log(`   - Subtopics: ${totalSubtopics}`);
+  console.log(`   - Specific Outcomes: ${totalOutcomes}`);
+
+  return {
+    subject,
+    curriculumType: 'obc',
+    topics,
+    stats: {
+      topics: topics.length,
+      subtopics: totalSubtopics,
+      specificOutcomes: totalOutcomes,
+      ...stats
+    },
+    diagnostics: buildDiagnostics(diagnostics, {
+      topics,
+      leafField: 'specificOutcomes',
+      orphans: [...stats.orphanedSubtopics, ...stats.orphanedOutcomes]
+    })
+  };
+}
+
+/* -----------------------------
+   GENERATION HELPERS
+------------------------------ */
+
+/**
+ * Convert the diagrams (specs or SVG) in already-generated content.
+ * `usage` ({ school, subject }) is recorded in the diagram library.
+ * Returns: { content, diagrams, hasDiagrams, diagramError? }
+ */
+async function convertContentDiagrams(content, usage) {
+  if (!hasDiagramBlocks(content)) {
+    return { content, diagrams: [], hasDiagrams: false };
   }
-});
 
-/* ---- GENERATE DOCUMENT (CLAUDE API) ---- */
-app.post('/api/generate-document', async (req, res) => {
+  console.log('📊 Document contains diagrams, processing...');
   try {
-    const { prompt } = req.body;
-    
-    if (!prompt) {
-      return res.status(400).json({ error: 'Prompt is required' });
-    }
+    const { processedContent, diagrams } = await processDiagramsInContent(content, usage);
+    console.log(`✅ Processed ${diagrams.length} diagrams`);
+    return { content: processedContent, diagrams, hasDiagrams: true };
+  } catch (diagramError) {
+    console.error('❌ Diagram processing failed:', diagramError);
+    // Return original content if diagram processing fails
+    return {
+      content,
+      diagrams: [],
+      hasDiagrams: false,
+      diagramError: 'Diagram conversion failed, showing original content'
+    };
+  }
+}
 
-    // Check if API key is configured
-    if (!process.env.ANTHROPIC_API_KEY) {
-      console.error('❌ ANTHROPIC_API_KEY not configured');
-      return res.status(500).json({ error: 'AI service not configured. Please set ANTHROPIC_API_KEY.' });
-    }
+/**
+ * Convert the diagrams in each section of a structured document.
+ * Placeholders are numbered across the whole document, so the
+ * exporters can match them against one `diagrams` list.
+ * Returns: { sections, diagrams, diagramError? }
+ */
+async function convertSectionDiagrams(sections, usage) {
+  const converted = [];
+  const diagrams = [];
+  let diagramError;
 
-    console.log('🤖 Generating document with Claude...');
-    console.log('📝 Prompt length:', prompt.length);
+  for (const section of sections) {
+    const result = await convertContentDiagrams(section.content, usage);
+    const offset = diagrams.length;
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 8192, // Increased from 4096 to allow complete documents with diagrams
-        messages: [
-          { role: 'user', content: prompt }
-        ]
-      })
+    converted.push({
+      ...section,
+      content: result.content.replace(/\[IMAGE_PLACEHOLDER_(\d+)\]/g, (match, n) => `[IMAGE_PLACEHOLDER_${Number(n) + offset}]`)
     });
+    diagrams.push(...result.diagrams.map(d => ({ ...d, index: d.index + offset })));
+    diagramError = diagramError || result.diagramError;
+  }
 
-    const data = await response.json();
+  return { sections: converted, diagrams, ...(diagramError && { diagramError }) };
+}
 
-    if (!response.ok) {
-      console.error('❌ Claude API error:', data);
-      return res.status(500).json({ 
-        error: data.error?.message || 'AI generation failed' 
-      });
-    }
+/* ---- Helper: Add the diagram spec format to free-form prompts that ask for it ---- */
+function withDiagramGuide(prompt, diagramGuide) {
+  return diagramGuide ? `${prompt}\n\n${DIAGRAM_SPEC_GUIDE}` : prompt;
+}
 
-    const content = data.content[0]?.text || '';
-    console.log('✅ Document generated successfully, length:', content.length);
-    
-    // Check if content contains SVG diagrams
-    const hasDiagrams = content.includes('[SVG_DIAGRAM_START]');
-    
-    if (hasDiagrams) {
-      console.log('📊 Document contains SVG diagrams, processing...');
-      try {
-        const { processedContent, diagrams } = await processDiagramsInContent(content);
-        console.log(`✅ Processed ${diagrams.length} diagrams`);
-        
-        // Return both processed content and diagrams
-        res.json({ 
-          content: processedContent, 
-          diagrams: diagrams,
-          hasDiagrams: true
-        });
-      } catch (diagramError) {
-        console.error('❌ Diagram processing failed:', diagramError);
-        // Return original content if diagram processing fails
-        res.json({ 
-          content,
-          diagrams: [],
-          hasDiagrams: false,
-          diagramError: 'Diagram conversion failed, showing original content'
-        });
-      }
-    } else {
-      res.json({ content, diagrams: [], hasDiagrams: false });
-    }
+/**
+ * Record a model call's tokens against the owner ({ school, createdBy }).
+ */
+async function trackUsage(owner, result, purpose) {
+  if (!owner) return;
+  await recordUsage({
+    school: owner.school,
+    user: owner.createdBy,
+    provider: result.provider,
+    model: result.model,
+    usage: result.usage,
+    purpose
+  });
+}
 
-  } catch (err) {
-    console.error('❌ Document generation error:', err);
-    res.status(500).json({ error: 'Failed to generate document. Please try again.' });
-  }
-});
+/**
+ * Generate free-form content and convert any diagrams it contains.
+ * Token usage is recorded against `owner` under `purpose`; diagrams are
+ * filed under the owner's school and `subject`.
+ * Returns: { content, diagrams, hasDiagrams, diagramError?, model, usage }
+ */
+async function generateContent(prompt, llmOptions, { signal, owner, purpose = 'generate', subject } = {}) {
+  const generated = await llm.generate(prompt, llmOptions, { signal });
+  await trackUsage(owner, generated, purpose);
+
+  const { text: content, model, usage } = generated;
+  console.log('✅ Document generated successfully, length:', content.length);
+
+  return { ...(await convertContentDiagrams(content, { school: owner?.school, subject })), model, usage };
+}
+
+/**
+ * Generate a structured document (lesson plan, notes...) from a built prompt.
+ * Returns: { title, sections, model, usage }
+ */
+async function generateStructuredContent(prompt, documentType, llmOptions, { signal, owner, purpose = 'structured' } = {}) {
+  const generated = await llm.generate(prompt, llmOptions, { signal });
+  await trackUsage(owner, generated, purpose);
+
+  const { text, model, usage } = generated;
 
-/* ---- GET ALL SYLLABI ---- */
-app.get('/api/syllabi', async (req, res) => {
   try {
-    // ⚡ OPTIMIZED: Only fetch metadata, not full topics data
-    // This dramatically speeds up loading when there are many syllabi
-    const syllabi = await Syllabus.find()
-      .select('subject curriculumType category yearRange grade form gradeRange createdAt updatedAt')
-      .sort({ createdAt: -1 })
-      .lean(); // Convert to plain JS objects for better performance
-    
-    console.log(`✅ Fetched ${syllabi.length} syllabi (metadata only)`);
-    res.json(syllabi);
-  } catch (err) {
-    console.error('❌ Error fetching syllabi:', err);
-    res.status(500).json({ error: 'Failed to fetch syllabi' });
+    return { ...parseStructuredDocument(text, documentType), model, usage };
+  } catch (parseError) {
+    console.error('❌ Could not parse structured document:', parseError.message);
+    const error = new Error('AI returned a document in an unexpected format. Please try again.');
+    error.statusCode = 502;
+    throw error;
   }
-});
+}
 
-/* ---- GET SINGLE SYLLABUS ---- */
-app.get('/api/syllabi/:id', async (req, res) => {
+/**
+ * Generate assessment questions for the coded curriculum `items`.
+ * Returns: { title, questions, discarded, model, usage }
+ */
+async function generateAssessment(prompt, items, fallbackTitle, llmOptions, { signal, owner, purpose = 'assessment' } = {}) {
+  const generated = await llm.generate(prompt, llmOptions, { signal });
+  await trackUsage(owner, generated, purpose);
+
+  const { text, model, usage } = generated;
+
+  let parsed;
+  try {
+    parsed = assessments.parseAssessment(text, items, fallbackTitle);
+  } catch (parseError) {
+    console.error('❌ Could not parse assessment:', parseError.message);
+    parsed = { questions: [] };
+  }
+
+  if (!parsed.questions.length) {
+    const error = new Error('AI returned no usable questions. Please try again.');
+    error.statusCode = 502;
+    throw error;
+  }
+
+  return { ...parsed, model, usage };
+}
+
+/* ---- Helper: Error whose message is safe to return with statusCode ---- */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/* ---- Helper: Syllabi a school can read (its own plus shared ones) ---- */
+function readableSyllabiFilter(school) {
+  return { school: { $in: [school, null] } };
+}
+
+/* ---- Helper: Admins/HoDs manage everything in their school, teachers their own ---- */
+function canManage(user, record) {
+  return ['admin', 'hod'].includes(user.role) || String(record.createdBy) === String(user.id);
+}
+
+/**
+ * Run a free-form prompt and shape the /api/generate-document response.
+ * Saves the result first when `save` is set; `owner` is { school, createdBy }.
+ * `diagramGuide` appends the structured diagram format to the prompt.
+ */
+async function completeContentRequest({ prompt: request, save, title, documentType, diagramGuide, subject }, { llmOptions, signal, owner, purpose } = {}) {
+  if (!request) throw httpError(400, 'Prompt is required');
+
+  const prompt = withDiagramGuide(request, diagramGuide);
+  console.log('📝 Prompt length:', prompt.length);
+
+  const result = await generateContent(prompt, llmOptions, { signal, owner, purpose, subject });
+  const { content, diagrams, hasDiagrams, diagramError } = result;
+
+  const response = diagramError
+    ? { content, diagrams, hasDiagrams, diagramError }
+    : { content, diagrams, hasDiagrams };
+
+  // Optionally keep the result so it survives a page refresh
+  if (save) {
+    const saved = await GeneratedDocument.create({
+      title: title || 'Untitled document',
+      documentType: Object.hasOwn(DOCUMENT_TYPES, documentType) ? documentType : 'custom',
+      content,
+      diagrams,
+      prompt,
+      model: result.model,
+      ...owner
+    });
+    response.documentId = saved._id;
+  }
+
+  return response;
+}
+
+/**
+ * Syllabus ids and lesson details for one week of a saved scheme of work,
+ * so documents can be generated straight from the plan.
+ */
+async function resolveSchemeWeek({ schemeId, week, subtopicId, details }, school) {
+  if (!mongoose.isValidObjectId(schemeId)) {
+    throw httpError(400, 'Invalid schemeId');
+  }
+  if (!week) {
+    throw httpError(400, 'week is required with schemeId');
+  }
+
+  const scheme = await GeneratedDocument.findOne({ _id: schemeId, school, documentType: 'scheme-of-work' })
+    .select('plan')
+    .lean();
+  if (!scheme || !scheme.plan) {
+    throw httpError(404, 'Scheme of work not found');
+  }
+
+  const found = schemeOfWork.findPlanEntry(scheme.plan, week, subtopicId);
+  if (!found) {
+    throw httpError(404, subtopicId ? 'That subtopic is not planned for this week' : 'Nothing is planned for this week');
+  }
+
+  const { entry } = found;
+  const items = (entry.competences || []).map(c => c.description)
+    .concat((entry.outcomes || []).map(o => o.text));
+
+  return {
+    syllabusId: String(scheme.plan.syllabusId),
+    topicId: String(entry.topicId),
+    subtopicId: entry.subtopicId ? String(entry.subtopicId) : undefined,
+    details: {
+      schemeWeek: `Week ${found.week.week} (${found.week.start} to ${found.week.end})`,
+      periodsThisWeek: entry.periods,
+      // A subtopic spread over several weeks only covers part of its items
+      ...(entry.parts > 1 && {
+        focus: `Part ${entry.part} of ${entry.parts}${items.length ? `: ${items.join('; ')}` : ''}`
+      }),
+      ...details
+    }
+  };
+}
+
+/**
+ * Validate a structured generation request and build its prompt from the stored syllabus.
+ * Only syllabi readable by `school` can be used. With `schemeId` and `week` the
+ * topic, subtopic and lesson details come from that week of a scheme of work.
+ */
+async function prepareStructuredRequest(request, { school }) {
+  const { schemeId, documentType = schemeId ? 'lesson-plan' : undefined } = request;
+  const { syllabusId, topicId, subtopicId, details } = schemeId
+    ? await resolveSchemeWeek(request, school)
+    : request;
+
+  if (!syllabusId || !topicId) {
+    throw httpError(400, 'syllabusId and topicId are required');
+  }
+
+  if (!Object.hasOwn(DOCUMENT_TYPES, documentType)) {
+    throw httpError(400, `documentType must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`);
+  }
+
+  if (!mongoose.isValidObjectId(syllabusId)) {
+    throw httpError(400, 'Invalid syllabusId');
+  }
+
+  const syllabus = await Syllabus.findOne({ _id: syllabusId, ...readableSyllabiFilter(school) });
+  if (!syllabus) {
+    throw httpError(404, 'Syllabus not found');
+  }
+
+  const section = findSyllabusSection(syllabus, topicId, subtopicId);
+  if (!section) {
+    throw httpError(404, 'Topic or subtopic not found in this syllabus');
+  }
+
+  const curriculum = extractCurriculum(syllabus.curriculumType, section.subtopics);
+  const prompt = buildDocumentPrompt({
+    syllabus,
+    topic: section.topic,
+    curriculum,
+    documentType,
+    details: details || {}
+  });
+
+  return { syllabus, section, curriculum, prompt, documentType, subtopicId };
+}
+
+/**
+ * Generate a prepared structured request and shape the API response.
+ * Saves the result first when `save` is set.
+ */
+async function completeStructuredRequest(prepared, { llmOptions, save, signal, owner, purpose } = {}) {
+  const { syllabus, section, curriculum, prompt, documentType, subtopicId } = prepared;
+
+  console.log(`🤖 Generating ${documentType} for "${section.topic.name}"...`);
+  console.log('📝 Prompt length:', prompt.length);
+
+  const structured = await generateStructuredContent(prompt, documentType, llmOptions, { signal, owner, purpose });
+
+  console.log(`✅ ${DOCUMENT_TYPES[documentType].title} generated with ${structured.sections.length} sections`);
+
+  const { sections, diagrams, diagramError } = DOCUMENT_TYPES[documentType].diagrams
+    ? await convertSectionDiagrams(structured.sections, { school: owner?.school, subject: syllabus.subject })
+    : { sections: structured.sections, diagrams: [] };
+
+  const response = {
+    success: true,
+    document: {
+      documentType,
+      title: structured.title,
+      subject: syllabus.subject,
+      curriculumType: syllabus.curriculumType,
+      level: describeLevel(syllabus),
+      syllabusId: syllabus._id,
+      topic: { id: section.topic._id, name: section.topic.name },
+      subtopics: section.subtopics.map(s => ({ id: s._id, name: s.name })),
+      curriculum,
+      sections,
+      diagrams
+    },
+    model: structured.model,
+    ...(diagramError && { diagramError })
+  };
+
+  if (save) {
+    const saved = await GeneratedDocument.create({
+      title: structured.title,
+      documentType,
+      sections,
+      diagrams,
+      prompt,
+      model: structured.model,
+      syllabus: syllabus._id,
+      topicId: section.topic._id,
+      subtopicId: subtopicId ? section.subtopics[0]._id : null,
+      ...owner
+    });
+    response.documentId = saved._id;
+  }
+
+  return response;
+}
+
+/**
+ * Job queue handler: runs a queued generation job.
+ */
+async function runGenerationJob(job, signal) {
+  const llmOptions = job.llmOptions || {};
+  const owner = { school: job.school, createdBy: job.createdBy };
+
+  if (job.kind === 'structured') {
+    const prepared = await prepareStructuredRequest(job.input, { school: job.school });
+    return completeStructuredRequest(prepared, { llmOptions, save: job.input.save, signal, owner, purpose: 'job' });
+  }
+
+  return completeContentRequest(job.input, { llmOptions, signal, owner, purpose: 'job' });
+}
+
+/* ============================================================
+   API ROUTES
+============================================================ */
+
+/* ============================================================
+   AUTHENTICATION, USERS & SCHOOLS
+   Roles: admin (school administrator), hod (head of department),
+   teacher. Admins/HoDs manage syllabi; teachers read and generate.
+============================================================ */
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/* ---- REGISTER A SCHOOL (creates its first admin) ---- */
+app.post('/api/auth/register-school', async (req, res) => {
+  try {
+    // Self-service signup is opt-in per deployment
+    if (process.env.SCHOOL_SIGNUP_ENABLED !== 'true') {
+      return res.status(403).json({ error: 'School registration is closed' });
+    }
+
+    const { schoolName, name, email, password } = req.body;
+
+    if (!schoolName || !name || !email || !password) {
+      return res.status(400).json({ error: 'schoolName, name, email and password are required' });
+    }
+
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'email and password must be strings' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    if (await User.exists({ email: email.toLowerCase().trim() })) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const school = await School.create({ name: schoolName });
+
+    let user;
+    try {
+      user = await User.create({
+        email,
+        name,
+        passwordHash: await bcrypt.hash(password, 12),
+        role: 'admin',
+        school: school._id
+      });
+    } catch (err) {
+      await School.findByIdAndDelete(school._id);
+      throw err;
+    }
+
+    console.log(`🏫 Registered school "${school.name}" with admin ${user.email}`);
+    res.status(201).json({ success: true, token: signToken(user), user, school });
+
+  } catch (err) {
+    console.error('❌ School registration error:', err);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to register school' });
+  }
+});
+
+/* ---- LOGIN ---- */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return res.status(400).json({ error: 'email and password are required' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    const valid = user && user.active && await bcrypt.compare(password, user.passwordHash);
+
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({ success: true, token: signToken(user), user });
+
+  } catch (err) {
+    console.error('❌ Login error:', err);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/* ---- CURRENT USER ---- */
+app.get('/api/auth/me', requireAuth, async (req, res) => {
+  try {
+    const [user, school] = await Promise.all([
+      User.findById(req.user.id),
+      School.findById(req.user.school)
+    ]);
+    res.json({ user, school });
+  } catch (err) {
+    console.error('❌ Error fetching current user:', err);
+    res.status(500).json({ error: 'Failed to fetch account' });
+  }
+});
+
+/* ---- CHANGE OWN PASSWORD ---- */
+app.post('/api/auth/password', requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!currentPassword || !(await bcrypt.compare(currentPassword, user.passwordHash))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    user.passwordHash = await bcrypt.hash(newPassword, 12);
+    await user.save();
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Password change error:', err);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+/* ---- GET / UPDATE OWN SCHOOL (LETTERHEAD DETAILS) ---- */
+app.get('/api/schools/me', requireAuth, async (req, res) => {
+  try {
+    const school = await School.findById(req.user.school);
+    if (!school) {
+      return res.status(404).json({ error: 'School not found' });
+    }
+    res.json(school);
+  } catch (err) {
+    console.error('❌ Error fetching school:', err);
+    res.status(500).json({ error: 'Failed to fetch school' });
+  }
+});
+
+app.patch('/api/schools/me', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const updates = {};
+    ['name', 'address', 'contact', 'motto', 'logoBase64'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const school = await School.findByIdAndUpdate(req.user.school, updates, { new: true, runValidators: true });
+    if (!school) {
+      return res.status(404).json({ error: 'School not found' });
+    }
+    res.json({ success: true, school });
+  } catch (err) {
+    console.error('❌ Error updating school:', err);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to update school' });
+  }
+});
+
+/* ---- LIST USERS IN OWN SCHOOL ---- */
+app.get('/api/users', requireAuth, requireRole('admin', 'hod'), async (req, res) => {
+  try {
+    const users = await User.find({ school: req.user.school }).sort({ name: 1 });
+    res.json(users);
+  } catch (err) {
+    console.error('❌ Error fetching users:', err);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+/* ---- CREATE USER IN OWN SCHOOL ---- */
+app.post('/api/users', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, email, password, role, department } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({ error: 'name, email and password are required' });
+    }
+
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'email and password must be strings' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    if (await User.exists({ email: email.toLowerCase().trim() })) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const user = await User.create({
+      name,
+      email,
+      passwordHash: await bcrypt.hash(password, 12),
+      role: role || 'teacher',
+      department: department || '',
+      school: req.user.school
+    });
+
+    console.log(`👤 ${req.user.email} created ${user.role} account ${user.email}`);
+    res.status(201).json({ success: true, user });
+
+  } catch (err) {
+    console.error('❌ Error creating user:', err);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+/* ---- UPDATE USER (ROLE, NAME, DEPARTMENT, ACTIVE) ---- */
+app.patch('/api/users/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, school: req.user.school });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Stop an admin from locking themselves out
+    if (String(user._id) === String(req.user.id) && (req.body.role && req.body.role !== 'admin' || req.body.active === false)) {
+      return res.status(400).json({ error: 'You cannot remove your own admin access' });
+    }
+
+    ['name', 'role', 'department', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) user[field] = req.body[field];
+    });
+
+    if (req.body.password) {
+      if (req.body.password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      user.passwordHash = await bcrypt.hash(req.body.password, 12);
+    }
+
+    await user.save();
+    res.json({ success: true, user });
+
+  } catch (err) {
+    console.error('❌ Error updating user:', err);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+
+/* ============================================================
+   SYLLABUS UPLOAD DRAFTS
+   Upload parses into a draft with statistics; nothing reaches the
+   syllabus library until the draft is confirmed. Drafts expire
+   after SYLLABUS_DRAFT_TTL_HOURS.
+============================================================ */
+
+// Level fields copied from the upload form onto the syllabus
+const SYLLABUS_LEVEL_FIELDS = ['category', 'yearRange', 'grade', 'form', 'gradeRange'];
+
+// Draft fields a reviewer may change before confirming
+const DRAFT_EDITABLE_FIELDS = ['subject', ...SYLLABUS_LEVEL_FIELDS, 'topics'];
+
+/* ---- Helper: How a rebuilt PDF line relates to the syllabus table ---- */
+function classifyPdfLine(cellTexts) {
+  if (isHeaderRow(cellTexts)) return 'header';
+  if (cellTexts.some(text => getNumberingInfo(text).number)) return 'row';
+  return null;
+}
+
+/* ---- Helper: Parse an uploaded file with the curriculum's parser ----
+   Without a curriculum, the title page has to name it (or a level
+   that only one curriculum uses).
+------------------------------------------------------------ */
+async function parseSyllabusFile(buffer, { curriculum, subject }) {
+  let html;
+  let titleLines;
+  let rawText;
+
+  // PDFs are rebuilt into the same HTML table / raw text mammoth produces
+  if (buffer.subarray(0, 5).toString() === '%PDF-') {
+    const pdf = await readPdfSyllabus(buffer, { classifyLine: classifyPdfLine });
+    console.log(`📄 PDF pages: ${pdf.pages}`);
+
+    html = pdf.html;
+    titleLines = pdf.lines;
+    rawText = async () => pdf.text;
+  } else {
+    const result = await mammoth.convertToHtml({ buffer });
+    html = result.value;
+
+    const $ = cheerio.load(html);
+    titleLines = $('h1, h2, h3, h4, h5, h6, p').map((i, el) => $(el).text()).get();
+    rawText = async () => (await mammoth.extractRawText({ buffer })).value;
+  }
+
+  const curriculumType = curriculum || detectCurriculum(titleLines);
+  if (!curriculumType) {
+    throw httpError(400, 'Could not tell whether this is a CBC or OBC syllabus; choose the curriculum');
+  }
+  console.log(`📄 ${curriculumType === 'cbc' ? 'CBC' : 'OBC'} HTML length:`, html.length);
+
+  // OBC: read the Content columns from the table when there is one
+  const parsed = curriculumType === 'cbc'
+    ? parseCBCSyllabusTable(html, subject)
+    : parseOBCSyllabusTable(html, subject) || parseOBCSyllabus(await rawText(), subject);
+
+  // Level and subject as printed on the title page, for the reviewer
+  parsed.suggestions = detectLevelAndSubject(titleLines, parsed.curriculumType);
+  return parsed;
+}
+
+/* ---- Helper: Lineage and topic fingerprint a draft stores for duplicate checks ---- */
+function draftKeys(fields) {
+  return {
+    lineage: syllabusVersions.lineageKey(fields),
+    fingerprint: syllabusVersions.topicsFingerprint(fields)
+  };
+}
+
+/* ---- Helper: Copy the editable fields present in a request body ---- */
+function applyDraftFields(draft, body) {
+  DRAFT_EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) draft[field] = body[field];
+  });
+  Object.assign(draft, draftKeys(draft));
+}
+
+/* ---- Helper: Load a draft of the caller's school ---- */
+async function findDraft(id, school) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return SyllabusDraft.findOne({ _id: id, school });
+}
+
+/* ---- UPLOAD & PARSE SYLLABUS INTO A DRAFT ---- */
+app.post('/api/syllabi/parse', requireAuth, requireRole('admin', 'hod'), upload.single('file'), async (req, res) => {
+  try {
+    const { curriculum, subject } = req.body;
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+    console.log('📝 Upload request:', req.body);
+
+    const parsed = await parseSyllabusFile(req.file.buffer, { curriculum, subject });
+
+    if (!parsed.topics.length) {
+      return res.status(400).json({ 
+        error: 'Parsing failed. Could not extract syllabus structure from the document.',
+        diagnostics: parsed.diagnostics
+      });
+    }
+
+    const { stats, diagnostics, suggestions, ...syllabusData } = parsed;
+
+    // Only set level fields that were provided (OBC has no category, etc.)
+    SYLLABUS_LEVEL_FIELDS.forEach(field => {
+      if (req.body[field]) syllabusData[field] = req.body[field];
+    });
+
+    // Fall back to what the title page says; the reviewer sees the source
+    // text in draft.suggestions before confirming
+    if (!syllabusData.subject && suggestions.subject) {
+      syllabusData.subject = suggestions.subject.value;
+    }
+    if (suggestions.level && !SYLLABUS_LEVEL_FIELDS.some(field => req.body[field])) {
+      const { source, ...level } = suggestions.level;
+      Object.assign(syllabusData, level);
+    }
+    Object.assign(syllabusData, normaliseLevel(syllabusData));
+
+    const draft = await SyllabusDraft.create({
+      ...syllabusData,
+      ...draftKeys(syllabusData),
+      stats,
+      diagnostics,
+      suggestions,
+      fileName: req.file.originalname,
+      school: req.user.school,
+      uploadedBy: req.user.id
+    });
+
+    console.log(`📝 Syllabus draft ${draft._id} created (${stats.topics} topics, confidence ${diagnostics.confidence.score})`);
+    res.json({ success: true, draft });
+
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    if (err instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('❌ Syllabus parsing error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ---- LIST DRAFTS ---- */
+app.get('/api/syllabi/drafts', requireAuth, requireRole('admin', 'hod'), async (req, res) => {
+  try {
+    const drafts = await SyllabusDraft.find({ school: req.user.school })
+      .select('-topics')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(drafts);
+  } catch (err) {
+    console.error('❌ Error fetching syllabus drafts:', err);
+    res.status(500).json({ error: 'Failed to fetch syllabus drafts' });
+  }
+});
+
+/* ---- GET DRAFT ---- */
+app.get('/api/syllabi/drafts/:id', requireAuth, requireRole('admin', 'hod'), async (req, res) => {
+  try {
+    const draft = await findDraft(req.params.id, req.user.school);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    res.json(draft);
+  } catch (err) {
+    console.error('❌ Error fetching syllabus draft:', err);
+    res.status(500).json({ error: 'Failed to fetch syllabus draft' });
+  }
+});
+
+/* ---- EDIT DRAFT ---- */
+app.patch('/api/syllabi/drafts/:id', requireAuth, requireRole('admin', 'hod'), async (req, res) => {
+  try {
+    const draft = await findDraft(req.params.id, req.user.school);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    applyDraftFields(draft, req.body);
+
+    // Someone is still working on it
+    draft.expiresAt = new Date(Date.now() + SyllabusDraft.DRAFT_TTL_HOURS * 60 * 60 * 1000);
+    await draft.save();
+
+    res.json({ success: true, draft });
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError || err instanceof mongoose.Error.CastError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('❌ Error updating syllabus draft:', err);
+    res.status(500).json({ error: 'Failed to update syllabus draft' });
+  }
+});
+
+/* ---- Helper: New syllabi become the active version unless `activate` is false ---- */
+function activateOnSave(body) {
+  return body.activate !== false && body.activate !== 'false';
+}
+
+/* ---- CONFIRM DRAFT INTO THE SYLLABUS LIBRARY ---- */
+app.post('/api/syllabi/drafts/:id/confirm', requireAuth, requireRole('admin', 'hod'), async (req, res) => {
+  try {
+    const draft = await findDraft(req.params.id, req.user.school);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    // Last-minute corrections can be sent with the confirm call
+    applyDraftFields(draft, req.body);
+
+    const fields = draft.toObject();
+    const syllabus = await syllabusVersions.createSyllabusVersion({
+      subject: fields.subject,
+      curriculumType: fields.curriculumType,
+      ...Object.fromEntries(SYLLABUS_LEVEL_FIELDS.map(field => [field, fields[field]])),
+      topics: fields.topics
+    }, {
+      school: req.user.school,
+      uploadedBy: fields.uploadedBy,
+      activate: activateOnSave(req.body)
+    });
+
+    await draft.deleteOne();
+
+    console.log(`💾 Syllabus draft ${draft._id} confirmed as ${syllabus._id} (version ${syllabus.version})`);
+    res.json({ success: true, syllabus });
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError || err instanceof mongoose.Error.CastError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('❌ Error confirming syllabus draft:', err);
+    res.status(500).json({ error: 'Failed to confirm syllabus draft' });
+  }
+});
+
+/* ---- DISCARD DRAFT ---- */
+app.delete('/api/syllabi/drafts/:id', requireAuth, requireRole('admin', 'hod'), async (req, res) => {
+  try {
+    if (mongoose.isValidObjectId(req.params.id)) {
+      await SyllabusDraft.deleteOne({ _id: req.params.id, school: req.user.school });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Error deleting syllabus draft:', err);
+    res.status(500).json({ error: 'Failed to delete syllabus draft' });
+  }
+});
+
+/* ---- Helper: Library syllabus or pending draft with the same lineage and topics ---- */
+async function findDuplicateSyllabus(lineage, fingerprint, school) {
+  const [syllabus, draft] = await Promise.all([
+    Syllabus.findOne({ ...readableSyllabiFilter(school), lineage, fingerprint }).select('version').lean(),
+    SyllabusDraft.findOne({ school, lineage, fingerprint }).select('_id').lean()
+  ]);
+  if (syllabus) return { syllabusId: syllabus._id, version: syllabus.version };
+
+  // Versions saved before fingerprints were stored are hashed here, one lineage only
+  const unhashed = await Syllabus.find({ ...readableSyllabiFilter(school), lineage, fingerprint: null })
+    .select('curriculumType topics version')
+    .lean();
+  const legacy = unhashed.find(record => syllabusVersions.topicsFingerprint(record) === fingerprint);
+  if (legacy) return { syllabusId: legacy._id, version: legacy.version };
+
+  return draft ? { draftId: draft._id } : null;
+}
+
+/**
+ * Parse and save one file of a batch upload. Never throws: the
+ * result is the file's line in the batch report.
+ * `seen` remembers files saved earlier in the batch (by bytes and
+ * by lineage + topics) so repeats are reported as duplicates.
+ */
+async function processBatchFile(file, { body, user, confirm, seen }) {
+  const report = { file: file.name };
+  if (file.error) return { ...report, status: 'failed', reason: file.error };
+
+  try {
+    const hash = syllabusBatch.fileHash(file.buffer);
+    if (seen.files.has(hash)) {
+      return { ...report, status: 'duplicate', duplicateOf: { file: seen.files.get(hash) } };
+    }
+
+    const parsed = await parseSyllabusFile(file.buffer, {
+      curriculum: body.curriculum || detectCurriculum(fileNameLines(file.name)),
+      subject: body.subject
+    });
+    if (!parsed.topics.length) {
+      return {
+        ...report,
+        status: 'failed',
+        reason: 'Could not extract syllabus structure from the document',
+        confidence: parsed.diagnostics.confidence
+      };
+    }
+
+    const { stats, diagnostics, suggestions, ...syllabusData } = parsed;
+    const fromName = detectFromFileName(file.name, parsed.curriculumType);
+
+    // Form fields apply to every file; otherwise the title page, then the file name
+    syllabusData.subject = body.subject || (suggestions.subject || fromName.subject || {}).value;
+    if (SYLLABUS_LEVEL_FIELDS.some(field => body[field])) {
+      SYLLABUS_LEVEL_FIELDS.forEach(field => {
+        if (body[field]) syllabusData[field] = body[field];
+      });
+    } else {
+      const { source, ...level } = suggestions.level || fromName.level || {};
+      Object.assign(syllabusData, level);
+    }
+    Object.assign(syllabusData, normaliseLevel(syllabusData));
+
+    Object.assign(report, {
+      subject: syllabusData.subject || null,
+      curriculumType: syllabusData.curriculumType,
+      level: describeLevel(syllabusData),
+      topics: stats.topics,
+      confidence: diagnostics.confidence
+    });
+
+    const { lineage, fingerprint } = draftKeys(syllabusData);
+    const contentKey = `${lineage}#${fingerprint}`;
+    if (seen.syllabi.has(contentKey)) {
+      return { ...report, status: 'duplicate', duplicateOf: { file: seen.syllabi.get(contentKey) } };
+    }
+    const duplicate = await findDuplicateSyllabus(lineage, fingerprint, user.school);
+    if (duplicate) return { ...report, status: 'duplicate', duplicateOf: duplicate };
+
+    if (confirm) {
+      if (!syllabusData.subject) {
+        return { ...report, status: 'failed', reason: 'Could not tell the subject from the file name or title page; send subject or upload the file on its own' };
+      }
+
+      const syllabus = await syllabusVersions.createSyllabusVersion({
+        subject: syllabusData.subject,
+        curriculumType: syllabusData.curriculumType,
+        ...Object.fromEntries(SYLLABUS_LEVEL_FIELDS.map(field => [field, syllabusData[field]])),
+        topics: syllabusData.topics
+      }, {
+        school: user.school,
+        uploadedBy: user.id,
+        activate: activateOnSave(body)
+      });
+      Object.assign(report, { syllabusId: syllabus._id, version: syllabus.version });
+    } else {
+      const draft = await SyllabusDraft.create({
+        ...syllabusData,
+        lineage,
+        fingerprint,
+        stats,
+        diagnostics,
+        suggestions,
+        fileName: file.name,
+        school: user.school,
+        uploadedBy: user.id
+      });
+      report.draftId = draft._id;
+    }
+
+    seen.files.set(hash, file.name);
+    seen.syllabi.set(contentKey, file.name);
+    return { ...report, status: 'saved' };
+  } catch (err) {
+    if (!err.statusCode && !(err instanceof mongoose.Error.ValidationError)) {
+      console.error(`❌ Batch file ${file.name} failed:`, err);
+    }
+    return { ...report, status: 'failed', reason: err.message };
+  }
+}
+
+/* ---- Helper: Refuse a batch over the byte budget before multer buffers it ---- */
+function limitBatchRequest(req, res, next) {
+  const length = Number(req.headers['content-length']);
+  if (!length) {
+    return res.status(411).json({ error: 'Content-Length is required for batch uploads' });
+  }
+  if (length > syllabusBatch.MAX_BATCH_BYTES) {
+    return res.status(413).json({ error: `A batch upload can be at most ${syllabusBatch.MAX_BATCH_BYTES / 1024 / 1024}MB` });
+  }
+  next();
+}
+
+/* ---- BATCH UPLOAD ----
+   Multipart `files`: .docx/.pdf syllabi and/or .zip archives of them.
+   Optional fields apply to every file: curriculum, subject and the
+   level fields. Each file becomes a draft, or with confirm=true the
+   next version in the library (activate=false keeps the current
+   versions active). One bad file does not stop the rest.
+------------------------------------------------------------ */
+app.post('/api/syllabi/batch', requireAuth, requireRole('admin', 'hod'), limitBatchRequest, batchUpload.array('files', MAX_BATCH_UPLOADS), async (req, res) => {
+  try {
+    if (!req.files || !req.files.length) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+    if (req.body.curriculum && !['cbc', 'obc'].includes(req.body.curriculum)) {
+      return res.status(400).json({ error: 'curriculum must be cbc or obc' });
+    }
+
+    const batch = await syllabusBatch.openBatch(req.files);
+    const options = {
+      body: req.body,
+      user: req.user,
+      confirm: req.body.confirm === true || req.body.confirm === 'true',
+      seen: { files: new Map(), syllabi: new Map() }
+    };
+
+    // One at a time: parsing is CPU-heavy, and each file is checked against those saved before it
+    const results = [];
+    for await (const file of batch.files()) {
+      results.push(await processBatchFile(file, options));
+    }
+
+    const summary = { saved: 0, duplicate: 0, failed: 0 };
+    results.forEach(result => summary[result.status]++);
+
+    console.log(`📦 Syllabus batch: ${batch.count} files, ${summary.saved} saved, ${summary.duplicate} duplicate, ${summary.failed} failed`);
+    res.json({ success: true, summary, files: results });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('❌ Syllabus batch upload error:', err);
+    res.status(500).json({ error: 'Failed to process syllabus batch' });
+  }
+});
+
+/* ---- GENERATE DOCUMENT (CLAUDE API) ---- */
+app.post('/api/generate-document', requireAuth, enforceQuota, async (req, res) => {
+  try {
+    const response = await completeContentRequest(req.body, {
+      llmOptions: llm.optionsFromBody(req.body),
+      owner: { school: req.user.school, createdBy: req.user.id }
+    });
+    res.json(response);
+
+  } catch (err) {
+    console.error('❌ Document generation error:', err);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to generate document. Please try again.' });
+  }
+});
+
+/* ---- GENERATE DOCUMENT (STREAMING, SERVER-SENT EVENTS) ----
+   Events:
+   - delta: { text }  for every chunk of generated text
+   - done:  { content, diagrams, hasDiagrams, diagramError?, documentId? }
+   - error: { error }
+------------------------------------------------------------ */
+app.post('/api/generate-document/stream', requireAuth, enforceQuota, async (req, res) => {
+  const { save, title, documentType, diagramGuide, subject } = req.body;
+
+  if (!req.body.prompt) {
+    return res.status(400).json({ error: 'Prompt is required' });
+  }
+  const prompt = withDiagramGuide(req.body.prompt, diagramGuide);
+
+  // Validate overrides before the event stream starts
+  const llmOptions = llm.optionsFromBody(req.body);
+  let resolved;
+  try {
+    resolved = llm.resolveOptions(llmOptions);
+  } catch (err) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx-style proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Abort the upstream request if the teacher closes the tab
+  const controller = new AbortController();
+  let finished = false;
+  res.on('close', () => {
+    if (!finished) {
+      console.log('⚠️ Client disconnected, aborting generation');
+      controller.abort();
+    }
+  });
+
+  // Comment frames keep idle proxies from timing out while diagrams convert
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  // Latest usage the provider reported; charged in `finally` so aborted,
+  // failed and disconnected streams still count against the quota
+  const spent = { provider: resolved.provider.name, model: resolved.model, usage: null };
+
+  try {
+    console.log('📝 Prompt length:', prompt.length);
+
+    const streamed = await llm.stream(prompt, llmOptions, {
+      signal: controller.signal,
+      onText: chunk => sendEvent('delta', { text: chunk }),
+      onUsage: usage => { spent.usage = usage; }
+    });
+    Object.assign(spent, streamed);
+
+    const { text, model } = streamed;
+    console.log('✅ Stream complete, length:', text.length);
+
+    const result = await convertContentDiagrams(text, { school: req.user.school, subject });
+
+    if (save) {
+      const saved = await GeneratedDocument.create({
+        title: title || 'Untitled document',
+        documentType: Object.hasOwn(DOCUMENT_TYPES, documentType) ? documentType : 'custom',
+        content: result.content,
+        diagrams: result.diagrams,
+        prompt,
+        model,
+        school: req.user.school,
+        createdBy: req.user.id
+      });
+      result.documentId = saved._id;
+    }
+
+    sendEvent('done', result);
+
+  } catch (err) {
+    if (controller.signal.aborted) {
+      console.log('🛑 Streaming generation aborted');
+    } else {
+      console.error('❌ Streaming generation error:', err);
+      sendEvent('error', {
+        error: err.statusCode ? err.message : 'Failed to generate document. Please try again.'
+      });
+    }
+  } finally {
+    finished = true;
+    clearInterval(keepAlive);
+    res.end();
+
+    if (spent.usage) {
+      await trackUsage({ school: req.user.school, createdBy: req.user.id }, spent, 'stream')
+        .catch(err => console.error('❌ Failed to record streamed usage:', err));
+    }
+  }
+});
+
+/* ---- GENERATE STRUCTURED DOCUMENT FROM A SYLLABUS SUBTOPIC ---- */
+app.post('/api/generate-document/structured', requireAuth, enforceQuota, async (req, res) => {
+  try {
+    const prepared = await prepareStructuredRequest(req.body, { school: req.user.school });
+    const response = await completeStructuredRequest(prepared, {
+      llmOptions: llm.optionsFromBody(req.body),
+      save: req.body.save,
+      owner: { school: req.user.school, createdBy: req.user.id }
+    });
+    res.json(response);
+
+  } catch (err) {
+    console.error('❌ Structured document generation error:', err);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to generate document. Please try again.' });
+  }
+});
+
+/* ============================================================
+   GENERATION JOBS (ASYNC QUEUE)
+   POST returns a job id immediately; a worker runs the generation
+   with retry/backoff. Poll GET /api/jobs/:id or listen on
+   GET /api/jobs/:id/events for completion.
+============================================================ */
+
+/* ---- Helper: Public view of a job ---- */
+function serializeJob(job) {
+  return {
+    id: job._id,
+    kind: job.kind,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextAttemptAt: job.status === 'queued' ? job.runAt : undefined,
+    lastError: job.status === 'queued' ? job.lastError : undefined,
+    cancelRequested: job.cancelRequested,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/* ---- CREATE GENERATION JOB ---- */
+app.post('/api/jobs', requireAuth, enforceQuota, async (req, res) => {
+  try {
+    const { kind = 'document' } = req.body;
+    const llmOptions = llm.optionsFromBody(req.body);
+    llm.resolveOptions(llmOptions); // Reject bad overrides now, not in the worker
+
+    let input;
+    if (kind === 'structured') {
+      const { syllabusId, topicId, subtopicId, documentType, details, save, schemeId, week } = req.body;
+      input = { syllabusId, topicId, subtopicId, documentType, details, save, schemeId, week };
+      await prepareStructuredRequest(input, { school: req.user.school });
+    } else if (kind === 'document') {
+      const { prompt, save, title, documentType, diagramGuide, subject } = req.body;
+      if (!prompt) {
+        return res.status(400).json({ error: 'Prompt is required' });
+      }
+      input = { prompt, save, title, documentType, diagramGuide, subject };
+    } else {
+      return res.status(400).json({ error: 'kind must be document or structured' });
+    }
+
+    const job = await jobQueue.enqueue(kind, input, llmOptions, {
+      school: req.user.school,
+      createdBy: req.user.id
+    });
+    console.log(`📥 Queued ${kind} job ${job._id}`);
+
+    res.status(202).json({ success: true, job: serializeJob(job) });
+
+  } catch (err) {
+    console.error('❌ Error creating job:', err);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to queue generation' });
+  }
+});
+
+/* ---- GET JOB STATUS ---- */
+app.get('/api/jobs/:id', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = await GenerationJob.findOne({ _id: req.params.id, school: req.user.school }).lean();
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(serializeJob(job));
+  } catch (err) {
+    console.error('❌ Error fetching job:', err);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+/* ---- JOB COMPLETION EVENTS (SERVER-SENT EVENTS) ----
+   Sends `status` on connect and whenever the job changes, then
+   `done` with the final job once it finishes.
+------------------------------------------------------------ */
+app.get('/api/jobs/:id/events', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = await GenerationJob.findOne({ _id: req.params.id, school: req.user.school }).lean();
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const jobId = String(job._id);
+    let lastStatus = null;
+    let closed = false;
+
+    const send = current => {
+      if (closed) return;
+      const event = jobQueue.TERMINAL_STATUSES.includes(current.status) ? 'done' : 'status';
+      if (event === 'status' && current.status === lastStatus) return;
+      lastStatus = current.status;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(serializeJob(current))}\n\n`);
+      if (event === 'done') cleanup();
+    };
+
+    const onFinished = finished => {
+      if (String(finished._id) === jobId) send(finished);
+    };
+
+    // The job may run on another instance, so also poll Mongo
+    const poll = setInterval(async () => {
+      const current = await GenerationJob.findById(jobId).lean().catch(() => null);
+      if (current) send(current);
+    }, 3000);
+
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    function cleanup() {
+      if (closed) return;
+      closed = true;
+      clearInterval(poll);
+      clearInterval(keepAlive);
+      jobQueue.events.off('finished', onFinished);
+      res.end();
+    }
+
+    jobQueue.events.on('finished', onFinished);
+    res.on('close', cleanup);
+    send(job);
+
+  } catch (err) {
+    console.error('❌ Error streaming job events:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to fetch job' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/* ---- CANCEL JOB ---- */
+app.post('/api/jobs/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const owned = await GenerationJob.findOne({ _id: req.params.id, school: req.user.school })
+      .select('createdBy')
+      .lean();
+    if (!owned) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!canManage(req.user, owned)) {
+      return res.status(403).json({ error: 'You can only cancel your own jobs' });
+    }
+
+    const job = await jobQueue.cancel(req.params.id);
+
+    if (['succeeded', 'failed'].includes(job.status)) {
+      return res.status(409).json({ error: `Job already ${job.status}`, job: serializeJob(job) });
+    }
+
+    console.log(`🛑 Cancellation requested for job ${job._id}`);
+    res.json({ success: true, job: serializeJob(job) });
+  } catch (err) {
+    console.error('❌ Error cancelling job:', err);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+/* ============================================================
+   GENERATED DOCUMENTS (HISTORY & VERSIONS)
+============================================================ */
+
+// Heavy fields left out of list responses
+const DOCUMENT_LIST_FIELDS = '-content -sections -diagrams -plan -prompt -versions';
+
+/* ---- SAVE GENERATED DOCUMENT ---- */
+app.post('/api/documents', requireAuth, async (req, res) => {
+  try {
+    const {
+      title, documentType, content, sections, diagrams,
+      prompt, model, syllabusId, topicId, subtopicId
+    } = req.body;
+
+    if (!title || !prompt) {
+      return res.status(400).json({ error: 'title and prompt are required' });
+    }
+
+    if (!content && !(Array.isArray(sections) && sections.length)) {
+      return res.status(400).json({ error: 'content or sections are required' });
+    }
+
+    if (syllabusId && !(await Syllabus.exists({ _id: syllabusId, ...readableSyllabiFilter(req.user.school) }))) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    const saved = await GeneratedDocument.create({
+      title,
+      documentType: documentType || 'custom',
+      content: content || '',
+      sections: sections || [],
+      diagrams: diagrams || [],
+      prompt,
+      model,
+      syllabus: syllabusId || null,
+      topicId: topicId || null,
+      subtopicId: subtopicId || null,
+      school: req.user.school,
+      createdBy: req.user.id
+    });
+
+    console.log(`💾 Saved generated document "${saved.title}"`);
+    res.status(201).json({ success: true, document: saved });
+
+  } catch (err) {
+    console.error('❌ Error saving document:', err);
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to save document' });
+  }
+});
+
+/* ---- LIST GENERATED DOCUMENTS ---- */
+app.get('/api/documents', requireAuth, async (req, res) => {
+  try {
+    const filter = { school: req.user.school };
+    if (req.query.mine === 'true') filter.createdBy = req.user.id;
+    if (req.query.syllabusId) filter.syllabus = req.query.syllabusId;
+    if (req.query.documentType) filter.documentType = req.query.documentType;
+
+    const documents = await GeneratedDocument.find(filter)
+      .select(DOCUMENT_LIST_FIELDS)
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json(documents);
+  } catch (err) {
+    console.error('❌ Error fetching documents:', err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+/* ---- GET SINGLE GENERATED DOCUMENT ---- */
+app.get('/api/documents/:id', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const document = await GeneratedDocument.findOne({ _id: req.params.id, school: req.user.school }).lean();
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    // Summarise older versions; fetch one through /versions/:version
+    document.versions = document.versions.map(v => ({
+      version: v.version,
+      model: v.model,
+      generatedAt: v.generatedAt
+    }));
+
+    res.json(document);
+  } catch (err) {
+    console.error('❌ Error fetching document:', err);
+    res.status(500).json({ error: 'Failed to fetch document' });
+  }
+});
+
+/* ---- GET A PREVIOUS VERSION OF A DOCUMENT ---- */
+app.get('/api/documents/:id/versions/:version', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const document = await GeneratedDocument.findOne({ _id: req.params.id, school: req.user.school }).lean();
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const version = document.versions.find(v => v.version === Number(req.params.version));
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json(version);
+  } catch (err) {
+    console.error('❌ Error fetching document version:', err);
+    res.status(500).json({ error: 'Failed to fetch document version' });
+  }
+});
+
+/* ---- RENAME GENERATED DOCUMENT ---- */
+app.patch('/api/documents/:id', requireAuth, async (req, res) => {
+  try {
+    const title = (req.body.title || '').trim();
+    if (!title) {
+      return res.status(400).json({ error: 'title is required' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const document = await GeneratedDocument.findOne({ _id: req.params.id, school: req.user.school })
+      .select(DOCUMENT_LIST_FIELDS);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (!canManage(req.user, document)) {
+      return res.status(403).json({ error: 'You can only rename your own documents' });
+    }
+
+    document.title = title;
+    await document.save();
+
+    res.json({ success: true, document });
+  } catch (err) {
+    console.error('❌ Error renaming document:', err);
+    res.status(500).json({ error: 'Failed to rename document' });
+  }
+});
+
+/* ---- REGENERATE DOCUMENT (KEEPS PREVIOUS VERSION) ---- */
+app.post('/api/documents/:id/regenerate', requireAuth, enforceQuota, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const document = await GeneratedDocument.findOne({ _id: req.params.id, school: req.user.school });
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (!canManage(req.user, document)) {
+      return res.status(403).json({ error: 'You can only regenerate your own documents' });
+    }
+
+    // Teachers may tweak the prompt before regenerating
+    let prompt = req.body.prompt || document.prompt;
+    const isStructured = document.sections.length > 0 && Object.hasOwn(DOCUMENT_TYPES, document.documentType);
+
+    console.log(`🔁 Regenerating document "${document.title}" (v${document.version})...`);
+
+    const llmOptions = llm.optionsFromBody(req.body);
+    const usageOptions = {
+      owner: { school: req.user.school, createdBy: req.user.id },
+      purpose: 'regenerate'
+    };
+
+    let next;
+    if (document.plan) {
+      // Planned schemes are re-planned from the current syllabus,
+      // optionally with new term dates, holidays, periods or topics
+      const syllabus = await Syllabus.findOne({ _id: document.syllabus, ...readableSyllabiFilter(req.user.school) }).lean();
+      if (!syllabus) {
+        return res.status(404).json({ error: 'The syllabus this scheme was planned from no longer exists' });
+      }
+
+      const input = schemeOfWork.normaliseSchemeInput({ ...document.plan, ...pickSchemeFields(req.body) });
+      const plan = schemeOfWork.buildSchemePlan(syllabus, input);
+      next = { content: '', sections: schemeOfWork.schemeSections(plan), diagrams: [], plan, model: undefined };
+      prompt = schemeOfWork.schemePrompt(plan);
+    } else if (isStructured) {
+      const structured = await generateStructuredContent(prompt, document.documentType, llmOptions, usageOptions);
+      const { sections, diagrams } = DOCUMENT_TYPES[document.documentType].diagrams
+        ? await convertSectionDiagrams(structured.sections, { school: req.user.school, subject: req.body.subject })
+        : { sections: structured.sections, diagrams: [] };
+      next = { content: '', sections, diagrams, model: structured.model };
+    } else {
+      const result = await generateContent(prompt, llmOptions, { ...usageOptions, subject: req.body.subject });
+      next = { content: result.content, sections: [], diagrams: result.diagrams, model: result.model };
+    }
+
+    document.versions.push({
+      version: document.version,
+      content: document.content,
+      sections: document.sections,
+      diagrams: document.diagrams,
+      plan: document.plan,
+      prompt: document.prompt,
+      model: document.model,
+      generatedAt: document.generatedAt
+    });
+
+    document.set({
+      ...next,
+      prompt,
+      version: document.version + 1,
+      generatedAt: new Date()
+    });
+
+    await document.save();
+
+    console.log(`✅ Document regenerated as v${document.version}`);
+    res.json({ success: true, document });
+
+  } catch (err) {
+    console.error('❌ Error regenerating document:', err);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to regenerate document. Please try again.' });
+  }
+});
+
+/* ---- DELETE GENERATED DOCUMENT ---- */
+app.delete('/api/documents/:id', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.json({ success: true });
+    }
+
+    const document = await GeneratedDocument.findOne({ _id: req.params.id, school: req.user.school })
+      .select('createdBy')
+      .lean();
+
+    if (document) {
+      if (!canManage(req.user, document)) {
+        return res.status(403).json({ error: 'You can only delete your own documents' });
+      }
+      await GeneratedDocument.deleteOne({ _id: document._id });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Error deleting document:', err);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+/* ============================================================
+   SCHEMES OF WORK
+   Termly plans built from a syllabus without the AI: topics are
+   spread over the teaching weeks by competence/outcome count.
+   Saved as scheme-of-work documents, so the normal export,
+   regenerate and history routes apply.
+============================================================ */
+
+// Planner inputs that can be changed when a scheme is regenerated
+const SCHEME_FIELDS = ['termStart', 'termEnd', 'holidays', 'periodsPerWeek', 'topicIds'];
+
+/* ---- Helper: Planner inputs present in a request body ---- */
+function pickSchemeFields(body) {
+  const fields = {};
+  SCHEME_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+}
+
+/* ---- PLAN A SCHEME OF WORK ----
+   Body: { syllabusId, termStart, termEnd, periodsPerWeek, holidays?, topicIds?, title?, save? }
+   Dates are YYYY-MM-DD; holidays are dates or { start, end?, name? }
+------------------------------------------------------------ */
+app.post('/api/schemes-of-work', requireAuth, async (req, res) => {
+  try {
+    const { syllabusId, title, save = true } = req.body;
+
+    if (!syllabusId) {
+      return res.status(400).json({ error: 'syllabusId is required' });
+    }
+    if (!mongoose.isValidObjectId(syllabusId)) {
+      return res.status(400).json({ error: 'Invalid syllabusId' });
+    }
+
+    const input = schemeOfWork.normaliseSchemeInput(req.body);
+
+    const syllabus = await Syllabus.findOne({ _id: syllabusId, ...readableSyllabiFilter(req.user.school) }).lean();
+    if (!syllabus) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    const plan = schemeOfWork.buildSchemePlan(syllabus, input);
+    const document = {
+      documentType: 'scheme-of-work',
+      title: (title || '').trim() || `${[syllabus.subject, plan.level].filter(Boolean).join(' ')} Scheme of Work`,
+      subject: syllabus.subject,
+      curriculumType: syllabus.curriculumType,
+      level: plan.level,
+      syllabusId: syllabus._id,
+      sections: schemeOfWork.schemeSections(plan),
+      plan
+    };
+
+    const response = { success: true, document };
+
+    if (save) {
+      const saved = await GeneratedDocument.create({
+        title: document.title,
+        documentType: 'scheme-of-work',
+        sections: document.sections,
+        plan,
+        prompt: schemeOfWork.schemePrompt(plan),
+        syllabus: syllabus._id,
+        school: req.user.school,
+        createdBy: req.user.id
+      });
+      response.documentId = saved._id;
+    }
+
+    console.log(`🗓️ Planned ${plan.totalPeriods} periods over ${plan.weeks.length} weeks for "${syllabus.subject}"`);
+    res.json(response);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('❌ Error planning scheme of work:', err);
+    res.status(500).json({ error: 'Failed to plan scheme of work' });
+  }
+});
+
+/* ============================================================
+   ASSESSMENTS & QUESTION BANKS
+   Quizzes, tests and end-of-term papers generated for selected
+   subtopics. Every question is tagged with the competences or
+   outcomes it assesses; banks are shuffled into new papers.
+============================================================ */
+
+// Heavy fields left out of list responses
+const QUESTION_BANK_LIST_FIELDS = '-questions -items -prompt';
+
+// Banks one paper can draw from
+const MAX_PAPER_BANKS = 20;
+
+/* ---- Helper: A bank with its coverage summary ---- */
+function serializeQuestionBank(bank) {
+  const plain = typeof bank.toObject === 'function' ? bank.toObject() : bank;
+  return { ...plain, coverage: assessments.coverageSummary(plain.items, plain.questions) };
+}
+
+/* ---- Helper: Load a question bank of the caller's school ---- */
+async function findQuestionBank(id, school) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return QuestionBank.findOne({ _id: id, school });
+}
+
+/* ---- GENERATE AN ASSESSMENT INTO A QUESTION BANK ----
+   Body: { syllabusId, subtopics: [{ topicId, subtopicId? }], assessmentType,
+           questionCounts?: { 'multiple-choice', 'short-answer', structured },
+           title?, details? }
+------------------------------------------------------------ */
+app.post('/api/assessments/generate', requireAuth, enforceQuota, async (req, res) => {
+  try {
+    const { syllabusId, subtopics, assessmentType = 'test', questionCounts, title, details } = req.body;
+
+    if (!Object.hasOwn(assessments.ASSESSMENT_TYPES, assessmentType)) {
+      return res.status(400).json({ error: `assessmentType must be one of: ${Object.keys(assessments.ASSESSMENT_TYPES).join(', ')}` });
+    }
+    if (!syllabusId) {
+      return res.status(400).json({ error: 'syllabusId is required' });
+    }
+    if (!mongoose.isValidObjectId(syllabusId)) {
+      return res.status(400).json({ error: 'Invalid syllabusId' });
+    }
+
+    const counts = assessments.resolveQuestionCounts(assessmentType, questionCounts);
+
+    const syllabus = await Syllabus.findOne({ _id: syllabusId, ...readableSyllabiFilter(req.user.school) }).lean();
+    if (!syllabus) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    const scope = assessments.collectAssessmentItems(syllabus, subtopics);
+    const prompt = assessments.buildAssessmentPrompt({
+      syllabus,
+      items: scope.items,
+      assessmentType,
+      counts,
+      details: details || {}
+    });
+
+    console.log(`🤖 Generating ${assessmentType} for ${scope.items.length} curriculum items...`);
+    console.log('📝 Prompt length:', prompt.length);
+
+    const generated = await generateAssessment(
+      prompt,
+      scope.items,
+      assessments.ASSESSMENT_TYPES[assessmentType].title,
+      llm.optionsFromBody(req.body),
+      { owner: { school: req.user.school, createdBy: req.user.id } }
+    );
+
+    const bank = await QuestionBank.create({
+      title: (title || '').trim() || generated.title,
+      assessmentType,
+      syllabus: syllabus._id,
+      subject: syllabus.subject,
+      curriculumType: syllabus.curriculumType,
+      level: describeLevel(syllabus),
+      subtopics: scope.subtopics,
+      items: scope.items,
+      questions: generated.questions,
+      prompt,
+      model: generated.model,
+      school: req.user.school,
+      createdBy: req.user.id
+    });
+
+    console.log(`✅ Question bank "${bank.title}" saved with ${bank.questions.length} questions (${generated.discarded} discarded)`);
+    res.status(201).json({ success: true, bank: serializeQuestionBank(bank), discarded: generated.discarded });
+
+  } catch (err) {
+    console.error('❌ Assessment generation error:', err);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to generate assessment. Please try again.' });
+  }
+});
+
+/* ---- LIST QUESTION BANKS ---- */
+app.get('/api/question-banks', requireAuth, async (req, res) => {
+  try {
+    const filter = { school: req.user.school };
+    if (req.query.mine === 'true') filter.createdBy = req.user.id;
+    if (req.query.syllabusId) filter.syllabus = req.query.syllabusId;
+    if (req.query.assessmentType) filter.assessmentType = req.query.assessmentType;
+
+    const banks = await QuestionBank.find(filter)
+      .select(QUESTION_BANK_LIST_FIELDS)
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json(banks);
+  } catch (err) {
+    console.error('❌ Error fetching question banks:', err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch question banks' });
+  }
+});
+
+/* ---- GET QUESTION BANK (WITH COVERAGE) ---- */
+app.get('/api/question-banks/:id', requireAuth, async (req, res) => {
+  try {
+    const bank = await findQuestionBank(req.params.id, req.user.school);
+    if (!bank) {
+      return res.status(404).json({ error: 'Question bank not found' });
+    }
+    res.json(serializeQuestionBank(bank));
+  } catch (err) {
+    console.error('❌ Error fetching question bank:', err);
+    res.status(500).json({ error: 'Failed to fetch question bank' });
+  }
+});
+
+/* ---- RENAME QUESTION BANK ---- */
+app.patch('/api/question-banks/:id', requireAuth, async (req, res) => {
+  try {
+    const title = (req.body.title || '').trim();
+    if (!title) {
+      return res.status(400).json({ error: 'title is required' });
+    }
+
+    const bank = await findQuestionBank(req.params.id, req.user.school);
+    if (!bank) {
+      return res.status(404).json({ error: 'Question bank not found' });
+    }
+    if (!canManage(req.user, bank)) {
+      return res.status(403).json({ error: 'You can only rename your own question banks' });
+    }
+
+    bank.title = title;
+    await bank.save();
+
+    res.json({ success: true, bank: serializeQuestionBank(bank) });
+  } catch (err) {
+    console.error('❌ Error renaming question bank:', err);
+    res.status(500).json({ error: 'Failed to rename question bank' });
+  }
+});
+
+/* ---- REMOVE A QUESTION FROM A BANK ---- */
+app.delete('/api/question-banks/:id/questions/:questionId', requireAuth, async (req, res) => {
+  try {
+    const bank = await findQuestionBank(req.params.id, req.user.school);
+    const question = bank && mongoose.isValidObjectId(req.params.questionId)
+      ? bank.questions.id(req.params.questionId)
+      : null;
+
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    if (!canManage(req.user, bank)) {
+      return res.status(403).json({ error: 'You can only edit your own question banks' });
+    }
+
+    question.deleteOne();
+    await bank.save();
+
+    res.json({ success: true, bank: serializeQuestionBank(bank) });
+  } catch (err) {
+    console.error('❌ Error removing question:', err);
+    res.status(500).json({ error: 'Failed to remove question' });
+  }
+});
+
+/* ---- DELETE QUESTION BANK ---- */
+app.delete('/api/question-banks/:id', requireAuth, async (req, res) => {
+  try {
+    const bank = await findQuestionBank(req.params.id, req.user.school);
+
+    if (bank) {
+      if (!canManage(req.user, bank)) {
+        return res.status(403).json({ error: 'You can only delete your own question banks' });
+      }
+      await QuestionBank.deleteOne({ _id: bank._id });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Error deleting question bank:', err);
+    res.status(500).json({ error: 'Failed to delete question bank' });
+  }
+});
+
+/* ---- SHUFFLE BANKS INTO A NEW PAPER ----
+   Body: { bankIds, questionCounts?, seed?, shuffleOptions?, title?, duration? }
+   The same seed and banks give the same paper. The returned sections
+   can be sent to /api/export/docx or /api/export/pdf.
+------------------------------------------------------------ */
+app.post('/api/question-banks/papers', requireAuth, async (req, res) => {
+  try {
+    const { bankIds, questionCounts, shuffleOptions = true, title, duration } = req.body;
+
+    if (!Array.isArray(bankIds) || !bankIds.length || bankIds.length > MAX_PAPER_BANKS) {
+      return res.status(400).json({ error: `bankIds must list 1 to ${MAX_PAPER_BANKS} question banks` });
+    }
+    if (!bankIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: 'Invalid bank id' });
+    }
+
+    const seed = req.body.seed === undefined ? Math.floor(Math.random() * 2 ** 31) : Number(req.body.seed);
+    if (!Number.isInteger(seed) || seed < 0) {
+      return res.status(400).json({ error: 'seed must be a whole number' });
+    }
+
+    const counts = assessments.parseQuestionCounts(questionCounts);
+
+    const banks = await QuestionBank.find({ _id: { $in: bankIds }, school: req.user.school })
+      .select('title assessmentType subject level items questions')
+      .lean();
+    if (banks.length !== new Set(bankIds.map(String)).size) {
+      return res.status(404).json({ error: 'Question bank not found' });
+    }
+
+    // Keep the requested bank order so a seed always draws from the same pool
+    const ordered = bankIds.map(id => banks.find(bank => String(bank._id) === String(id)));
+    const pool = ordered.flatMap(bank => bank.questions.map(question => ({ ...question, bank: bank._id })));
+    const items = ordered.flatMap(bank => bank.items);
+
+    const paper = assessments.drawPaper(pool, { counts, seed, shuffleOptions: Boolean(shuffleOptions) });
+    if (!paper.questions.length) {
+      return res.status(400).json({ error: 'No questions match the requested counts' });
+    }
+
+    const first = ordered[0];
+    const paperTitle = (title || '').trim() || first.title;
+
+    res.json({
+      success: true,
+      paper: {
+        title: paperTitle,
+        subtitle: [first.subject, first.level].filter(Boolean).join(' · ') || undefined,
+        ...paper,
+        sections: assessments.paperSections(paper, { duration })
+      },
+      coverage: assessments.coverageSummary(items, paper.questions)
+    });
+  } catch (err) {
+    console.error('❌ Error building paper:', err);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to build paper' });
+  }
+});
+
+/* ============================================================
+   AI USAGE & QUOTAS
+============================================================ */
+
+const USAGE_GROUPS = ['school', 'user', 'day', 'model'];
+
+/* ---- MY USAGE & REMAINING ALLOWANCE ---- */
+app.get('/api/usage/me', requireAuth, async (req, res) => {
+  try {
+    const { quotas } = await getQuotaStatus({ school: req.user.school, user: req.user.id });
+    res.json({ quotas });
+  } catch (err) {
+    console.error('❌ Error fetching usage:', err);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+/* ---- USAGE REPORT ----
+   Query: from, to (ISO dates, default: this month), groupBy (school|user|day|model)
+   School admins see their own school. Platform admins may pass scope=all
+   (or schoolId=...) to report across schools for billing.
+------------------------------------------------------------ */
+app.get('/api/usage/report', requireAuth, async (req, res) => {
+  try {
+    const platform = isPlatformAdmin(req.user);
+
+    if (!platform && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const to = req.query.to ? new Date(req.query.to) : now;
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+    }
+
+    let match = { school: req.user.school };
+    if (platform && req.query.scope === 'all') {
+      match = {};
+    } else if (platform && req.query.schoolId) {
+      if (!mongoose.isValidObjectId(req.query.schoolId)) {
+        return res.status(400).json({ error: 'Invalid schoolId' });
+      }
+      match = { school: new mongoose.Types.ObjectId(req.query.schoolId) };
+    }
+
+    const groupBy = req.query.groupBy || (match.school ? 'user' : 'school');
+    if (!USAGE_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy must be one of: ${USAGE_GROUPS.join(', ')}` });
+    }
+
+    const report = await usageReport({ match, from, to, groupBy });
+
+    // Attach readable names to user/school ids
+    if (groupBy === 'user' || groupBy === 'school') {
+      const Model = groupBy === 'user' ? User : School;
+      const docs = await Model.find({ _id: { $in: report.rows.map(r => r._id) } })
+        .select(groupBy === 'user' ? 'name email' : 'name')
+        .lean();
+      const byId = new Map(docs.map(d => [String(d._id), d]));
+      report.rows.forEach(row => {
+        const doc = byId.get(String(row._id));
+        row.name = doc?.name || '(deleted)';
+        if (doc?.email) row.email = doc.email;
+      });
+    }
+
+    res.json({
+      from,
+      to,
+      groupBy,
+      rows: report.rows.map(({ _id, ...row }) => ({ key: _id, ...row })),
+      totals: report.totals
+    });
+
+  } catch (err) {
+    console.error('❌ Error building usage report:', err);
+    res.status(500).json({ error: 'Failed to build usage report' });
+  }
+});
+
+/* ---- SET A SCHOOL'S QUOTAS (PLATFORM ADMINS) ----
+   Body: { dailyTokens, monthlyTokens, userDailyTokens, userMonthlyTokens }
+   null = deployment default, 0 = unlimited
+------------------------------------------------------------ */
+app.patch('/api/usage/quotas/:schoolId', requireAuth, requirePlatformAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.schoolId)) {
+      return res.status(404).json({ error: 'School not found' });
+    }
+
+    const updates = {};
+    for (const field of ['dailyTokens', 'monthlyTokens', 'userDailyTokens', 'userMonthlyTokens']) {
+      if (req.body[field] === undefined) continue;
+      const value = req.body[field];
+      if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+        return res.status(400).json({ error: `${field} must be a non-negative integer or null` });
+      }
+      updates[`quotas.${field}`] = value;
+    }
+
+    const school = await School.findByIdAndUpdate(req.params.schoolId, { $set: updates }, { new: true })
+      .select('name quotas');
+    if (!school) {
+      return res.status(404).json({ error: 'School not found' });
+    }
+
+    console.log(`📏 ${req.user.email} updated quotas for "${school.name}"`);
+    res.json({ success: true, school });
+  } catch (err) {
+    console.error('❌ Error updating quotas:', err);
+    res.status(500).json({ error: 'Failed to update quotas' });
+  }
+});
+
+/* ============================================================
+   DIAGRAM LIBRARY
+   Rendered diagrams are stored once per content hash
+   (services/diagramStore.js). Documents reference them by URL and
+   teachers can search their school's diagrams to reuse them.
+============================================================ */
+
+// Ids are content hashes, so a PNG never changes once served
+const DIAGRAM_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+// An SVG is only served until a converter produces the PNG
+const DIAGRAM_SVG_CACHE_CONTROL = 'public, max-age=3600';
+
+/* ---- Helper: Library entry as returned to the client ---- */
+function serializeDiagram(diagram) {
+  return {
+    diagramId: diagram.hash,
+    url: diagramStore.diagramUrl(diagram.hash),
+    caption: diagram.caption,
+    captions: diagram.captions,
+    subjects: diagram.subjects,
+    width: diagram.width,
+    height: diagram.height,
+    format: diagram.png ? 'png' : 'svg',
+    spec: diagram.spec,
+    useCount: diagram.useCount,
+    lastUsedAt: diagram.lastUsedAt,
+    ...(diagram.score !== undefined ? { score: diagram.score } : {})
+  };
+}
+
+/* ---- SEARCH THE SCHOOL'S DIAGRAMS ----
+   Query: q (caption words), subject (prefix), limit (default 20, max 50)
+   Entries can be added to a document's `diagrams` as
+   { index, caption, diagramId } to reuse them.
+------------------------------------------------------------ */
+app.get('/api/diagrams', requireAuth, async (req, res) => {
+  try {
+    const { q, subject } = req.query;
+    if ([q, subject].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({ error: 'q and subject may only be given once' });
+    }
+
+    const diagrams = await diagramStore.searchDiagrams({
+      school: req.user.school,
+      q: q && q.trim(),
+      subject: subject && subject.trim(),
+      limit: syllabusSearch.pageLimit(req.query, 20, 50)
+    });
+
+    res.json(diagrams.map(serializeDiagram));
+  } catch (err) {
+    console.error('❌ Error searching diagrams:', err);
+    res.status(500).json({ error: 'Failed to search diagrams' });
+  }
+});
+
+/* ---- SERVE A DIAGRAM IMAGE ----
+   Public so documents can show it with a plain <img src>; the id is
+   the content hash. PNG when converted, otherwise the sanitised SVG
+   (also with ?format=svg).
+------------------------------------------------------------ */
+app.get('/api/diagrams/:id', async (req, res) => {
+  try {
+    if (!diagramStore.isDiagramId(req.params.id)) {
+      return res.status(404).json({ error: 'Diagram not found' });
+    }
+
+    const diagram = await Diagram.findOne({ hash: req.params.id }).select('hash png svg').lean();
+    if (!diagram) {
+      return res.status(404).json({ error: 'Diagram not found' });
+    }
+
+    const asPng = Boolean(diagram.png) && req.query.format !== 'svg';
+    const etag = `"${diagram.hash}.${asPng ? 'png' : 'svg'}"`;
+
+    res.set({
+      'Cache-Control': asPng ? DIAGRAM_CACHE_CONTROL : DIAGRAM_SVG_CACHE_CONTROL,
+      'ETag': etag,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
+    }
+
+    if (asPng) {
+      res.type('png').send(await diagramStore.readPng(diagram));
+    } else {
+      // Sanitised already; the policy stops anything active if opened directly
+      res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+      res.type('image/svg+xml').send(diagram.svg);
+    }
+  } catch (err) {
+    console.error('❌ Error serving diagram:', err);
+    res.status(500).json({ error: 'Failed to load diagram' });
+  }
+});
+
+/* ============================================================
+   DOCUMENT EXPORT
+============================================================ */
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/* ---- Helper: Safe download file name from a document title ---- */
+function attachmentName(title, extension) {
+  const base = (title || 'document')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .slice(0, 80);
+  return `${base || 'document'}.${extension}`;
+}
+
+/* ---- Helper: "Mathematics · Grade 5 · CBC" line for a linked syllabus ---- */
+function syllabusSubtitle(syllabus) {
+  if (!syllabus) return undefined;
+  return [syllabus.subject, describeLevel(syllabus), syllabus.curriculumType.toUpperCase()]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+/**
+ * Load a saved document (and its source syllabus) in the shape the exporters expect.
+ * Returns null when the document does not exist in the school.
+ */
+async function loadExportDocument(id, school) {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  const document = await GeneratedDocument.findOne({ _id: id, school })
+    .select('title content sections diagrams syllabus')
+    .populate('syllabus', 'subject curriculumType category yearRange grade form gradeRange')
+    .lean();
+  if (!document) return null;
+
+  return {
+    title: document.title,
+    subtitle: syllabusSubtitle(document.syllabus),
+    content: document.content,
+    sections: document.sections,
+    diagrams: await diagramStore.resolveDiagrams(document.diagrams),
+    syllabus: document.syllabus
+  };
+}
+
+/**
+ * Letterhead for an export request: an explicit `letterhead` object, or the
+ * user's school details when `useSchoolLetterhead` is set.
+ */
+async function resolveLetterhead(req) {
+  if (req.body.letterhead) return req.body.letterhead;
+  if (!req.body.useSchoolLetterhead) return null;
+
+  const school = await School.findById(req.user.school).lean();
+  if (!school) return null;
+
+  return {
+    schoolName: school.name,
+    address: school.address,
+    contact: school.contact,
+    motto: school.motto,
+    logoBase64: school.logoBase64
+  };
+}
+
+/* ---- EXPORT SAVED DOCUMENT TO DOCX ----
+   Body (optional): { letterhead: { schoolName, address, contact, motto, logoBase64 } }
+   or { useSchoolLetterhead: true } to use the school's saved details
+------------------------------------------------------------ */
+app.post('/api/documents/:id/export/docx', requireAuth, async (req, res) => {
+  try {
+    const document = await loadExportDocument(req.params.id, req.user.school);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const buffer = await buildDocx(document, await resolveLetterhead(req));
+
+    console.log(`📄 Exported "${document.title}" to DOCX (${buffer.length} bytes)`);
+    res.set('Content-Type', DOCX_MIME);
+    res.attachment(attachmentName(document.title, 'docx'));
+    res.send(buffer);
+  } catch (err) {
+    console.error('❌ DOCX export error:', err);
+    res.status(500).json({ error: 'Failed to export document' });
+  }
+});
+
+/* ---- EXPORT UNSAVED CONTENT TO DOCX ----
+   Body: { title, subtitle?, content | sections, diagrams?, letterhead? }
+------------------------------------------------------------ */
+app.post('/api/export/docx', requireAuth, async (req, res) => {
+  try {
+    const { title, subtitle, content, sections, diagrams } = req.body;
+
+    if (!content && !(Array.isArray(sections) && sections.length)) {
+      return res.status(400).json({ error: 'content or sections are required' });
+    }
+
+    const document = {
+      title: title || 'Untitled document',
+      subtitle,
+      content,
+      sections,
+      diagrams: await diagramStore.resolveDiagrams(diagrams)
+    };
+    const buffer = await buildDocx(document, await resolveLetterhead(req));
+
+    res.set('Content-Type', DOCX_MIME);
+    res.attachment(attachmentName(document.title, 'docx'));
+    res.send(buffer);
+  } catch (err) {
+    console.error('❌ DOCX export error:', err);
+    res.status(500).json({ error: 'Failed to export document' });
+  }
+});
+
+/* ---- Helper: Footer details for a PDF from the linked syllabus ---- */
+function syllabusFooter(syllabus) {
+  if (!syllabus) return {};
+  return {
+    subject: syllabus.subject,
+    level: describeLevel(syllabus),
+    curriculumType: syllabus.curriculumType
+  };
+}
+
+/* ---- EXPORT SAVED DOCUMENT TO PDF ----
+   Footer shows subject, grade/form and curriculum type of the source syllabus;
+   body `footer` ({ subject, level, curriculumType }) fills in or overrides them.
+------------------------------------------------------------ */
+app.post('/api/documents/:id/export/pdf', requireAuth, async (req, res) => {
+  try {
+    const document = await loadExportDocument(req.params.id, req.user.school);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const buffer = await buildPdf(document, {
+      ...syllabusFooter(document.syllabus),
+      ...(req.body.footer || {})
+    });
+
+    console.log(`📄 Exported "${document.title}" to PDF (${buffer.length} bytes)`);
+    res.set('Content-Type', 'application/pdf');
+    res.attachment(attachmentName(document.title, 'pdf'));
+    res.send(buffer);
+  } catch (err) {
+    console.error('❌ PDF export error:', err);
+    res.status(500).json({ error: 'Failed to export document' });
+  }
+});
+
+/* ---- EXPORT UNSAVED CONTENT TO PDF ----
+   Body: { title, subtitle?, content | sections, diagrams?, footer? }
+------------------------------------------------------------ */
+app.post('/api/export/pdf', requireAuth, async (req, res) => {
+  try {
+    const { title, subtitle, content, sections, diagrams, footer } = req.body;
+
+    if (!content && !(Array.isArray(sections) && sections.length)) {
+      return res.status(400).json({ error: 'content or sections are required' });
+    }
+
+    const document = {
+      title: title || 'Untitled document',
+      subtitle,
+      content,
+      sections,
+      diagrams: await diagramStore.resolveDiagrams(diagrams)
+    };
+    const buffer = await buildPdf(document, footer || {});
+
+    res.set('Content-Type', 'application/pdf');
+    res.attachment(attachmentName(document.title, 'pdf'));
+    res.send(buffer);
+  } catch (err) {
+    console.error('❌ PDF export error:', err);
+    res.status(500).json({ error: 'Failed to export document' });
+  }
+});
+
+const SYLLABUS_METADATA = 'subject curriculumType category yearRange grade form gradeRange lineage version active createdAt updatedAt';
+
+/* ---- GET ALL SYLLABI ----
+   Query: curriculumType, category, grade, form, yearRange, subject, active, q,
+   limit (default 100, max 200), cursor (from the X-Next-Cursor header)
+------------------------------------------------------------ */
+app.get('/api/syllabi', requireAuth, async (req, res) => {
+  try {
+    const limit = syllabusSearch.pageLimit(req.query, 100, 200);
+    const filter = {
+      ...syllabusSearch.buildSyllabusFilter(req.query),
+      ...readableSyllabiFilter(req.user.school),
+      ...(req.query.cursor && syllabusSearch.cursorFilter(String(req.query.cursor)))
+    };
+
+    // ⚡ OPTIMIZED: Only fetch metadata, not full topics data
+    // This dramatically speeds up loading when there are many syllabi
+    const syllabi = await Syllabus.find(filter)
+      .select(SYLLABUS_METADATA)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean(); // Convert to plain JS objects for better performance
+
+    if (syllabi.length > limit) {
+      syllabi.length = limit;
+      res.set('X-Next-Cursor', syllabusSearch.encodeCursor(syllabi[limit - 1]));
+    }
+
+    console.log(`✅ Fetched ${syllabi.length} syllabi (metadata only)`);
+    res.json(syllabi);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('❌ Error fetching syllabi:', err);
+    res.status(500).json({ error: 'Failed to fetch syllabi' });
+  }
+});
+
+/* ---- SEARCH INSIDE SYLLABI ----
+   Query: q (required) plus the list filters, limit (default 20, max 50).
+   Best matches first, each with the paths that matched inside it.
+------------------------------------------------------------ */
+app.get('/api/syllabi/search', requireAuth, async (req, res) => {
+  try {
+    if (typeof req.query.q !== 'string' || !req.query.q.trim()) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    const limit = syllabusSearch.pageLimit(req.query, 20, 50);
+    const filter = {
+      ...syllabusSearch.buildSyllabusFilter(req.query),
+      ...readableSyllabiFilter(req.user.school)
+    };
+
+    const syllabi = await Syllabus.find(filter)
+      .select(`${SYLLABUS_METADATA} topics`)
+      .select({ score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .lean();
+
+    const results = syllabi.map(({ topics, score, ...syllabus }) => ({
+      syllabus,
+      score,
+      ...syllabusSearch.findMatches({ topics }, req.query.q)
+    }));
+
+    res.json({ query: req.query.q.trim(), results });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('❌ Error searching syllabi:', err);
+    res.status(500).json({ error: 'Failed to search syllabi' });
+  }
+});
+
+/* ---- GET SINGLE SYLLABUS ---- */
+app.get('/api/syllabi/:id', requireAuth, async (req, res) => {
   try {
-    const syllabus = await Syllabus.findById(req.params.id);
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    const syllabus = await Syllabus.findOne({ _id: req.params.id, ...readableSyllabiFilter(req.user.school) });
     if (!syllabus) {
       return res.status(404).json({ error: 'Syllabus not found' });
     }
@@ -728,9 +3334,19 @@ app.get('/api/syllabi/:id', async (req, res) => {
 });
 
 /* ---- DELETE SYLLABUS ---- */
-app.delete('/api/syllabi/:id', async (req, res) => {
+app.delete('/api/syllabi/:id', requireAuth, requireRole('admin', 'hod'), async (req, res) => {
   try {
-    await Syllabus.findByIdAndDelete(req.params.id);
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    // Shared (school-less) syllabi cannot be deleted by a school
+    const deleted = await Syllabus.findOneAndDelete({ _id: req.params.id, school: req.user.school }).lean();
+    if (!deleted) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    await syllabusVersions.replaceActive(deleted);
     res.json({ success: true });
   } catch (err) {
     console.error('❌ Error deleting syllabus:', err);
@@ -738,32 +3354,337 @@ app.delete('/api/syllabi/:id', async (req, res) => {
   }
 });
 
-/* ---- HEALTH CHECK ---- */
-app.get('/ping', (req, res) => {
-  res.json({ message: 'EduGen backend is alive' });
-});
+/* ============================================================
+   SYLLABUS EXPORT & IMPORT
+   Versioned JSON, flat CSV and a regenerated Word table, and the
+   JSON/CSV import that creates a syllabus without the Word/PDF
+   parsers (services/syllabusTransfer.js).
+============================================================ */
 
-/* ---- DEBUG: Test CBC Parser (for development) ---- */
-app.post('/api/debug/parse-cbc', upload.single('file'), async (req, res) => {
+const SYLLABUS_EXPORT_FORMATS = ['json', 'csv', 'docx'];
+
+/* ---- EXPORT SYLLABUS ----
+   :format is json, csv or docx
+------------------------------------------------------------ */
+app.get('/api/syllabi/:id/export/:format', requireAuth, async (req, res) => {
   try {
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    const { format } = req.params;
+    if (!SYLLABUS_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${SYLLABUS_EXPORT_FORMATS.join(', ')}` });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    const syllabus = await Syllabus.findOne({ _id: req.params.id, ...readableSyllabiFilter(req.user.school) }).lean();
+    if (!syllabus) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    const level = describeLevel(syllabus);
+    const fileName = attachmentName([syllabus.subject, level].filter(Boolean).join(' '), format);
+
+    if (format === 'json') {
+      res.attachment(fileName);
+      return res.json(syllabusTransfer.syllabusToJson(syllabus));
+    }
 
-    const result = await mammoth.convertToHtml({
-      buffer: req.file.buffer
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.attachment(fileName);
+      return res.send(syllabusTransfer.syllabusToCsv(syllabus));
+    }
+
+    const buffer = await buildSyllabusDocx(syllabus, {
+      subtitle: [level, syllabus.curriculumType.toUpperCase()].filter(Boolean).join(' · ')
     });
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.attachment(fileName);
+    res.send(buffer);
+  } catch (err) {
+    console.error('❌ Syllabus export error:', err);
+    res.status(500).json({ error: 'Failed to export syllabus' });
+  }
+});
 
-    const parsed = parseCBCSyllabusTable(result.value, 'Debug Subject');
+/* ---- IMPORT SYLLABUS ----
+   Body: a JSON export, or multipart `file` (.json or .csv). CSV
+   imports may also send subject, curriculumType and the level
+   fields for columns the file leaves out. activate=false keeps
+   the current version of the lineage active.
+------------------------------------------------------------ */
+app.post('/api/syllabi/import', requireAuth, requireRole('admin', 'hod'), importUpload.single('file'), async (req, res) => {
+  try {
+    let fields;
+    if (!req.file) {
+      fields = syllabusTransfer.syllabusFromJson(req.body);
+    } else if (/\.csv$/i.test(req.file.originalname)) {
+      const defaults = {};
+      ['subject', 'curriculumType', ...SYLLABUS_LEVEL_FIELDS].forEach(field => {
+        if (typeof req.body[field] === 'string' && req.body[field].trim()) defaults[field] = req.body[field].trim();
+      });
+      fields = syllabusTransfer.syllabusFromCsv(req.file.buffer.toString('utf8'), defaults);
+    } else {
+      fields = syllabusTransfer.syllabusFromJson(req.file.buffer.toString('utf8'));
+    }
 
-    res.json({
-      rawHtmlLength: result.value.length,
-      parsed: parsed
+    const syllabus = await syllabusVersions.createSyllabusVersion(fields, {
+      school: req.user.school,
+      uploadedBy: req.user.id,
+      activate: activateOnSave(req.body)
     });
 
+    const leafField = fields.curriculumType === 'cbc' ? 'specificCompetences' : 'specificOutcomes';
+    const subtopics = fields.topics.flatMap(topic => topic.subtopics);
+    const stats = {
+      topics: fields.topics.length,
+      subtopics: subtopics.length,
+      [leafField]: subtopics.reduce((total, subtopic) => total + subtopic[leafField].length, 0)
+    };
+
+    console.log(`📥 Syllabus ${syllabus._id} imported as version ${syllabus.version} (${stats.topics} topics, ${stats.subtopics} subtopics)`);
+    res.json({ success: true, syllabus, stats });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    if (err instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('❌ Syllabus import error:', err);
+    res.status(500).json({ error: 'Failed to import syllabus' });
+  }
+});
+
+/* ============================================================
+   SYLLABUS VERSIONS
+   Uploads of the same subject, curriculum and level are versions
+   of one lineage; one is active. The diff lists what changed
+   between two versions and the saved materials it puts out of
+   date (services/syllabusVersions.js).
+============================================================ */
+
+/* ---- LIST VERSIONS OF A SYLLABUS (newest first) ---- */
+app.get('/api/syllabi/:id/versions', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    const syllabus = await Syllabus.findOne({ _id: req.params.id, ...readableSyllabiFilter(req.user.school) })
+      .select('school lineage')
+      .lean();
+    if (!syllabus) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    const versions = await Syllabus.find(syllabusVersions.lineageFilter(syllabus))
+      .select(SYLLABUS_METADATA)
+      .sort({ version: -1 })
+      .lean();
+    res.json(versions);
+  } catch (err) {
+    console.error('❌ Error fetching syllabus versions:', err);
+    res.status(500).json({ error: 'Failed to fetch syllabus versions' });
+  }
+});
+
+/* ---- MAKE A VERSION THE ACTIVE ONE ---- */
+app.post('/api/syllabi/:id/activate', requireAuth, requireRole('admin', 'hod'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    // Shared (school-less) syllabi cannot be changed by a school
+    const syllabus = await Syllabus.findOne({ _id: req.params.id, school: req.user.school })
+      .select('school lineage version')
+      .lean();
+    if (!syllabus) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    const updated = await syllabusVersions.activateVersion(syllabus);
+
+    console.log(`✅ Syllabus ${syllabus._id} (version ${syllabus.version}) is now active`);
+    res.json({ success: true, syllabus: updated });
+  } catch (err) {
+    console.error('❌ Error activating syllabus version:', err);
+    res.status(500).json({ error: 'Failed to activate syllabus version' });
+  }
+});
+
+/* ---- DIFF TWO VERSIONS ----
+   Query: from (syllabus id; default the previous version of :id).
+   Compares `from` to :id and lists the caller's documents and
+   question banks built on `from` that the changes touch.
+------------------------------------------------------------ */
+app.get('/api/syllabi/:id/diff', requireAuth, async (req, res) => {
+  try {
+    const readable = readableSyllabiFilter(req.user.school);
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    const to = await Syllabus.findOne({ _id: req.params.id, ...readable }).lean();
+    if (!to) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    let from;
+    if (req.query.from) {
+      if (!mongoose.isValidObjectId(req.query.from)) {
+        return res.status(404).json({ error: 'Syllabus to compare against not found' });
+      }
+      from = await Syllabus.findOne({ _id: req.query.from, ...readable }).lean();
+      if (!from) {
+        return res.status(404).json({ error: 'Syllabus to compare against not found' });
+      }
+    } else {
+      from = await syllabusVersions.previousVersion(to);
+      if (!from) {
+        return res.status(400).json({ error: 'This is the first version of the syllabus; pass ?from= to compare with another one' });
+      }
+    }
+
+    if (from.curriculumType !== to.curriculumType) {
+      return res.status(400).json({ error: 'Only syllabi of the same curriculum type can be compared' });
+    }
+
+    const diff = syllabusVersions.diffSyllabi(from, to);
+    const affected = await syllabusVersions.affectedMaterials(from, diff, req.user.school);
+    const metadata = ({ topics, ...syllabus }) => syllabus;
+
+    res.json({ from: metadata(from), to: metadata(to), ...diff, affected });
+  } catch (err) {
+    console.error('❌ Error comparing syllabi:', err);
+    res.status(500).json({ error: 'Failed to compare syllabi' });
+  }
+});
+
+/* ============================================================
+   SYLLABUS EDITING
+   In-place corrections to a parsed syllabus tree. Only the owning
+   school's admins/HODs may edit; every change is logged.
+============================================================ */
+
+/* ---- Helper: Build a route handler that applies one tree edit ---- */
+function syllabusEditHandler(action, mutate) {
+  return async (req, res) => {
+    try {
+      const { id, ...params } = req.params;
+      const invalidId = [id, params.topicId, params.subtopicId, params.competenceId]
+        .some(value => value !== undefined && !mongoose.isValidObjectId(value));
+
+      if (invalidId) {
+        return res.status(404).json({ error: 'Syllabus item not found' });
+      }
+
+      // Shared (school-less) syllabi are read-only for schools
+      const syllabus = await Syllabus.findOne({ _id: id, school: req.user.school });
+      if (!syllabus) {
+        return res.status(404).json({ error: 'Syllabus not found' });
+      }
+
+      const { target, before, after } = mutate(syllabus, params, req.body || {});
+      syllabus.fingerprint = syllabusVersions.topicsFingerprint(syllabus);
+      await syllabus.save();
+
+      const edit = await SyllabusEdit.create({
+        syllabus: syllabus._id,
+        school: req.user.school,
+        user: req.user.id,
+        userName: req.user.name,
+        action,
+        target,
+        before,
+        after
+      });
+
+      console.log(`✏️ Syllabus ${syllabus._id}: ${action} by ${req.user.email}`);
+      res.json({ success: true, edit, syllabus });
+    } catch (err) {
+      if (err.statusCode) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      if (err instanceof mongoose.Error.ValidationError) {
+        return res.status(400).json({ error: err.message });
+      }
+      if (err instanceof mongoose.Error.VersionError) {
+        return res.status(409).json({ error: 'Syllabus was changed by someone else, reload and try again' });
+      }
+      console.error(`❌ Syllabus edit error (${action}):`, err);
+      res.status(500).json({ error: 'Failed to edit syllabus' });
+    }
+  };
+}
+
+const EDITORS = ['admin', 'hod'];
+const TOPIC_PATH = '/api/syllabi/:id/topics/:topicId';
+const SUBTOPIC_PATH = `${TOPIC_PATH}/subtopics/:subtopicId`;
+
+/* ---- TOPICS ---- */
+app.post('/api/syllabi/:id/topics', requireAuth, requireRole(...EDITORS),
+  syllabusEditHandler('topic.add', syllabusEditor.addTopic));
+app.patch(TOPIC_PATH, requireAuth, requireRole(...EDITORS),
+  syllabusEditHandler('topic.update', syllabusEditor.updateTopic));
+app.delete(TOPIC_PATH, requireAuth, requireRole(...EDITORS),
+  syllabusEditHandler('topic.delete', syllabusEditor.deleteTopic));
+
+/* ---- SUBTOPICS ---- */
+app.post(`${TOPIC_PATH}/subtopics`, requireAuth, requireRole(...EDITORS),
+  syllabusEditHandler('subtopic.add', syllabusEditor.addSubtopic));
+app.patch(SUBTOPIC_PATH, requireAuth, requireRole(...EDITORS),
+  syllabusEditHandler('subtopic.update', syllabusEditor.updateSubtopic));
+app.delete(SUBTOPIC_PATH, requireAuth, requireRole(...EDITORS),
+  syllabusEditHandler('subtopic.delete', syllabusEditor.deleteSubtopic));
+
+/* ---- SPECIFIC COMPETENCES (CBC) ---- */
+app.post(`${SUBTOPIC_PATH}/competences`, requireAuth, requireRole(...EDITORS),
+  syllabusEditHandler('competence.add', syllabusEditor.addCompetence));
+app.patch(`${SUBTOPIC_PATH}/competences/:competenceId`, requireAuth, requireRole(...EDITORS),
+  syllabusEditHandler('competence.update', syllabusEditor.updateCompetence));
+app.delete(`${SUBTOPIC_PATH}/competences/:competenceId`, requireAuth, requireRole(...EDITORS),
+  syllabusEditHandler('competence.delete', syllabusEditor.deleteCompetence));
+
+/* ---- SPECIFIC OUTCOMES (OBC) ---- */
+app.post(`${SUBTOPIC_PATH}/outcomes`, requireAuth, requireRole(...EDITORS),
+  syllabusEditHandler('outcome.add', syllabusEditor.addOutcome));
+app.patch(`${SUBTOPIC_PATH}/outcomes/:index`, requireAuth, requireRole(...EDITORS),
+  syllabusEditHandler('outcome.update', syllabusEditor.updateOutcome));
+app.delete(`${SUBTOPIC_PATH}/outcomes/:index`, requireAuth, requireRole(...EDITORS),
+  syllabusEditHandler('outcome.delete', syllabusEditor.deleteOutcome));
+
+/* ---- EDIT HISTORY ---- */
+app.get('/api/syllabi/:id/edits', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    const syllabus = await Syllabus.exists({ _id: req.params.id, ...readableSyllabiFilter(req.user.school) });
+    if (!syllabus) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const edits = await SyllabusEdit.find({ syllabus: req.params.id, school: req.user.school })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json(edits);
+  } catch (err) {
+    console.error('❌ Error fetching syllabus edits:', err);
+    res.status(500).json({ error: 'Failed to fetch syllabus edits' });
   }
 });
 
+/* ---- HEALTH CHECK ---- */
+app.get('/ping', (req, res) => {
+  res.json({ message: 'EduGen backend is alive' });
+});
+
 /* -----------------------------
    GLOBAL ERROR HANDLERS
 ------------------------------ */
@@ -0,0 +1,467 @@
+/* ============================================================
+   ASSESSMENT BUILDER
+   Builds quiz/test/exam prompts from selected syllabus subtopics,
+   checks the model's questions against the curriculum items they
+   claim to assess, summarises coverage, and shuffles question
+   banks into printable papers with a marking scheme.
+============================================================ */
+
+const { describeLevel } = require('./documentBuilder');
+
+const QUESTION_TYPES = {
+  'multiple-choice': { label: 'Multiple choice', defaultMarks: 1 },
+  'short-answer': { label: 'Short answer', defaultMarks: 2 },
+  structured: { label: 'Structured', defaultMarks: 5 }
+};
+
+const ASSESSMENT_TYPES = {
+  quiz: {
+    title: 'Quiz',
+    counts: { 'multiple-choice': 10, 'short-answer': 5, structured: 0 }
+  },
+  test: {
+    title: 'Topic Test',
+    counts: { 'multiple-choice': 10, 'short-answer': 5, structured: 2 }
+  },
+  'end-of-term': {
+    title: 'End of Term Examination',
+    counts: { 'multiple-choice': 20, 'short-answer': 10, structured: 4 }
+  }
+};
+
+// One reply has to hold every question
+const MAX_QUESTIONS = 50;
+
+const OPTION_LETTERS = 'ABCDEFGH';
+
+/* ---- Helper: Errors with a status the route can pass through ---- */
+function assessmentError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Per-type question counts from a request, checked; undefined when
+ * none were given.
+ */
+function parseQuestionCounts(questionCounts) {
+  if (questionCounts === undefined) return undefined;
+  if (!questionCounts || typeof questionCounts !== 'object' || Array.isArray(questionCounts)) {
+    throw assessmentError('questionCounts must be an object');
+  }
+
+  const counts = {};
+  Object.entries(questionCounts).forEach(([type, value]) => {
+    const count = Number(value);
+    if (!Object.hasOwn(QUESTION_TYPES, type)) {
+      throw assessmentError(`questionCounts keys must be: ${Object.keys(QUESTION_TYPES).join(', ')}`);
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      throw assessmentError(`questionCounts.${type} must be a whole number`);
+    }
+    counts[type] = count;
+  });
+  return counts;
+}
+
+/**
+ * Question counts to generate: the assessment type's defaults,
+ * overridden by `questionCounts`.
+ */
+function resolveQuestionCounts(assessmentType, questionCounts) {
+  if (!Object.hasOwn(ASSESSMENT_TYPES, assessmentType)) {
+    throw assessmentError(`assessmentType must be one of: ${Object.keys(ASSESSMENT_TYPES).join(', ')}`);
+  }
+  const counts = { ...ASSESSMENT_TYPES[assessmentType].counts, ...parseQuestionCounts(questionCounts) };
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  if (!total) throw assessmentError('Ask for at least one question');
+  if (total > MAX_QUESTIONS) throw assessmentError(`At most ${MAX_QUESTIONS} questions can be generated at once`);
+
+  return counts;
+}
+
+/* ---- Helper: Key of a curriculum item, stable across banks of a syllabus ---- */
+function itemKey(item) {
+  return item.competenceId
+    ? String(item.competenceId)
+    : `${item.subtopicId}#${item.outcomeIndex}`;
+}
+
+/* ---- Helper: What a question stores about an item it assesses ---- */
+function itemTag(item) {
+  return {
+    kind: item.kind,
+    topicId: item.topicId,
+    subtopicId: item.subtopicId,
+    ...(item.kind === 'competence' ? { competenceId: item.competenceId } : { outcomeIndex: item.outcomeIndex }),
+    text: item.text
+  };
+}
+
+/**
+ * The subtopics and curriculum items an assessment covers.
+ * `selections` are { topicId, subtopicId? }; without subtopicId the
+ * whole topic is included. Items get prompt codes C1, C2... (CBC
+ * competences) or O1, O2... (OBC outcomes).
+ */
+function collectAssessmentItems(syllabus, selections) {
+  if (!Array.isArray(selections) || !selections.length) {
+    throw assessmentError('subtopics must list at least one { topicId, subtopicId }');
+  }
+
+  const cbc = syllabus.curriculumType === 'cbc';
+  const subtopics = [];
+  const items = [];
+  const seen = new Set();
+
+  selections.forEach((selection, index) => {
+    const topic = syllabus.topics.find(t => String(t._id) === String(selection && selection.topicId));
+    if (!topic) throw assessmentError(`subtopics[${index}]: topic not found in this syllabus`, 404);
+
+    const chosen = selection.subtopicId
+      ? topic.subtopics.filter(s => String(s._id) === String(selection.subtopicId))
+      : topic.subtopics;
+    if (!chosen.length) throw assessmentError(`subtopics[${index}]: subtopic not found in this syllabus`, 404);
+
+    chosen.forEach(subtopic => {
+      if (seen.has(String(subtopic._id))) return;
+      seen.add(String(subtopic._id));
+
+      const place = { topicId: topic._id, subtopicId: subtopic._id, topic: topic.name, subtopic: subtopic.name };
+      subtopics.push(place);
+
+      if (cbc) {
+        subtopic.specificCompetences.forEach(competence => {
+          items.push({
+            code: `C${items.length + 1}`,
+            kind: 'competence',
+            ...place,
+            competenceId: competence._id,
+            text: competence.description
+          });
+        });
+      } else {
+        subtopic.specificOutcomes.forEach((text, outcomeIndex) => {
+          items.push({ code: `O${items.length + 1}`, kind: 'outcome', ...place, outcomeIndex, text });
+        });
+      }
+    });
+  });
+
+  if (!items.length) {
+    throw assessmentError(`The selected subtopics have no ${cbc ? 'specific competences' : 'specific outcomes'} to assess`);
+  }
+
+  return { subtopics, items };
+}
+
+/**
+ * Build the generation prompt.
+ * `details` holds optional teacher-supplied values (class, duration...).
+ */
+function buildAssessmentPrompt({ syllabus, items, assessmentType, counts, details = {} }) {
+  const type = ASSESSMENT_TYPES[assessmentType];
+  const cbc = syllabus.curriculumType === 'cbc';
+
+  const itemLines = [];
+  let subtopicId = null;
+  items.forEach(item => {
+    if (String(item.subtopicId) !== subtopicId) {
+      subtopicId = String(item.subtopicId);
+      itemLines.push(`${item.topic} > ${item.subtopic}`);
+    }
+    itemLines.push(`  [${item.code}] ${item.text}`);
+  });
+
+  const countLines = Object.entries(counts)
+    .filter(([, count]) => count)
+    .map(([key, count]) => `- ${key}: ${count}`);
+
+  const detailLines = Object.entries(details)
+    .filter(([, value]) => value !== undefined && value !== null && String(value).trim())
+    .map(([key, value]) => `- ${key}: ${value}`);
+
+  return [
+    `You are an experienced Zambian teacher and examiner setting a ${type.title.toLowerCase()}.`,
+    '',
+    `Subject: ${syllabus.subject}`,
+    `Curriculum: ${cbc ? 'Competence-Based Curriculum (CBC)' : 'Outcome-Based Curriculum (OBC)'}`,
+    `Level: ${describeLevel(syllabus) || 'Not specified'}`,
+    '',
+    `${cbc ? 'SPECIFIC COMPETENCES' : 'SPECIFIC OUTCOMES'} TO ASSESS (tag questions with these codes):`,
+    ...itemLines,
+    '',
+    'QUESTIONS TO WRITE:',
+    ...countLines,
+    '',
+    ...(detailLines.length ? ['ADDITIONAL DETAILS:', ...detailLines, ''] : []),
+    'Spread the questions over as many of the codes as possible.',
+    'Reply with ONLY a JSON object, no text before or after it, in this shape:',
+    '{ "title": string, "questions": [ {',
+    '  "type": "multiple-choice" | "short-answer" | "structured",',
+    '  "question": string,',
+    '  "options": [string] (multiple-choice only, 4 options, no letters),',
+    '  "correctOption": number (multiple-choice only, 0-based index of the right option),',
+    '  "answer": string (the expected answer),',
+    '  "marks": number,',
+    '  "markingScheme": [string] (the points a marker awards marks for),',
+    '  "parts": [ { "question": string, "marks": number, "answer": string } ] (structured only),',
+    '  "assesses": [string] (the codes above that the question tests)',
+    '} ] }'
+  ].join('\n');
+}
+
+/* ---- Helper: Trimmed strings from an array (anything else dropped) ---- */
+function textList(value) {
+  return Array.isArray(value)
+    ? value.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim())
+    : [];
+}
+
+/* ---- Helper: Positive mark value or the fallback ---- */
+function markValue(value, fallback) {
+  const marks = Number(value);
+  return Number.isFinite(marks) && marks > 0 ? Math.round(marks * 2) / 2 : fallback;
+}
+
+/**
+ * Check one question from the model reply. Returns null when it is
+ * unusable: unknown type, no text, broken options or no valid tag.
+ */
+function normaliseQuestion(raw, itemsByCode) {
+  if (!raw || typeof raw !== 'object' || !Object.hasOwn(QUESTION_TYPES, raw.type)) return null;
+
+  const question = typeof raw.question === 'string' ? raw.question.trim() : '';
+  if (!question) return null;
+
+  const assesses = [...new Set(textList(raw.assesses).map(code => code.toUpperCase()))]
+    .filter(code => itemsByCode.has(code))
+    .map(code => itemTag(itemsByCode.get(code)));
+  if (!assesses.length) return null;
+
+  const result = {
+    type: raw.type,
+    question,
+    answer: typeof raw.answer === 'string' ? raw.answer.trim() : '',
+    markingScheme: textList(raw.markingScheme),
+    assesses
+  };
+
+  if (raw.type === 'multiple-choice') {
+    const options = textList(raw.options).map(option => option.replace(/^[A-H][.)]\s+/, ''));
+    const correctOption = Number(raw.correctOption);
+    if (options.length < 2 || options.length > OPTION_LETTERS.length ||
+        !Number.isInteger(correctOption) || !options[correctOption]) {
+      return null;
+    }
+    result.options = options;
+    result.correctOption = correctOption;
+    result.answer = options[correctOption];
+  }
+
+  if (raw.type === 'structured' && Array.isArray(raw.parts)) {
+    result.parts = raw.parts
+      .filter(part => part && typeof part.question === 'string' && part.question.trim())
+      .map(part => ({
+        question: part.question.trim(),
+        marks: markValue(part.marks, 1),
+        answer: typeof part.answer === 'string' ? part.answer.trim() : ''
+      }));
+  }
+
+  result.marks = result.parts && result.parts.length
+    ? result.parts.reduce((sum, part) => sum + part.marks, 0)
+    : markValue(raw.marks, QUESTION_TYPES[raw.type].defaultMarks);
+
+  return result;
+}
+
+/**
+ * Parse the model reply into checked questions.
+ * Returns: { title, questions, discarded } - discarded counts the
+ * questions dropped for being malformed or untagged.
+ */
+function parseAssessment(text, items, fallbackTitle) {
+  const cleaned = text.replace(/```(?:json)?/gi, '');
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new Error('AI response did not contain a JSON question paper');
+  }
+
+  const json = JSON.parse(cleaned.slice(start, end + 1));
+  const rawQuestions = Array.isArray(json.questions) ? json.questions : [];
+  const itemsByCode = new Map(items.map(item => [item.code, item]));
+
+  const questions = rawQuestions
+    .map(raw => normaliseQuestion(raw, itemsByCode))
+    .filter(Boolean);
+
+  return {
+    title: typeof json.title === 'string' && json.title.trim() ? json.title.trim() : fallbackTitle,
+    questions,
+    discarded: rawQuestions.length - questions.length
+  };
+}
+
+/**
+ * Which curriculum items the questions test.
+ * Returns: { totalItems, testedItems, items: [{ ...item, questions, marks }],
+ *            untested: [item] }
+ */
+function coverageSummary(items, questions) {
+  const byKey = new Map(items.map(item => [itemKey(item), { ...item, questions: 0, marks: 0 }]));
+
+  questions.forEach(question => {
+    question.assesses.forEach(tag => {
+      const entry = byKey.get(itemKey(tag));
+      if (!entry) return;
+      entry.questions++;
+      // A question tagged with several items shares its marks between them
+      entry.marks += question.marks / question.assesses.length;
+    });
+  });
+
+  const summary = [...byKey.values()].map(entry => ({ ...entry, marks: Math.round(entry.marks * 10) / 10 }));
+  const untested = summary.filter(entry => !entry.questions);
+
+  return {
+    totalItems: summary.length,
+    testedItems: summary.length - untested.length,
+    items: summary,
+    untested
+  };
+}
+
+/* ---- Helper: Seeded random numbers in [0, 1) (mulberry32) ---- */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* ---- Helper: Fisher-Yates shuffle of a copy ---- */
+function shuffle(list, random) {
+  const copy = list.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Draw a paper from pooled bank questions. The same seed gives the
+ * same paper. `counts` limits questions per type (default: all);
+ * questions are grouped by type in QUESTION_TYPES order.
+ * Returns: { seed, questions, totalMarks }
+ */
+function drawPaper(pool, { counts, seed, shuffleOptions = true }) {
+  const random = seededRandom(seed);
+
+  const questions = Object.keys(QUESTION_TYPES).flatMap(type => {
+    const ofType = shuffle(pool.filter(q => q.type === type), random);
+    const limit = counts && counts[type] !== undefined ? counts[type] : ofType.length;
+    return ofType.slice(0, limit);
+  }).map(question => {
+    if (question.type !== 'multiple-choice' || !shuffleOptions) return question;
+
+    const order = shuffle(question.options.map((_, index) => index), random);
+    return {
+      ...question,
+      options: order.map(index => question.options[index]),
+      correctOption: order.indexOf(question.correctOption)
+    };
+  });
+
+  return {
+    seed,
+    questions,
+    totalMarks: questions.reduce((sum, question) => sum + question.marks, 0)
+  };
+}
+
+/* ---- Helper: "(2 marks)" ---- */
+function marksLabel(marks) {
+  return `(${marks} mark${marks === 1 ? '' : 's'})`;
+}
+
+/**
+ * Render a paper into sections the DOCX/PDF exporters can lay out:
+ * instructions, the questions and a separate marking scheme.
+ */
+function paperSections(paper, { duration } = {}) {
+  const sectionLetter = index => String.fromCharCode(65 + index);
+  const groups = Object.keys(QUESTION_TYPES)
+    .map(type => ({ type, questions: paper.questions.filter(q => q.type === type) }))
+    .filter(group => group.questions.length);
+
+  const instructions = [
+    `**Total marks:** ${paper.totalMarks}`,
+    ...(duration ? [`**Time allowed:** ${duration}`] : []),
+    '',
+    `This paper has ${groups.length} section${groups.length === 1 ? '' : 's'}: ` +
+      groups.map((group, index) => `Section ${sectionLetter(index)} (${QUESTION_TYPES[group.type].label})`).join(', ') + '.',
+    'Answer all questions. The marks for each question are shown in brackets.'
+  ].join('\n');
+
+  const questionLines = [];
+  const schemeLines = [];
+  let number = 0;
+
+  groups.forEach((group, groupIndex) => {
+    const heading = `### Section ${sectionLetter(groupIndex)}: ${QUESTION_TYPES[group.type].label}`;
+    questionLines.push(heading, '');
+    schemeLines.push(heading, '');
+
+    group.questions.forEach(question => {
+      number++;
+      questionLines.push(`**${number}.** ${question.question} ${marksLabel(question.marks)}`, '');
+
+      (question.options || []).forEach((option, index) => {
+        questionLines.push(`${OPTION_LETTERS[index]}. ${option}`, '');
+      });
+      (question.parts || []).forEach((part, index) => {
+        questionLines.push(`(${String.fromCharCode(97 + index)}) ${part.question} ${marksLabel(part.marks)}`, '');
+      });
+
+      const answer = question.options
+        ? `${OPTION_LETTERS[question.correctOption]}. ${question.options[question.correctOption]}`
+        : question.answer;
+      schemeLines.push(`**${number}.** ${answer || 'See marking points'} ${marksLabel(question.marks)}`, '');
+      (question.parts || []).forEach((part, index) => {
+        schemeLines.push(`(${String.fromCharCode(97 + index)}) ${part.answer || '-'} ${marksLabel(part.marks)}`, '');
+      });
+      question.markingScheme.forEach(point => schemeLines.push(`- ${point}`));
+      if (question.markingScheme.length) schemeLines.push('');
+    });
+  });
+
+  return [
+    { key: 'instructions', heading: 'Instructions', content: instructions },
+    { key: 'questions', heading: 'Questions', content: questionLines.join('\n').trim() },
+    { key: 'markingScheme', heading: 'Marking Scheme', content: schemeLines.join('\n').trim() }
+  ];
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  ASSESSMENT_TYPES,
+  parseQuestionCounts,
+  resolveQuestionCounts,
+  itemKey,
+  collectAssessmentItems,
+  buildAssessmentPrompt,
+  parseAssessment,
+  coverageSummary,
+  drawPaper,
+  paperSections
+};
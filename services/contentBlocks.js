@@ -0,0 +1,170 @@
+/* ============================================================
+   CONTENT BLOCK PARSER
+   Turns generated markdown-style text into a flat list of blocks
+   that the DOCX and PDF exporters can lay out.
+
+   Blocks:
+   - { type: 'heading', level, text }
+   - { type: 'paragraph', text }
+   - { type: 'list', ordered, items: [text] }
+   - { type: 'table', rows: [[text]] }      (first row is the header)
+   - { type: 'image', index }               ([IMAGE_PLACEHOLDER_n])
+   - { type: 'rule' }
+============================================================ */
+
+const PLACEHOLDER_REGEX = /\[IMAGE_PLACEHOLDER_(\d+)\]/;
+
+/* ---- Helper: Split a markdown table row into trimmed cells ---- */
+function splitTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split('|')
+    .map(cell => cell.trim());
+}
+
+/* ---- Helper: Is this the |---|:---:| separator under a table header? ---- */
+function isTableSeparator(line) {
+  return /^\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?$/.test(line.trim());
+}
+
+/**
+ * Parse generated text into blocks.
+ */
+function parseContentBlocks(text) {
+  const blocks = [];
+  const lines = (text || '').replace(/\r/g, '').split('\n');
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+      paragraph = [];
+    }
+  };
+
+  const flushList = () => {
+    if (list) {
+      blocks.push(list);
+      list = null;
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+
+    if (!line) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+
+    // Diagram placeholders, possibly with text around them on the same line
+    const placeholder = line.match(PLACEHOLDER_REGEX);
+    if (placeholder) {
+      flushParagraph();
+      flushList();
+      const [before, after] = line.split(placeholder[0]).map(part => part.trim());
+      if (before) blocks.push({ type: 'paragraph', text: before });
+      blocks.push({ type: 'image', index: Number(placeholder[1]) });
+      if (after) lines.splice(i + 1, 0, after);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      flushList();
+      blocks.push({ type: 'heading', level: Math.min(heading[1].length, 4), text: heading[2].replace(/#+$/, '').trim() });
+      continue;
+    }
+
+    if (/^(-{3,}|\*{3,}|_{3,})$/.test(line)) {
+      flushParagraph();
+      flushList();
+      blocks.push({ type: 'rule' });
+      continue;
+    }
+
+    // Tables: a pipe row followed by a separator row
+    if (line.startsWith('|') && i + 1 < lines.length && isTableSeparator(lines[i + 1])) {
+      flushParagraph();
+      flushList();
+      const rows = [splitTableRow(line)];
+      i += 2;
+      while (i < lines.length && lines[i].trim().startsWith('|')) {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      i--;
+      blocks.push({ type: 'table', rows });
+      continue;
+    }
+
+    const bullet = line.match(/^[-*•]\s+(.*)$/);
+    const numbered = line.match(/^\d+[.)]\s+(.*)$/);
+    if (bullet || numbered) {
+      flushParagraph();
+      const ordered = Boolean(numbered);
+      if (!list || list.ordered !== ordered) {
+        flushList();
+        list = { type: 'list', ordered, items: [] };
+      }
+      list.items.push((bullet || numbered)[1]);
+      continue;
+    }
+
+    flushList();
+    paragraph.push(line);
+  }
+
+  flushParagraph();
+  flushList();
+  return blocks;
+}
+
+/**
+ * Split **bold** and *italic* markers into styled runs.
+ * Returns: [{ text, bold, italic }]
+ */
+function parseInline(text) {
+  const runs = [];
+  const regex = /(\*\*|__)(.+?)\1|\*(?!\s)(.+?)\*/g;
+  let last = 0;
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    if (match.index > last) runs.push({ text: text.slice(last, match.index) });
+    if (match[2] !== undefined) {
+      runs.push({ text: match[2], bold: true });
+    } else {
+      runs.push({ text: match[3], italic: true });
+    }
+    last = regex.lastIndex;
+  }
+
+  if (last < text.length) runs.push({ text: text.slice(last) });
+  return runs.length ? runs : [{ text: '' }];
+}
+
+/**
+ * Blocks for a generated document: structured sections become
+ * level-2 headings, free-form content is parsed as-is.
+ */
+function documentToBlocks({ content, sections }) {
+  if (sections && sections.length) {
+    return sections.flatMap(section => [
+      { type: 'heading', level: 2, text: section.heading },
+      ...parseContentBlocks(section.content)
+    ]);
+  }
+  return parseContentBlocks(content);
+}
+
+module.exports = {
+  parseContentBlocks,
+  parseInline,
+  documentToBlocks
+};
@@ -0,0 +1,1003 @@
+/* ============================================================
+   DIAGRAM SPECIFICATIONS
+   Renders the structured diagrams the model describes as JSON
+   (labelled shapes, graphs, bar/line charts, number lines,
+   circuits and flowcharts) to SVG. Layout is computed here, not
+   by the model, so the same spec always draws the same picture.
+============================================================ */
+
+const DIAGRAM_TYPES = ['shapes', 'graph', 'bar-chart', 'line-chart', 'number-line', 'circuit', 'flowchart'];
+
+const FONT = 'Arial, Helvetica, sans-serif';
+const PALETTE = ['#1f4e79', '#c00000', '#2e7d32', '#ed7d31', '#7030a0', '#7f6000'];
+
+const MIN_CANVAS = 100;
+const MAX_CANVAS = 1200;
+const MAX_ITEMS = 60;      // shapes, bars, points, nodes... per list
+const MAX_SAMPLES = 240;   // points plotted per function
+const MAX_EXPRESSION_LENGTH = 120;
+
+/**
+ * Prompt text describing the format, for prompts that ask for diagrams.
+ */
+const DIAGRAM_SPEC_GUIDE = [
+  'DIAGRAMS: when a diagram helps, describe it as JSON between markers on their own lines:',
+  '[DIAGRAM_START]',
+  '{"type": "bar-chart", "caption": "Favourite fruits in Grade 5", "yLabel": "Learners", "data": [{"label": "Mango", "value": 12}, {"label": "Orange", "value": 7}]}',
+  '[DIAGRAM_END]',
+  'Every diagram has "type" and "caption"; "title" is optional. Types and their fields:',
+  '- "shapes": "width"/"height" canvas (default 400x300, origin top-left) and "shapes": [{"shape": "circle", "cx", "cy", "r"} | {"shape": "rect", "x", "y", "width", "height"} | {"shape": "ellipse", "cx", "cy", "rx", "ry"} | {"shape": "polygon", "points": [[x, y], ...], "vertexLabels": ["A", "B", ...]} | {"shape": "line", "from": [x, y], "to": [x, y], "arrow": true} | {"shape": "text", "at": [x, y], "text"}], each with optional "label", "dashed", "fill"; "angles": [{"at": [x, y], "from": [x, y], "to": [x, y], "label", "right": true}]',
+  '- "graph": "xAxis"/"yAxis" {"min", "max", "label", "step"}, "functions": [{"expression": "2x^2 - 3x + 1", "label"}] (x, + - * / ^, sin cos tan sqrt abs ln log exp, pi), "angleUnit": "degrees" or "radians", "points": [{"x", "y", "label"}], "segments": [{"from": [x, y], "to": [x, y], "label", "dashed"}]',
+  '- "bar-chart": "data": [{"label", "value"}], "xLabel", "yLabel"',
+  '- "line-chart": "labels": [...], "series": [{"name", "values": [...]}], "xLabel", "yLabel"',
+  '- "number-line": "min", "max", "step", "points": [{"value", "label", "open": true}], "ranges": [{"from", "to", "fromOpen", "toOpen", "label"}] (omit "from" or "to" for an arrow to the end), "jumps": [{"from", "to", "label"}]',
+  '- "circuit": a series loop: "components": [{"kind": "cell" | "battery" | "bulb" | "resistor" | "switch" | "ammeter" | "voltmeter" | "motor" | "fuse", "label", "open": true}] and optional "parallel": [[components], [components]] branches',
+  '- "flowchart": "nodes": [{"id", "text", "shape": "start" | "end" | "process" | "decision" | "input" | "output"}], "edges": [{"from", "to", "label"}]',
+  'Use plain numbers, keep labels short and use only the fields listed.'
+].join('\n');
+
+/* ---- Helper: Why a spec could not be drawn ---- */
+function specError(message) {
+  const error = new Error(message);
+  error.name = 'DiagramError';
+  return error;
+}
+
+/* ---- Helper: Escape text for SVG content and attributes ---- */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/* ---- Helper: Round coordinates so output is compact and stable ---- */
+function fmt(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/* ---- Helper: A finite number, or the fallback when the field is absent ---- */
+function num(value, field, fallback) {
+  if (value === undefined || value === null || value === '') {
+    if (fallback !== undefined) return fallback;
+    throw specError(`"${field}" is required`);
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw specError(`"${field}" must be a number`);
+  return number;
+}
+
+/* ---- Helper: [x, y] pair ---- */
+function point(value, field) {
+  if (!Array.isArray(value) || value.length !== 2) throw specError(`"${field}" must be [x, y]`);
+  return [num(value[0], field), num(value[1], field)];
+}
+
+/* ---- Helper: A bounded list; absent lists are empty ---- */
+function list(value, field, { required = false } = {}) {
+  if (value === undefined || value === null) {
+    if (required) throw specError(`"${field}" is required`);
+    return [];
+  }
+  if (!Array.isArray(value)) throw specError(`"${field}" must be a list`);
+  if (required && !value.length) throw specError(`"${field}" must not be empty`);
+  if (value.length > MAX_ITEMS) throw specError(`"${field}" has more than ${MAX_ITEMS} entries`);
+  return value;
+}
+
+/* ---- Helper: Short display text ---- */
+function label(value, max = 60) {
+  if (value === undefined || value === null) return '';
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/* ---- Helper: Only plain colour names and hex values pass through ---- */
+function colour(value, fallback) {
+  return typeof value === 'string' && /^(#[0-9a-f]{3}|#[0-9a-f]{6}|[a-z]{3,20})$/i.test(value.trim())
+    ? value.trim()
+    : fallback;
+}
+
+/* ---- Helper: Canvas size within limits ---- */
+function canvasSize(spec, width, height) {
+  const clamp = (value, field, fallback) => Math.min(MAX_CANVAS, Math.max(MIN_CANVAS, num(value, field, fallback)));
+  return { width: clamp(spec.width, 'width', width), height: clamp(spec.height, 'height', height) };
+}
+
+/* ---- Helper: <text> element ---- */
+function text(x, y, content, { size = 14, anchor = 'middle', weight, colour: fill = '#000000', baseline } = {}) {
+  const attributes = [
+    `x="${fmt(x)}"`, `y="${fmt(y)}"`, `font-size="${size}"`, `text-anchor="${anchor}"`, `fill="${fill}"`,
+    weight ? `font-weight="${weight}"` : '',
+    baseline ? `dominant-baseline="${baseline}"` : ''
+  ].filter(Boolean).join(' ');
+  return `<text ${attributes}>${escapeXml(content)}</text>`;
+}
+
+/* ---- Helper: <line> element ---- */
+function line(x1, y1, x2, y2, { stroke = '#000000', width = 2, dashed = false, arrow = false } = {}) {
+  return `<line x1="${fmt(x1)}" y1="${fmt(y1)}" x2="${fmt(x2)}" y2="${fmt(y2)}" stroke="${stroke}" stroke-width="${width}"` +
+    `${dashed ? ' stroke-dasharray="6 4"' : ''}${arrow ? ' marker-end="url(#arrow)"' : ''}/>`;
+}
+
+/* ---- Helper: Filled arrowhead as a polygon at (x, y) pointing along angle ---- */
+function arrowHead(x, y, angle, { size = 10, fill = '#000000' } = {}) {
+  const left = angle + Math.PI * 5 / 6;
+  const right = angle - Math.PI * 5 / 6;
+  const points = [
+    [x, y],
+    [x + size * Math.cos(left), y + size * Math.sin(left)],
+    [x + size * Math.cos(right), y + size * Math.sin(right)]
+  ];
+  return `<polygon points="${points.map(p => p.map(fmt).join(',')).join(' ')}" fill="${fill}"/>`;
+}
+
+/* ---- Helper: Wrap text into at most `maxLines` lines of ~`width` characters ---- */
+function wrap(content, width, maxLines = 3) {
+  const words = label(content, width * maxLines).split(' ');
+  const lines = [];
+  words.forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && `${last} ${word}`.length <= width) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word);
+  });
+  return lines.slice(0, maxLines);
+}
+
+/* ---- Helper: 1, 2 or 5 x 10^n step giving about `target` intervals ---- */
+function niceStep(range, target = 10) {
+  const raw = range / target;
+  const power = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].find(multiple => multiple * power >= raw) * power;
+  return step;
+}
+
+/* ---- Helper: Tick values from min to max ---- */
+function ticks(min, max, step) {
+  const values = [];
+  const first = Math.ceil(min / step - 1e-9) * step;
+  for (let value = first; value <= max + step * 1e-9 && values.length <= 100; value += step) {
+    values.push(Math.abs(value) < step * 1e-9 ? 0 : Number(value.toPrecision(12)));
+  }
+  return values;
+}
+
+/* ---- Helper: Wrap drawn elements in the root <svg> ---- */
+function svgDocument(width, height, body, title) {
+  const heading = title ? text(width / 2, 24, label(title, 80), { size: 16, weight: 'bold' }) : '';
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(width)}" height="${fmt(height)}" viewBox="0 0 ${fmt(width)} ${fmt(height)}" font-family="${FONT}">`,
+    '<defs><marker id="arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">' +
+      '<path d="M0,0 L10,5 L0,10 z" fill="#000000"/></marker></defs>',
+    `<rect x="0" y="0" width="${fmt(width)}" height="${fmt(height)}" fill="#ffffff"/>`,
+    heading,
+    ...body,
+    '</svg>'
+  ].filter(Boolean).join('\n');
+}
+
+/* -----------------------------
+   EXPRESSIONS (graph functions)
+------------------------------ */
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt, abs: Math.abs, exp: Math.exp, ln: Math.log, log: Math.log10,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan
+};
+const TRIG = new Set(['sin', 'cos', 'tan']);
+const TOKEN = /\s*(\d+(?:\.\d+)?|\.\d+|sqrt|abs|exp|ln|log|sin|cos|tan|pi|π|e|x|[-+*/^()])/y;
+
+/**
+ * Compile "2x^2 - 3sin(x) + 1" into f(x) without eval.
+ * Supports + - * / ^, implicit multiplication, brackets, pi and e.
+ */
+function compileExpression(source, { degrees = false } = {}) {
+  const expression = String(source || '').replace(/^\s*(y|f\s*\(\s*x\s*\))\s*=/i, '').toLowerCase();
+  if (!expression.trim()) throw specError('Function expression is empty');
+  if (expression.length > MAX_EXPRESSION_LENGTH) throw specError('Function expression is too long');
+
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < expression.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(expression);
+    if (!match) {
+      if (!expression.slice(start).trim()) break;
+      throw specError(`Cannot read expression "${source}"`);
+    }
+    tokens.push(match[1]);
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const take = () => tokens[position++];
+  const startsOperand = token => token !== undefined && !/^[-+*/^)]$/.test(token);
+
+  function parseSum() {
+    let node = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      const op = take();
+      const left = node;
+      const right = parseProduct();
+      node = op === '+' ? x => left(x) + right(x) : x => left(x) - right(x);
+    }
+    return node;
+  }
+
+  function parseProduct() {
+    let node = parseUnary();
+    while (peek() === '*' || peek() === '/' || startsOperand(peek())) {
+      const op = peek() === '*' || peek() === '/' ? take() : '*';
+      const left = node;
+      const right = parseUnary();
+      node = op === '*' ? x => left(x) * right(x) : x => left(x) / right(x);
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (peek() === '-') {
+      take();
+      const operand = parseUnary();
+      return x => -operand(x);
+    }
+    if (peek() === '+') {
+      take();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek() !== '^') return base;
+    take();
+    const exponent = parseUnary();
+    return x => Math.pow(base(x), exponent(x));
+  }
+
+  function parsePrimary() {
+    const token = take();
+    if (token === undefined) throw specError(`Expression "${source}" ends too early`);
+    if (token === '(') {
+      const inner = parseSum();
+      if (take() !== ')') throw specError(`Missing ")" in "${source}"`);
+      return inner;
+    }
+    if (token === 'x') return x => x;
+    if (token === 'pi' || token === 'π') return () => Math.PI;
+    if (token === 'e') return () => Math.E;
+    if (FUNCTIONS[token]) {
+      const fn = FUNCTIONS[token];
+      const argument = peek() === '(' ? parsePrimary() : parsePower();
+      if (TRIG.has(token) && degrees) return x => fn(argument(x) * Math.PI / 180);
+      return x => fn(argument(x));
+    }
+    if (/^[\d.]/.test(token)) {
+      const value = Number(token);
+      return () => value;
+    }
+    throw specError(`Unexpected "${token}" in "${source}"`);
+  }
+
+  const compiled = parseSum();
+  if (position < tokens.length) throw specError(`Unexpected "${tokens[position]}" in "${source}"`);
+  return compiled;
+}
+
+/* -----------------------------
+   SHAPES
+------------------------------ */
+
+function renderShapes(spec) {
+  const { width, height } = canvasSize(spec, 400, 300);
+  const body = [];
+
+  list(spec.shapes, 'shapes', { required: true }).forEach((shape, i) => {
+    const field = `shapes[${i}]`;
+    const stroke = colour(shape.color, '#000000');
+    const fill = colour(shape.fill, 'none');
+    const style = `fill="${fill}" stroke="${stroke}" stroke-width="2"${shape.dashed ? ' stroke-dasharray="6 4"' : ''}`;
+    const caption = label(shape.label);
+
+    switch (shape.shape) {
+      case 'circle': {
+        const [cx, cy, r] = [num(shape.cx, `${field}.cx`), num(shape.cy, `${field}.cy`), num(shape.r, `${field}.r`)];
+        body.push(`<circle cx="${fmt(cx)}" cy="${fmt(cy)}" r="${fmt(Math.abs(r))}" ${style}/>`);
+        if (caption) body.push(text(cx, cy + Math.abs(r) + 18, caption));
+        break;
+      }
+      case 'ellipse': {
+        const [cx, cy] = [num(shape.cx, `${field}.cx`), num(shape.cy, `${field}.cy`)];
+        const [rx, ry] = [Math.abs(num(shape.rx, `${field}.rx`)), Math.abs(num(shape.ry, `${field}.ry`))];
+        body.push(`<ellipse cx="${fmt(cx)}" cy="${fmt(cy)}" rx="${fmt(rx)}" ry="${fmt(ry)}" ${style}/>`);
+        if (caption) body.push(text(cx, cy + ry + 18, caption));
+        break;
+      }
+      case 'rect': {
+        const [x, y] = [num(shape.x, `${field}.x`), num(shape.y, `${field}.y`)];
+        const [w, h] = [Math.abs(num(shape.width, `${field}.width`)), Math.abs(num(shape.height, `${field}.height`))];
+        body.push(`<rect x="${fmt(x)}" y="${fmt(y)}" width="${fmt(w)}" height="${fmt(h)}" ${style}/>`);
+        if (caption) body.push(text(x + w / 2, y + h + 18, caption));
+        break;
+      }
+      case 'polygon': {
+        const points = list(shape.points, `${field}.points`, { required: true }).map((p, j) => point(p, `${field}.points[${j}]`));
+        if (points.length < 3) throw specError(`"${field}.points" needs at least 3 points`);
+        body.push(`<polygon points="${points.map(p => p.map(fmt).join(',')).join(' ')}" ${style}/>`);
+
+        // Vertex labels sit just outside the polygon, away from its centre
+        const cx = points.reduce((sum, p) => sum + p[0], 0) / points.length;
+        const cy = points.reduce((sum, p) => sum + p[1], 0) / points.length;
+        list(shape.vertexLabels, `${field}.vertexLabels`).slice(0, points.length).forEach((vertex, j) => {
+          const [px, py] = points[j];
+          const distance = Math.hypot(px - cx, py - cy) || 1;
+          body.push(text(px + (px - cx) / distance * 14, py + (py - cy) / distance * 14, label(vertex, 8),
+            { baseline: 'middle', weight: 'bold' }));
+        });
+        if (caption) body.push(text(cx, cy, caption, { baseline: 'middle' }));
+        break;
+      }
+      case 'line': {
+        const [from, to] = [point(shape.from, `${field}.from`), point(shape.to, `${field}.to`)];
+        body.push(line(from[0], from[1], to[0], to[1], { stroke, dashed: shape.dashed, arrow: shape.arrow }));
+        if (caption) {
+          // Offset the label perpendicular to the line
+          const length = Math.hypot(to[0] - from[0], to[1] - from[1]) || 1;
+          const nx = -(to[1] - from[1]) / length;
+          const ny = (to[0] - from[0]) / length;
+          body.push(text((from[0] + to[0]) / 2 + nx * 14, (from[1] + to[1]) / 2 + ny * 14, caption, { baseline: 'middle' }));
+        }
+        break;
+      }
+      case 'text': {
+        const [x, y] = point(shape.at, `${field}.at`);
+        body.push(text(x, y, label(shape.text || shape.label), { baseline: 'middle', colour: colour(shape.color, '#000000') }));
+        break;
+      }
+      default:
+        throw specError(`Unknown shape "${shape.shape}" in ${field}`);
+    }
+  });
+
+  list(spec.angles, 'angles').forEach((angle, i) => {
+    const field = `angles[${i}]`;
+    const [at, from, to] = [point(angle.at, `${field}.at`), point(angle.from, `${field}.from`), point(angle.to, `${field}.to`)];
+    const a1 = Math.atan2(from[1] - at[1], from[0] - at[0]);
+    let a2 = Math.atan2(to[1] - at[1], to[0] - at[0]);
+    // Always mark the smaller (interior) angle
+    let sweep = a2 - a1;
+    while (sweep <= -Math.PI) sweep += 2 * Math.PI;
+    while (sweep > Math.PI) sweep -= 2 * Math.PI;
+    a2 = a1 + sweep;
+    const radius = 22;
+    const middle = a1 + sweep / 2;
+
+    if (angle.right) {
+      const size = 12;
+      const u = [Math.cos(a1) * size, Math.sin(a1) * size];
+      const v = [Math.cos(a2) * size, Math.sin(a2) * size];
+      body.push(`<path d="M${fmt(at[0] + u[0])},${fmt(at[1] + u[1])} L${fmt(at[0] + u[0] + v[0])},${fmt(at[1] + u[1] + v[1])} ` +
+        `L${fmt(at[0] + v[0])},${fmt(at[1] + v[1])}" fill="none" stroke="#000000" stroke-width="1.5"/>`);
+    } else {
+      const start = [at[0] + radius * Math.cos(a1), at[1] + radius * Math.sin(a1)];
+      const end = [at[0] + radius * Math.cos(a2), at[1] + radius * Math.sin(a2)];
+      body.push(`<path d="M${fmt(start[0])},${fmt(start[1])} A${radius},${radius} 0 0,${sweep > 0 ? 1 : 0} ${fmt(end[0])},${fmt(end[1])}" ` +
+        'fill="none" stroke="#000000" stroke-width="1.5"/>');
+    }
+    if (angle.label !== undefined) {
+      body.push(text(at[0] + (radius + 14) * Math.cos(middle), at[1] + (radius + 14) * Math.sin(middle), label(angle.label, 12),
+        { size: 13, baseline: 'middle' }));
+    }
+  });
+
+  return svgDocument(width, height, body, spec.title);
+}
+
+/* -----------------------------
+   AXES (graphs and charts)
+------------------------------ */
+
+/* ---- Helper: Axis range from the spec, or from the data it must show ---- */
+function axisRange(axis = {}, field, values, { includeZero = false } = {}) {
+  let min = num(axis.min, `${field}.min`, values.length ? Math.min(...values) : -10);
+  let max = num(axis.max, `${field}.max`, values.length ? Math.max(...values) : 10);
+  if (includeZero) {
+    if (axis.min === undefined) min = Math.min(0, min);
+    if (axis.max === undefined) max = Math.max(0, max);
+  }
+  if (min > max) [min, max] = [max, min];
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+
+  const step = axis.step !== undefined ? Math.abs(num(axis.step, `${field}.step`)) : niceStep(max - min);
+  if (!step || (max - min) / step > 100) throw specError(`"${field}.step" is too small for the range`);
+
+  // Data-driven ends are rounded out to whole steps
+  if (axis.min === undefined) min = Math.floor(min / step + 1e-9) * step;
+  if (axis.max === undefined) max = Math.ceil(max / step - 1e-9) * step;
+  return { min, max, step };
+}
+
+/**
+ * Draw a plot area with gridlines, tick labels and axis titles.
+ * Returns { body, x(value), y(value), area } to place data with.
+ */
+function drawAxes({ width, height, top, xRange, yRange, xLabel, yLabel, xCategories, grid = true, crossAtZero = false }) {
+  const area = { left: 70, right: width - 30, top, bottom: height - 60 };
+  const x = xCategories
+    ? i => area.left + (i + 0.5) * (area.right - area.left) / xCategories.length
+    : value => area.left + (value - xRange.min) / (xRange.max - xRange.min) * (area.right - area.left);
+  const y = value => area.bottom - (value - yRange.min) / (yRange.max - yRange.min) * (area.bottom - area.top);
+  const body = [];
+
+  const yTicks = ticks(yRange.min, yRange.max, yRange.step);
+  const xTicks = xCategories ? [] : ticks(xRange.min, xRange.max, xRange.step);
+
+  if (grid) {
+    yTicks.forEach(value => body.push(line(area.left, y(value), area.right, y(value), { stroke: '#dddddd', width: 1 })));
+    xTicks.forEach(value => body.push(line(x(value), area.top, x(value), area.bottom, { stroke: '#dddddd', width: 1 })));
+  }
+
+  // Axes pass through the origin when it is in view, otherwise along the edges
+  const xAxisAt = crossAtZero && yRange.min <= 0 && yRange.max >= 0 ? y(0) : area.bottom;
+  const yAxisAt = crossAtZero && !xCategories && xRange.min <= 0 && xRange.max >= 0 ? x(0) : area.left;
+  body.push(line(area.left, xAxisAt, area.right, xAxisAt, { width: 1.5 }));
+  body.push(line(yAxisAt, area.bottom, yAxisAt, area.top, { width: 1.5 }));
+
+  yTicks.forEach(value => {
+    if (crossAtZero && value === 0 && yAxisAt !== area.left) return;
+    body.push(line(yAxisAt - 4, y(value), yAxisAt, y(value), { width: 1 }));
+    body.push(text(yAxisAt - 8, y(value), String(value), { size: 12, anchor: 'end', baseline: 'middle' }));
+  });
+  xTicks.forEach(value => {
+    body.push(line(x(value), xAxisAt, x(value), xAxisAt + 4, { width: 1 }));
+    body.push(text(x(value), xAxisAt + 18, String(value), { size: 12 }));
+  });
+  (xCategories || []).forEach((category, i) => {
+    const size = xCategories.length > 12 ? 10 : 12;
+    body.push(text(x(i), area.bottom + 18, label(category, xCategories.length > 8 ? 10 : 18), { size }));
+  });
+
+  if (xLabel) body.push(text((area.left + area.right) / 2, height - 18, label(xLabel), { size: 13, weight: 'bold' }));
+  if (yLabel) {
+    const cy = (area.top + area.bottom) / 2;
+    body.push(`<text x="18" y="${fmt(cy)}" font-size="13" font-weight="bold" text-anchor="middle" fill="#000000" ` +
+      `transform="rotate(-90 18 ${fmt(cy)})">${escapeXml(label(yLabel))}</text>`);
+  }
+
+  return { body, x, y, area };
+}
+
+/* ---- Helper: Legend in the top-right corner of the plot ---- */
+function legend(entries, area) {
+  return entries.flatMap(({ name, colour: stroke }, i) => {
+    const y = area.top + 12 + i * 18;
+    return [
+      line(area.right - 150, y, area.right - 126, y, { stroke, width: 3 }),
+      text(area.right - 120, y, label(name, 20), { size: 12, anchor: 'start', baseline: 'middle' })
+    ];
+  });
+}
+
+/* -----------------------------
+   GRAPH
+------------------------------ */
+
+function renderGraph(spec) {
+  const { width, height } = canvasSize(spec, 600, 450);
+  const degrees = spec.angleUnit === 'degrees';
+  const functions = list(spec.functions, 'functions').map((fn, i) => ({
+    f: compileExpression(fn.expression, { degrees }),
+    name: label(fn.label || fn.expression, 30),
+    colour: colour(fn.color, PALETTE[i % PALETTE.length])
+  }));
+  const points = list(spec.points, 'points').map((p, i) => ({
+    x: num(p.x, `points[${i}].x`), y: num(p.y, `points[${i}].y`), label: label(p.label, 20)
+  }));
+  const segments = list(spec.segments, 'segments').map((s, i) => ({
+    from: point(s.from, `segments[${i}].from`), to: point(s.to, `segments[${i}].to`), label: label(s.label, 30), dashed: s.dashed
+  }));
+  if (!functions.length && !points.length && !segments.length) {
+    throw specError('A graph needs "functions", "points" or "segments"');
+  }
+
+  const xs = [...points.map(p => p.x), ...segments.flatMap(s => [s.from[0], s.to[0]])];
+  const xRange = axisRange(spec.xAxis, 'xAxis', xs, { includeZero: true });
+
+  // Sample each function once; the samples also size an automatic y axis
+  const samples = functions.map(fn => Array.from({ length: MAX_SAMPLES + 1 }, (_, i) => {
+    const x = xRange.min + (xRange.max - xRange.min) * i / MAX_SAMPLES;
+    const y = fn.f(x);
+    return [x, Number.isFinite(y) ? y : null];
+  }));
+  const ys = [...points.map(p => p.y), ...segments.flatMap(s => [s.from[1], s.to[1]])];
+  samples.flat().forEach(([, y]) => {
+    if (y !== null && Math.abs(y) < 1e6) ys.push(y);
+  });
+  const yRange = axisRange(spec.yAxis, 'yAxis', ys, { includeZero: true });
+
+  const top = spec.title ? 44 : 20;
+  const axes = drawAxes({
+    width, height, top, xRange, yRange,
+    xLabel: spec.xAxis?.label || 'x', yLabel: spec.yAxis?.label || 'y',
+    grid: spec.grid !== false, crossAtZero: true
+  });
+  const { area, x, y } = axes;
+  const body = [...axes.body];
+
+  body.push(`<clipPath id="plot"><rect x="${fmt(area.left)}" y="${fmt(area.top)}" width="${fmt(area.right - area.left)}" height="${fmt(area.bottom - area.top)}"/></clipPath>`);
+
+  samples.forEach((fnSamples, i) => {
+    // Break the curve at gaps and where it leaves the view (asymptotes)
+    const span = yRange.max - yRange.min;
+    let d = '';
+    let drawing = false;
+    fnSamples.forEach(([sx, sy]) => {
+      if (sy === null || sy < yRange.min - span || sy > yRange.max + span) {
+        drawing = false;
+        return;
+      }
+      d += `${drawing ? 'L' : 'M'}${fmt(x(sx))},${fmt(y(sy))} `;
+      drawing = true;
+    });
+    if (d) body.push(`<path d="${d.trim()}" fill="none" stroke="${functions[i].colour}" stroke-width="2.5" clip-path="url(#plot)"/>`);
+  });
+
+  segments.forEach(s => {
+    body.push(line(x(s.from[0]), y(s.from[1]), x(s.to[0]), y(s.to[1]), { stroke: '#333333', dashed: s.dashed }));
+    if (s.label) body.push(text((x(s.from[0]) + x(s.to[0])) / 2, (y(s.from[1]) + y(s.to[1])) / 2 - 8, s.label, { size: 12 }));
+  });
+
+  points.forEach(p => {
+    if (p.x < xRange.min || p.x > xRange.max || p.y < yRange.min || p.y > yRange.max) return;
+    body.push(`<circle cx="${fmt(x(p.x))}" cy="${fmt(y(p.y))}" r="4" fill="#000000"/>`);
+    if (p.label) body.push(text(x(p.x) + 8, y(p.y) - 8, p.label, { size: 12, anchor: 'start' }));
+  });
+
+  if (functions.length > 1 || (functions.length && functions[0].name)) body.push(...legend(functions, area));
+
+  return svgDocument(width, height, body, spec.title);
+}
+
+/* -----------------------------
+   BAR AND LINE CHARTS
+------------------------------ */
+
+function renderBarChart(spec) {
+  const { width, height } = canvasSize(spec, 600, 400);
+  const data = list(spec.data, 'data', { required: true }).map((d, i) => ({
+    label: label(d.label, 30), value: num(d.value, `data[${i}].value`)
+  }));
+
+  const yRange = axisRange(spec.yAxis, 'yAxis', data.map(d => d.value), { includeZero: true });
+  const axes = drawAxes({
+    width, height, top: spec.title ? 44 : 20, yRange,
+    xCategories: data.map(d => d.label), xLabel: spec.xLabel, yLabel: spec.yLabel || spec.yAxis?.label
+  });
+  const { area, x, y } = axes;
+  const body = [...axes.body];
+  const barWidth = (area.right - area.left) / data.length * 0.6;
+  const fill = colour(spec.color, PALETTE[0]);
+  const base = y(Math.max(yRange.min, Math.min(0, yRange.max)));
+
+  data.forEach((d, i) => {
+    const top = y(Math.max(yRange.min, Math.min(d.value, yRange.max)));
+    body.push(`<rect x="${fmt(x(i) - barWidth / 2)}" y="${fmt(Math.min(top, base))}" width="${fmt(barWidth)}" ` +
+      `height="${fmt(Math.abs(base - top))}" fill="${fill}"/>`);
+    body.push(text(x(i), d.value >= 0 ? top - 6 : top + 16, String(d.value), { size: 12 }));
+  });
+
+  return svgDocument(width, height, body, spec.title);
+}
+
+function renderLineChart(spec) {
+  const { width, height } = canvasSize(spec, 600, 400);
+  const labels = list(spec.labels, 'labels', { required: true }).map(l => label(l, 30));
+  const series = list(spec.series, 'series', { required: true }).map((s, i) => ({
+    name: label(s.name, 30),
+    colour: colour(s.color, PALETTE[i % PALETTE.length]),
+    values: list(s.values, `series[${i}].values`, { required: true }).slice(0, labels.length)
+      .map((v, j) => (v === null ? null : num(v, `series[${i}].values[${j}]`)))
+  }));
+
+  const values = series.flatMap(s => s.values.filter(v => v !== null));
+  const yRange = axisRange(spec.yAxis, 'yAxis', values, { includeZero: spec.yAxis?.min === undefined && values.every(v => v >= 0) });
+  const axes = drawAxes({
+    width, height, top: spec.title ? 44 : 20, yRange,
+    xCategories: labels, xLabel: spec.xLabel, yLabel: spec.yLabel || spec.yAxis?.label
+  });
+  const { area, x, y } = axes;
+  const lines = [];
+  const markers = [];
+
+  series.forEach(s => {
+    let d = '';
+    s.values.forEach((value, i) => {
+      if (value === null) return;
+      d += `${d ? 'L' : 'M'}${fmt(x(i))},${fmt(y(value))} `;
+      markers.push(`<circle cx="${fmt(x(i))}" cy="${fmt(y(value))}" r="3.5" fill="${s.colour}"/>`);
+    });
+    if (d) lines.push(`<path d="${d.trim()}" fill="none" stroke="${s.colour}" stroke-width="2.5"/>`);
+  });
+
+  const named = series.filter(s => s.name);
+  const body = [...axes.body, ...lines, ...markers, ...(named.length ? legend(named, area) : [])];
+  return svgDocument(width, height, body, spec.title);
+}
+
+/* -----------------------------
+   NUMBER LINE
+------------------------------ */
+
+function renderNumberLine(spec) {
+  const { width, height } = canvasSize(spec, 600, 180);
+  const min = num(spec.min, 'min');
+  const max = num(spec.max, 'max');
+  if (max <= min) throw specError('"max" must be greater than "min"');
+  const step = spec.step !== undefined ? Math.abs(num(spec.step, 'step')) : niceStep(max - min, 10);
+  if (!step || (max - min) / step > 100) throw specError('"step" is too small for the range');
+
+  const left = 40;
+  const right = width - 40;
+  const axisY = height - 60;
+  const x = value => left + (value - min) / (max - min) * (right - left);
+  const body = [];
+
+  // Arrowheads show the line carries on in both directions
+  body.push(line(left - 20, axisY, right + 20, axisY, { width: 2 }));
+  body.push(arrowHead(left - 24, axisY, Math.PI), arrowHead(right + 24, axisY, 0));
+  ticks(min, max, step).forEach(value => {
+    body.push(line(x(value), axisY - 8, x(value), axisY + 8, { width: 1.5 }));
+    body.push(text(x(value), axisY + 26, String(value), { size: 13 }));
+  });
+
+  list(spec.ranges, 'ranges').forEach((range, i) => {
+    const stroke = colour(range.color, PALETTE[(i + 1) % PALETTE.length]);
+    const from = range.from === undefined ? null : num(range.from, `ranges[${i}].from`);
+    const to = range.to === undefined ? null : num(range.to, `ranges[${i}].to`);
+    if (from === null && to === null) throw specError(`"ranges[${i}]" needs "from" or "to"`);
+    const level = axisY - 24 - i * 16;
+    const x1 = from === null ? left - 10 : x(from);
+    const x2 = to === null ? right + 10 : x(to);
+    body.push(line(x1, level, x2, level, { stroke, width: 3 }));
+    if (from === null) body.push(arrowHead(x1 - 4, level, Math.PI, { fill: stroke }));
+    if (to === null) body.push(arrowHead(x2 + 4, level, 0, { fill: stroke }));
+    [[from, range.fromOpen], [to, range.toOpen]].forEach(([value, open]) => {
+      if (value === null) return;
+      body.push(`<circle cx="${fmt(x(value))}" cy="${fmt(level)}" r="5" fill="${open ? '#ffffff' : stroke}" stroke="${stroke}" stroke-width="2"/>`);
+    });
+    if (range.label) body.push(text((x1 + x2) / 2, level - 8, label(range.label, 30), { size: 12, colour: stroke }));
+  });
+
+  list(spec.jumps, 'jumps').forEach((jump, i) => {
+    const from = x(num(jump.from, `jumps[${i}].from`));
+    const to = x(num(jump.to, `jumps[${i}].to`));
+    const rise = Math.min(50, Math.max(18, Math.abs(to - from) / 3));
+    body.push(`<path d="M${fmt(from)},${fmt(axisY - 4)} Q${fmt((from + to) / 2)},${fmt(axisY - 4 - rise * 2)} ${fmt(to)},${fmt(axisY - 4)}" ` +
+      'fill="none" stroke="#c00000" stroke-width="2" marker-end="url(#arrow)"/>');
+    if (jump.label) body.push(text((from + to) / 2, axisY - 8 - rise, label(jump.label, 12), { size: 12, colour: '#c00000' }));
+  });
+
+  list(spec.points, 'points').forEach((p, i) => {
+    const px = x(num(p.value, `points[${i}].value`));
+    body.push(`<circle cx="${fmt(px)}" cy="${fmt(axisY)}" r="6" fill="${p.open ? '#ffffff' : '#000000'}" stroke="#000000" stroke-width="2"/>`);
+    if (p.label) body.push(text(px, axisY + 46, label(p.label, 16), { size: 12, weight: 'bold' }));
+  });
+
+  return svgDocument(width, height, body, spec.title);
+}
+
+/* -----------------------------
+   CIRCUIT
+------------------------------ */
+
+const COMPONENT_KINDS = ['cell', 'battery', 'bulb', 'lamp', 'resistor', 'switch', 'ammeter', 'voltmeter', 'motor', 'fuse'];
+
+/**
+ * Symbol for one component, drawn horizontally around (0, 0) within
+ * x -20..20; the white backing breaks the wire underneath.
+ */
+function componentSymbol(component) {
+  const backing = '<rect x="-16" y="-16" width="32" height="32" fill="#ffffff"/>';
+  const lead = (from, to) => line(from, 0, to, 0);
+  const meter = letter => [
+    backing, lead(-16, -12), lead(12, 16),
+    '<circle cx="0" cy="0" r="12" fill="#ffffff" stroke="#000000" stroke-width="2"/>',
+    text(0, 5, letter, { size: 14, weight: 'bold' })
+  ];
+
+  switch (component.kind) {
+    case 'cell':
+      return [backing, lead(-16, -4), lead(4, 16), line(-4, -14, -4, 14), line(4, -7, 4, 7, { width: 4 })];
+    case 'battery':
+      return [
+        backing, lead(-16, -10), lead(10, 16),
+        line(-10, -14, -10, 14), line(-4, -7, -4, 7, { width: 4 }),
+        line(4, -14, 4, 14), line(10, -7, 10, 7, { width: 4 }),
+        line(-4, 0, 4, 0, { dashed: true, width: 1 })
+      ];
+    case 'bulb':
+    case 'lamp':
+      return [
+        backing, lead(-16, -12), lead(12, 16),
+        '<circle cx="0" cy="0" r="12" fill="#ffffff" stroke="#000000" stroke-width="2"/>',
+        line(-8.5, -8.5, 8.5, 8.5), line(-8.5, 8.5, 8.5, -8.5)
+      ];
+    case 'resistor':
+      return [backing, lead(-16, -14), lead(14, 16), '<rect x="-14" y="-7" width="28" height="14" fill="#ffffff" stroke="#000000" stroke-width="2"/>'];
+    case 'fuse':
+      return [backing, '<rect x="-14" y="-6" width="28" height="12" fill="#ffffff" stroke="#000000" stroke-width="2"/>', lead(-16, 16)];
+    case 'switch':
+      return [
+        backing, lead(-16, -12), lead(12, 16),
+        '<circle cx="-12" cy="0" r="2.5" fill="#000000"/>', '<circle cx="12" cy="0" r="2.5" fill="#000000"/>',
+        component.open ? line(-12, 0, 10, -12) : line(-12, 0, 12, 0)
+      ];
+    case 'ammeter':
+      return meter('A');
+    case 'voltmeter':
+      return meter('V');
+    case 'motor':
+      return meter('M');
+    default:
+      throw specError(`Unknown circuit component "${component.kind}"`);
+  }
+}
+
+/* ---- Helper: Place a component symbol and its label ---- */
+function placeComponent(component, x, y, vertical) {
+  const transform = `translate(${fmt(x)} ${fmt(y)})${vertical ? ' rotate(90)' : ''}`;
+  const parts = [`<g transform="${transform}">${componentSymbol(component).join('')}</g>`];
+  const caption = label(component.label, 16);
+  if (caption) {
+    parts.push(vertical
+      ? text(x - 22, y, caption, { size: 12, anchor: 'end', baseline: 'middle' })
+      : text(x, y - 22, caption, { size: 12 }));
+  }
+  return parts;
+}
+
+/* ---- Helper: Validate a list of circuit components ---- */
+function components(value, field, required) {
+  return list(value, field, { required }).map((component, i) => {
+    if (!component || !COMPONENT_KINDS.includes(component.kind)) {
+      throw specError(`"${field}[${i}].kind" must be one of: ${COMPONENT_KINDS.join(', ')}`);
+    }
+    return component;
+  });
+}
+
+function renderCircuit(spec) {
+  const series = components(spec.components, 'components', true);
+  const branches = list(spec.parallel, 'parallel').map((branch, i) => components(branch, `parallel[${i}]`, true));
+
+  // Cells and batteries go on the left side; everything else along the top
+  const sources = series.filter(c => c.kind === 'cell' || c.kind === 'battery');
+  const others = series.filter(c => c.kind !== 'cell' && c.kind !== 'battery');
+  const rowGap = 80;
+  const longest = Math.max(others.length, ...branches.map(b => b.length), 1);
+
+  const width = Math.min(MAX_CANVAS, Math.max(400, 140 + longest * 90));
+  const top = spec.title ? 90 : 60;
+  const bottom = top + Math.max(160, sources.length * 70 + 40);
+  const height = Math.min(MAX_CANVAS, bottom + Math.max(0, branches.length - 1) * rowGap + 50);
+  const left = 60;
+  const right = width - 60;
+  const body = [];
+
+  // Wires first; symbols are drawn over them
+  body.push(`<path d="M${left},${top} L${right},${top} L${right},${bottom} L${left},${bottom} Z" fill="none" stroke="#000000" stroke-width="2"/>`);
+
+  const spread = (count, from, to) => Array.from({ length: count }, (_, i) => from + (to - from) * (i + 1) / (count + 1));
+
+  spread(sources.length, top, bottom).forEach((y, i) => body.push(...placeComponent(sources[i], left, y, true)));
+  spread(others.length, left, right).forEach((x, i) => body.push(...placeComponent(others[i], x, top, false)));
+
+  if (branches.length) {
+    // Branches hang as extra rows below the bottom wire, joined at two nodes
+    const nodeLeft = left + 40;
+    const nodeRight = right - 40;
+    const lastRow = bottom + (branches.length - 1) * rowGap;
+    if (branches.length > 1) {
+      body.push(line(nodeLeft, bottom, nodeLeft, lastRow), line(nodeRight, bottom, nodeRight, lastRow));
+    }
+    branches.forEach((branch, row) => {
+      const y = bottom + row * rowGap;
+      if (row > 0) body.push(line(nodeLeft, y, nodeRight, y));
+      spread(branch.length, nodeLeft, nodeRight).forEach((x, i) => body.push(...placeComponent(branch[i], x, y, false)));
+    });
+    if (branches.length > 1) {
+      body.push(`<circle cx="${nodeLeft}" cy="${bottom}" r="3.5" fill="#000000"/>`, `<circle cx="${nodeRight}" cy="${bottom}" r="3.5" fill="#000000"/>`);
+    }
+  }
+
+  return svgDocument(width, height, body, spec.title);
+}
+
+/* -----------------------------
+   FLOWCHART
+------------------------------ */
+
+const NODE_SHAPES = ['start', 'end', 'process', 'decision', 'input', 'output'];
+const NODE_WIDTH = 170;
+const NODE_HEIGHT = 54;
+const DECISION_HEIGHT = 80;
+
+/* ---- Helper: Node outline centred on (x, y) ---- */
+function nodeOutline(shape, x, y, h) {
+  const w = NODE_WIDTH;
+  const style = 'fill="#ffffff" stroke="#000000" stroke-width="2"';
+  switch (shape) {
+    case 'start':
+    case 'end':
+      return `<rect x="${fmt(x - w / 2)}" y="${fmt(y - h / 2)}" width="${w}" height="${h}" rx="${h / 2}" ry="${h / 2}" ${style}/>`;
+    case 'decision':
+      return `<polygon points="${fmt(x)},${fmt(y - h / 2)} ${fmt(x + w / 2)},${fmt(y)} ${fmt(x)},${fmt(y + h / 2)} ${fmt(x - w / 2)},${fmt(y)}" ${style}/>`;
+    case 'input':
+    case 'output': {
+      const slant = 14;
+      return `<polygon points="${fmt(x - w / 2 + slant)},${fmt(y - h / 2)} ${fmt(x + w / 2)},${fmt(y - h / 2)} ` +
+        `${fmt(x + w / 2 - slant)},${fmt(y + h / 2)} ${fmt(x - w / 2)},${fmt(y + h / 2)}" ${style}/>`;
+    }
+    default:
+      return `<rect x="${fmt(x - w / 2)}" y="${fmt(y - h / 2)}" width="${w}" height="${h}" ${style}/>`;
+  }
+}
+
+function renderFlowchart(spec) {
+  const nodes = list(spec.nodes, 'nodes', { required: true }).map((node, i) => {
+    const id = node.id === undefined ? String(i + 1) : String(node.id);
+    const shape = node.shape || (i === 0 ? 'start' : 'process');
+    if (!NODE_SHAPES.includes(shape)) throw specError(`"nodes[${i}].shape" must be one of: ${NODE_SHAPES.join(', ')}`);
+    return { id, shape, lines: wrap(node.text || id, shape === 'decision' ? 16 : 22, shape === 'decision' ? 2 : 3), order: i };
+  });
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  if (byId.size !== nodes.length) throw specError('Flowchart node ids must be unique');
+
+  const edges = list(spec.edges, 'edges').map((edge, i) => {
+    const from = byId.get(String(edge.from));
+    const to = byId.get(String(edge.to));
+    if (!from || !to) throw specError(`"edges[${i}]" refers to an unknown node`);
+    return { from, to, label: label(edge.label, 12) };
+  });
+
+  // Back edges (loops) are found in node order so layering is stable
+  const outgoing = new Map(nodes.map(node => [node, edges.filter(e => e.from === node)]));
+  const state = new Map();
+  const backEdges = new Set();
+  const visit = node => {
+    state.set(node, 'active');
+    outgoing.get(node).forEach(edge => {
+      if (state.get(edge.to) === 'active') backEdges.add(edge);
+      else if (!state.has(edge.to)) visit(edge.to);
+    });
+    state.set(node, 'done');
+  };
+  nodes.forEach(node => { if (!state.has(node)) visit(node); });
+
+  // Longest-path layers over the forward edges
+  const layer = new Map(nodes.map(node => [node, 0]));
+  for (let pass = 0; pass < nodes.length; pass++) {
+    let changed = false;
+    edges.forEach(edge => {
+      if (backEdges.has(edge)) return;
+      if (layer.get(edge.to) < layer.get(edge.from) + 1) {
+        layer.set(edge.to, layer.get(edge.from) + 1);
+        changed = true;
+      }
+    });
+    if (!changed) break;
+  }
+
+  const layers = [];
+  nodes.forEach(node => {
+    const index = layer.get(node);
+    (layers[index] = layers[index] || []).push(node);
+  });
+
+  const columnGap = NODE_WIDTH + 60;
+  const rowGap = DECISION_HEIGHT + 50;
+  const widest = Math.max(...layers.map(row => (row ? row.length : 0)));
+  const width = Math.min(MAX_CANVAS, Math.max(360, widest * columnGap + 120));
+  const top = spec.title ? 90 : 60;
+  const height = Math.min(MAX_CANVAS, top + (layers.length - 1) * rowGap + DECISION_HEIGHT / 2 + 40);
+
+  layers.forEach((row, rowIndex) => {
+    (row || []).forEach((node, i) => {
+      node.x = width / 2 + (i - (row.length - 1) / 2) * columnGap;
+      node.y = top + rowIndex * rowGap;
+      node.h = node.shape === 'decision' ? DECISION_HEIGHT : NODE_HEIGHT;
+    });
+  });
+
+  const body = [];
+  const rightmost = Math.max(...nodes.map(node => node.x)) + NODE_WIDTH / 2;
+
+  edges.forEach((edge, i) => {
+    const { from, to } = edge;
+    if (backEdges.has(edge) || layer.get(to) <= layer.get(from)) {
+      // Loops run back up the right-hand side
+      const lane = Math.min(width - 10, rightmost + 20 + (i % 3) * 10);
+      const startX = from.x + NODE_WIDTH / 2;
+      const endX = to.x + NODE_WIDTH / 2;
+      body.push(`<path d="M${fmt(startX)},${fmt(from.y)} L${fmt(lane)},${fmt(from.y)} L${fmt(lane)},${fmt(to.y)} L${fmt(endX)},${fmt(to.y)}" ` +
+        'fill="none" stroke="#000000" stroke-width="1.5" marker-end="url(#arrow)"/>');
+      if (edge.label) body.push(text(startX + 8, from.y - 6, edge.label, { size: 12, anchor: 'start' }));
+      return;
+    }
+    const x1 = from.x;
+    const y1 = from.y + from.h / 2;
+    const x2 = to.x;
+    const y2 = to.y - to.h / 2;
+    body.push(`<path d="M${fmt(x1)},${fmt(y1)} L${fmt(x1)},${fmt((y1 + y2) / 2)} L${fmt(x2)},${fmt((y1 + y2) / 2)} L${fmt(x2)},${fmt(y2)}" ` +
+      'fill="none" stroke="#000000" stroke-width="1.5" marker-end="url(#arrow)"/>');
+    // Labelled on the target's side so "Yes"/"No" from one decision stay apart
+    if (edge.label) body.push(text(x2 + 6, (y1 + y2) / 2 + 16, edge.label, { size: 12, anchor: 'start' }));
+  });
+
+  nodes.forEach(node => {
+    body.push(nodeOutline(node.shape, node.x, node.y, node.h));
+    const firstLine = node.y - (node.lines.length - 1) * 8;
+    node.lines.forEach((content, i) => body.push(text(node.x, firstLine + i * 16, content, { size: 13, baseline: 'middle' })));
+  });
+
+  return svgDocument(width, height, body, spec.title);
+}
+
+/* -----------------------------
+   ENTRY POINT
+------------------------------ */
+
+const RENDERERS = {
+  shapes: renderShapes,
+  graph: renderGraph,
+  'bar-chart': renderBarChart,
+  'line-chart': renderLineChart,
+  'number-line': renderNumberLine,
+  circuit: renderCircuit,
+  flowchart: renderFlowchart
+};
+
+/**
+ * Parse a diagram spec from model output (JSON text or an object).
+ * Throws a DiagramError when it is not a spec object of a known type.
+ */
+function parseDiagramSpec(source) {
+  let spec = source;
+  if (typeof source === 'string') {
+    const cleaned = source.replace(/```(?:json)?/gi, '');
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) throw specError('Diagram spec is not a JSON object');
+    try {
+      spec = JSON.parse(cleaned.slice(start, end + 1));
+    } catch (err) {
+      throw specError(`Diagram spec is not valid JSON: ${err.message}`);
+    }
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw specError('Diagram spec is not a JSON object');
+  if (!RENDERERS[spec.type]) throw specError(`Unknown diagram type "${spec.type}"; use one of: ${DIAGRAM_TYPES.join(', ')}`);
+  return spec;
+}
+
+/**
+ * Render a diagram spec to an SVG string. The same spec always gives
+ * the same SVG. Throws a DiagramError describing the first problem.
+ */
+function renderDiagramSpec(source) {
+  const spec = parseDiagramSpec(source);
+  return RENDERERS[spec.type](spec);
+}
+
+module.exports = {
+  DIAGRAM_TYPES,
+  DIAGRAM_SPEC_GUIDE,
+  compileExpression,
+  parseDiagramSpec,
+  renderDiagramSpec
+};
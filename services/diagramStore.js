@@ -0,0 +1,223 @@
+/* ============================================================
+   DIAGRAM STORE
+   Content-addressed cache and library of rendered diagrams. A
+   diagram is keyed by the SHA-256 of its normalised, sanitised
+   SVG, so the same drawing is converted to PNG once and then
+   served by URL (/api/diagrams/:id) to every document using it.
+   PNGs are kept in the "diagrams" GridFS bucket.
+============================================================ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Diagram = require('../models/Diagram');
+
+const BUCKET_NAME = 'diagrams';
+const MAX_CAPTIONS = 20;  // distinct captions remembered per diagram
+const MAX_SUBJECTS = 20;
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+/* ---- Helper: GridFS bucket on the current connection ---- */
+function bucket() {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+}
+
+/* ---- Helper: Escape text for use inside a RegExp ---- */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalise sanitised SVG and hash it.
+ * Returns: { hash, svg } - the normalised SVG is what gets stored.
+ */
+function fingerprint(svg) {
+  const normalised = svg.replace(/>\s+</g, '><').trim();
+  return { hash: crypto.createHash('sha256').update(normalised).digest('hex'), svg: normalised };
+}
+
+/* ---- Helper: Public path a diagram is served from ---- */
+function diagramUrl(hash) {
+  return `/api/diagrams/${hash}`;
+}
+
+/* ---- Helper: Is this a diagram id (content hash)? ---- */
+function isDiagramId(value) {
+  return typeof value === 'string' && HASH_PATTERN.test(value);
+}
+
+/**
+ * Shape a stored diagram as it appears in a document's `diagrams`.
+ * `failed` means no PNG could be made; the URL then serves the SVG.
+ */
+function toReference(record, { index, caption }) {
+  const reference = {
+    index,
+    caption: caption || record.caption,
+    diagramId: record.hash,
+    url: diagramUrl(record.hash),
+    width: record.width,
+    height: record.height
+  };
+  if (record.spec) reference.spec = record.spec;
+  if (!record.png) reference.failed = true;
+  return reference;
+}
+
+/* ---- Helper: Upload a PNG and resolve with its file id ---- */
+function uploadPng(hash, png) {
+  return new Promise((resolve, reject) => {
+    const upload = bucket().openUploadStream(`${hash}.png`, { contentType: 'image/png', metadata: { hash } });
+    upload.once('finish', () => resolve(upload.id));
+    upload.once('error', reject);
+    upload.end(png);
+  });
+}
+
+/**
+ * Read a stored diagram's PNG into a buffer.
+ */
+function readPng(record) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    bucket().openDownloadStream(record.png)
+      .on('data', chunk => chunks.push(chunk))
+      .once('end', () => resolve(Buffer.concat(chunks)))
+      .once('error', reject);
+  });
+}
+
+function findDiagram(hash) {
+  return Diagram.findOne({ hash }).lean();
+}
+
+/* ---- Helper: $addToSet for the usage details a record does not have yet ---- */
+function usageAdditions(record, { caption, subject, school }) {
+  const additions = {};
+  if (school) additions.schools = school;
+  if (caption && !record.captions.includes(caption) && record.captions.length < MAX_CAPTIONS) {
+    additions.captions = caption;
+  }
+  if (subject && !record.subjects.includes(subject) && record.subjects.length < MAX_SUBJECTS) {
+    additions.subjects = subject;
+  }
+  return additions;
+}
+
+/**
+ * Count another use of a cached diagram and remember the caption,
+ * subject and school it was used with.
+ */
+async function recordUse(record, usage) {
+  const update = { $inc: { useCount: 1 }, $set: { lastUsedAt: new Date() } };
+  const additions = usageAdditions(record, usage);
+  if (Object.keys(additions).length) update.$addToSet = additions;
+
+  await Diagram.updateOne({ hash: record.hash }, update);
+}
+
+/**
+ * Store a newly rendered diagram (the PNG may be null when no converter
+ * worked). Two servers storing the same diagram at once is fine: the
+ * loser drops its upload and counts a use of the winner's record.
+ * Returns the lean record.
+ */
+async function saveDiagram({ hash, svg, width, height, png, spec }, usage) {
+  const fileId = png ? await uploadPng(hash, png) : null;
+  const caption = usage.caption || '';
+  const subject = usage.subject || '';
+
+  try {
+    const record = await Diagram.create({
+      hash, svg, width, height, spec,
+      png: fileId,
+      caption,
+      captions: caption ? [caption] : [],
+      subjects: subject ? [subject] : [],
+      schools: usage.school ? [usage.school] : []
+    });
+    return record.toObject();
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    if (fileId) await bucket().delete(fileId).catch(() => {});
+    const existing = await findDiagram(hash);
+    await recordUse(existing, usage);
+    return existing;
+  }
+}
+
+/**
+ * Attach a PNG to a diagram that was stored before any converter
+ * worked. Returns the updated lean record.
+ */
+async function attachPng(record, png) {
+  const fileId = await uploadPng(record.hash, png);
+  const updated = await Diagram.findOneAndUpdate(
+    { hash: record.hash, png: null },
+    { $set: { png: fileId } },
+    { new: true }
+  ).lean();
+
+  if (updated) return updated;
+
+  // Someone else attached one first
+  await bucket().delete(fileId).catch(() => {});
+  return findDiagram(record.hash);
+}
+
+/**
+ * Fill in the image data exporters need for diagrams stored by
+ * reference: `base64` when a PNG exists, otherwise the stored `svgCode`.
+ * Inline diagrams (older documents) pass through unchanged.
+ */
+async function resolveDiagrams(diagrams) {
+  if (!Array.isArray(diagrams)) return [];
+
+  const hashes = [...new Set(diagrams
+    .filter(d => d && !d.base64 && isDiagramId(d.diagramId))
+    .map(d => d.diagramId))];
+  if (!hashes.length) return diagrams;
+
+  const records = await Diagram.find({ hash: { $in: hashes } }).select('hash png svg').lean();
+  const images = new Map(await Promise.all(records.map(async record => [
+    record.hash,
+    record.png ? { base64: (await readPng(record)).toString('base64') } : { svgCode: record.svg }
+  ])));
+
+  return diagrams.map(d => (d && images.has(d.diagramId) && !d.base64 ? { ...d, ...images.get(d.diagramId) } : d));
+}
+
+/**
+ * Search a school's diagram library by caption words and subject.
+ * Returns lean records without their SVG, best matches (or most
+ * recently used) first.
+ */
+async function searchDiagrams({ school, q, subject, limit }) {
+  const filter = { schools: school };
+  if (subject) filter.subjects = new RegExp(`^${escapeRegex(subject)}`, 'i');
+
+  let query;
+  if (q) {
+    filter.$text = { $search: q };
+    query = Diagram.find(filter, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, lastUsedAt: -1 });
+  } else {
+    query = Diagram.find(filter).sort({ lastUsedAt: -1 });
+  }
+
+  return query.select('-svg -schools').limit(limit).lean();
+}
+
+module.exports = {
+  fingerprint,
+  diagramUrl,
+  isDiagramId,
+  toReference,
+  findDiagram,
+  recordUse,
+  saveDiagram,
+  attachPng,
+  readPng,
+  resolveDiagrams,
+  searchDiagrams
+};
@@ -0,0 +1,474 @@
+/* ============================================================
+   DIAGRAM RENDERER
+   Pulls the diagrams out of generated content - structured specs
+   (services/diagramSpec.js) or raw SVG - sanitises the SVG against
+   an element/attribute allowlist and converts it to PNG with
+   whichever converter is installed. Converters run through
+   execFile (no shell) with a timeout, in a private temp directory,
+   and at most DIAGRAM_CONCURRENCY at a time across all requests.
+   Results are cached in services/diagramStore.js, so a diagram
+   seen before is never converted again.
+
+   Settings (environment):
+   - DIAGRAM_CONCURRENCY  conversions running at once (2)
+   - DIAGRAM_TIMEOUT_MS   time limit per converter run (15000)
+============================================================ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const cheerio = require('cheerio');
+const { renderDiagramSpec, parseDiagramSpec } = require('./diagramSpec');
+const diagramStore = require('./diagramStore');
+
+const execFileAsync = promisify(execFile);
+
+// Model output larger than this is not a diagram worth rendering
+const MAX_SVG_LENGTH = 200 * 1024;
+const MAX_ELEMENTS = 5000;
+const MAX_DIMENSION = 4000;      // width/height, in px
+const MAX_VIEWBOX_SIZE = 100000; // viewBox width/height, in user units
+const MAX_PNG_BYTES = 5 * 1024 * 1024;
+
+// Rendered width; the height follows the diagram's aspect ratio
+const OUTPUT_WIDTH = 800;
+
+// [DIAGRAM_START] wraps a JSON spec, [SVG_DIAGRAM_START] raw SVG
+const DIAGRAM_MARKER = /\[(?:SVG_)?DIAGRAM_(START|END)\]/g;
+const CAPTION_LINE = /\[DIAGRAM_CAPTION\]:?[ \t]*(.*)/;
+
+const ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'title', 'desc', 'style', 'symbol', 'use', 'marker', 'clipPath', 'mask', 'pattern',
+  'linearGradient', 'radialGradient', 'stop',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan', 'textPath'
+]);
+
+// Removed together with their content
+const DROPPED_ELEMENTS = new Set([
+  'script', 'foreignObject', 'image', 'iframe', 'object', 'embed', 'audio', 'video', 'canvas',
+  'animate', 'animateMotion', 'animateTransform', 'set', 'discard', 'handler', 'listener'
+]);
+
+const ALLOWED_ATTRIBUTES = new Set([
+  'id', 'class', 'style', 'transform', 'viewBox', 'preserveAspectRatio', 'width', 'height', 'version',
+  'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'd', 'points', 'pathLength',
+  'dx', 'dy', 'rotate', 'textLength', 'lengthAdjust', 'startOffset', 'method', 'spacing',
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'stroke-dashoffset', 'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'opacity', 'color',
+  'visibility', 'display', 'clip-path', 'clip-rule', 'mask', 'marker-start', 'marker-mid', 'marker-end',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'font-variant', 'text-anchor',
+  'dominant-baseline', 'alignment-baseline', 'baseline-shift', 'text-decoration', 'letter-spacing',
+  'word-spacing', 'writing-mode', 'direction',
+  'offset', 'stop-color', 'stop-opacity', 'gradientUnits', 'gradientTransform', 'spreadMethod',
+  'patternUnits', 'patternContentUnits', 'patternTransform', 'clipPathUnits', 'maskUnits',
+  'maskContentUnits', 'markerWidth', 'markerHeight', 'markerUnits', 'refX', 'refY', 'orient',
+  'vector-effect', 'shape-rendering', 'text-rendering',
+  'xmlns', 'xmlns:xlink', 'href', 'xlink:href', 'xml:space'
+]);
+
+// Converters in order of preference; args(svg, png, width, height)
+const CONVERTERS = [
+  {
+    name: 'rsvg-convert',
+    args: (svg, png, width, height) => ['-w', String(width), '-h', String(height), '-f', 'png', '-o', png, svg]
+  },
+  {
+    name: 'convert', // ImageMagick
+    args: (svg, png, width) => ['-density', '150', svg, '-resize', `${width}x`, `png:${png}`]
+  },
+  {
+    name: 'inkscape',
+    args: (svg, png, width) => ['--export-type=png', `--export-filename=${png}`, `--export-width=${width}`, svg]
+  }
+];
+
+// Converters found to be missing are not tried again in this process
+const missingConverters = new Set();
+
+/* ---- Helper: Read a positive integer setting ---- */
+function setting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/* ---- Helper: Why an SVG was rejected ---- */
+function diagramError(message) {
+  const error = new Error(message);
+  error.name = 'DiagramError';
+  return error;
+}
+
+/**
+ * Does the content contain any diagram blocks?
+ */
+function hasDiagramBlocks(content) {
+  return /\[(?:SVG_)?DIAGRAM_START\]/.test(content);
+}
+
+/**
+ * Find the diagram blocks in generated content, in order.
+ * Format: [DIAGRAM_START] {spec JSON} [DIAGRAM_END] or
+ *         [SVG_DIAGRAM_START] <svg>...</svg> [SVG_DIAGRAM_END],
+ * optionally followed (or preceded inside the block) by
+ * [DIAGRAM_CAPTION]: caption text.
+ * Tolerates mismatched marker names and a START without an END
+ * before the next START (the later block wins).
+ * Returns: [{ start, end, svgCode | spec | source, caption }] with the
+ * character range each block (and its caption) covers.
+ */
+function extractDiagrams(content) {
+  const blocks = [];
+  let open = null;
+
+  for (const marker of content.matchAll(DIAGRAM_MARKER)) {
+    if (marker[1] === 'START') {
+      open = marker;
+      continue;
+    }
+    if (!open) continue;
+
+    const start = open.index;
+    let end = marker.index + marker[0].length;
+    let body = content.slice(open.index + open[0].length, marker.index);
+    let caption = '';
+    open = null;
+
+    // Caption inside the block...
+    const inner = body.match(CAPTION_LINE);
+    if (inner) {
+      caption = inner[1].trim();
+      body = body.replace(CAPTION_LINE, '');
+    }
+
+    // ...or on the line(s) after it
+    const after = content.slice(end).match(/^\s*\[DIAGRAM_CAPTION\]:?[ \t]*(.*)/);
+    if (after) {
+      caption = after[1].trim() || caption;
+      end += after[0].length;
+    }
+
+    const svgMatch = body.match(/<svg[\s>][\s\S]*<\/svg>/i);
+    let block;
+    if (svgMatch) {
+      block = { svgCode: svgMatch[0].trim() };
+    } else {
+      try {
+        block = { spec: parseDiagramSpec(body) };
+      } catch (err) {
+        // Kept so the failure can be reported against its placeholder
+        block = { source: body.trim(), error: err.message };
+      }
+    }
+    blocks.push({ start, end, caption: caption || block.spec?.caption || '', ...block });
+  }
+
+  console.log(`📊 Extracted ${blocks.length} diagrams from content`);
+  return blocks;
+}
+
+/* ---- Helper: Only same-document references (#id) are allowed ---- */
+function isLocalReference(value) {
+  return /^\s*#[\w.:-]*\s*$/.test(value);
+}
+
+/* ---- Helper: CSS that could load something from outside the document ----
+   Escapes ("u\72l(") are rejected outright rather than decoded, and
+   comments are removed so they cannot hide a keyword.
+------------------------------------------------------------ */
+function hasUnsafeCss(value) {
+  if (value.includes('\\')) return true;
+
+  const css = value.replace(/\/\*[\s\S]*?(\*\/|$)/g, '');
+  const urls = css.match(/url\s*\(([^)]*)\)/gi) || [];
+  const external = urls.some(url => !isLocalReference(url.replace(/^url\s*\(\s*['"]?|['"]?\s*\)$/gi, '')));
+  return external || /@import|expression\s*\(|javascript:|behavior\s*:|-moz-binding/i.test(css);
+}
+
+/* ---- Helper: "800", "800px" -> 800; other units/percentages -> NaN ---- */
+function pixelLength(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(px)?$/);
+  return match ? Number(match[1]) : NaN;
+}
+
+/**
+ * Clean model-generated SVG so it is safe to render or show inline.
+ * Drops scripts, foreign content, event handlers, external references
+ * and entity declarations; checks the element count, size and viewBox.
+ * Returns: { svg, width, height } (the intrinsic size in px).
+ * Throws a DiagramError when the SVG cannot be made safe.
+ */
+function sanitizeSvg(svgCode) {
+  if (typeof svgCode !== 'string' || !svgCode.trim()) throw diagramError('Empty SVG');
+  if (svgCode.length > MAX_SVG_LENGTH) throw diagramError('SVG is too large');
+
+  // DTDs allow entity expansion ("billion laughs") and external entities
+  if (/<!DOCTYPE|<!ENTITY/i.test(svgCode)) throw diagramError('SVG contains a DOCTYPE or entity declaration');
+
+  const source = svgCode
+    .replace(/<\?xml[\s\S]*?\?>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .trim();
+
+  const $ = cheerio.load(source, { xml: { xmlMode: true, decodeEntities: true } });
+  const roots = $.root().children();
+  if (roots.length !== 1 || roots[0].tagName !== 'svg') throw diagramError('Content is not a single <svg> element');
+
+  const root = roots.first();
+  if (root.find('*').length + 1 > MAX_ELEMENTS) throw diagramError('SVG has too many elements');
+
+  // Deepest first, so unwrapping and removal never skip a node
+  root.find('*').get().reverse().concat(roots[0]).forEach(element => {
+    const node = $(element);
+    const name = element.tagName;
+
+    if (DROPPED_ELEMENTS.has(name)) {
+      node.remove();
+      return;
+    }
+    if (!ALLOWED_ELEMENTS.has(name)) {
+      // Unknown wrappers (<a>, <switch>...) keep their drawing
+      node.replaceWith(node.contents());
+      return;
+    }
+
+    if (name === 'style' && hasUnsafeCss(node.text())) {
+      node.remove();
+      return;
+    }
+
+    Object.entries(element.attribs).forEach(([attribute, value]) => {
+      const unsafe = !ALLOWED_ATTRIBUTES.has(attribute) ||
+        ((attribute === 'href' || attribute === 'xlink:href') && !isLocalReference(value)) ||
+        (/url\s*\(|\\/i.test(value) && hasUnsafeCss(value)) ||
+        (attribute === 'style' && hasUnsafeCss(value)) ||
+        /^\s*(javascript|data|vbscript):/i.test(value);
+
+      if (unsafe) node.removeAttr(attribute);
+    });
+  });
+
+  const size = validateSize(root);
+  return { svg: $.xml(root), ...size };
+}
+
+/**
+ * Check the root's width/height and viewBox, filling in whichever is
+ * missing so every converter renders at the same aspect ratio.
+ * Returns: { width, height } in px.
+ */
+function validateSize(root) {
+  let viewBox = null;
+  const viewBoxText = root.attr('viewBox');
+
+  if (viewBoxText !== undefined) {
+    const numbers = viewBoxText.trim().split(/[\s,]+/).map(Number);
+    const [, , boxWidth, boxHeight] = numbers;
+    if (numbers.length !== 4 || numbers.some(n => !Number.isFinite(n)) ||
+        boxWidth <= 0 || boxHeight <= 0 || boxWidth > MAX_VIEWBOX_SIZE || boxHeight > MAX_VIEWBOX_SIZE) {
+      throw diagramError(`Invalid viewBox "${viewBoxText}"`);
+    }
+    viewBox = { width: boxWidth, height: boxHeight };
+  }
+
+  let width = root.attr('width') !== undefined ? pixelLength(root.attr('width')) : NaN;
+  let height = root.attr('height') !== undefined ? pixelLength(root.attr('height')) : NaN;
+
+  // Percentages and physical units size to the viewBox
+  if (!Number.isFinite(width) && !Number.isFinite(height)) {
+    if (!viewBox) throw diagramError('SVG has neither a size nor a viewBox');
+    ({ width, height } = viewBox);
+  } else if (!Number.isFinite(height)) {
+    height = viewBox ? width * viewBox.height / viewBox.width : width * 0.75;
+  } else if (!Number.isFinite(width)) {
+    width = viewBox ? height * viewBox.width / viewBox.height : height / 0.75;
+  }
+
+  if (width <= 0 || height <= 0 || width > MAX_VIEWBOX_SIZE || height > MAX_VIEWBOX_SIZE) {
+    throw diagramError(`Invalid SVG size ${width}x${height}`);
+  }
+
+  // Without a viewBox the drawing is in px; keep it whole when scaling
+  if (!viewBox) root.attr('viewBox', `0 0 ${width} ${height}`);
+
+  // Oversized diagrams are scaled down to the limit
+  const scale = Math.min(1, MAX_DIMENSION / width, MAX_DIMENSION / height);
+  width = Math.max(1, Math.round(width * scale));
+  height = Math.max(1, Math.round(height * scale));
+
+  root.attr('width', String(width));
+  root.attr('height', String(height));
+  if (!root.attr('xmlns')) root.attr('xmlns', 'http://www.w3.org/2000/svg');
+
+  return { width, height };
+}
+
+/* ---- Helper: Does the buffer start with the PNG signature? ---- */
+function isPng(buffer) {
+  return buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504E47 && buffer.readUInt32BE(4) === 0x0D0A1A0A;
+}
+
+/**
+ * Convert sanitised SVG to PNG in a private temp directory.
+ * Returns the PNG buffer, or null when no converter succeeded.
+ */
+async function renderPng({ svg, width, height }) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'edugen-diagram-'));
+  const svgPath = path.join(dir, 'diagram.svg');
+  const pngPath = path.join(dir, 'diagram.png');
+  const outputHeight = Math.max(1, Math.round(OUTPUT_WIDTH * height / width));
+
+  try {
+    await fs.writeFile(svgPath, svg);
+
+    for (const converter of CONVERTERS) {
+      if (missingConverters.has(converter.name)) continue;
+
+      try {
+        await execFileAsync(converter.name, converter.args(svgPath, pngPath, OUTPUT_WIDTH, outputHeight), {
+          cwd: dir,
+          timeout: setting('DIAGRAM_TIMEOUT_MS', 15000),
+          killSignal: 'SIGKILL',
+          maxBuffer: 1024 * 1024,
+          windowsHide: true
+        });
+
+        const png = await fs.readFile(pngPath);
+        if (isPng(png) && png.length <= MAX_PNG_BYTES) {
+          console.log(`✅ Converted SVG using ${converter.name}`);
+          return png;
+        }
+        console.log(`⚠️ ${converter.name} produced no usable PNG`);
+      } catch (err) {
+        if (err.code === 'ENOENT' && String(err.syscall).startsWith('spawn')) {
+          missingConverters.add(converter.name);
+          console.log(`⚠️ ${converter.name} not available`);
+        } else {
+          console.log(`⚠️ ${converter.name} failed${err.killed ? ' (timed out)' : ''}: ${err.message.split('\n')[0]}`);
+        }
+      }
+    }
+
+    console.error('❌ All conversion methods failed');
+    return null;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/* ---- Bounded pool shared by every request ---- */
+let running = 0;
+const waiting = [];
+
+async function withConversionSlot(task) {
+  if (running >= setting('DIAGRAM_CONCURRENCY', 2)) {
+    await new Promise(resolve => waiting.push(resolve));
+  } else {
+    running++;
+  }
+
+  try {
+    return await task();
+  } finally {
+    // Hand the slot straight to the next waiter, or free it
+    const next = waiting.shift();
+    if (next) next();
+    else running--;
+  }
+}
+
+// Conversions in progress, by hash, so repeats wait for the first
+const inFlight = new Map();
+
+/**
+ * Find a sanitised diagram in the store, converting and storing it
+ * when it is new (or was stored before any converter worked).
+ * Returns the lean Diagram record.
+ */
+async function storeDiagram(clean, spec, usage) {
+  const { hash, svg } = diagramStore.fingerprint(clean.svg);
+
+  if (inFlight.has(hash)) {
+    const record = await inFlight.get(hash);
+    await diagramStore.recordUse(record, usage);
+    return record;
+  }
+
+  const pending = (async () => {
+    const cached = await diagramStore.findDiagram(hash);
+    if (cached && cached.png) {
+      await diagramStore.recordUse(cached, usage);
+      console.log('♻️ Diagram found in cache');
+      return cached;
+    }
+
+    const png = await withConversionSlot(() => renderPng({ ...clean, svg }));
+    if (!cached) return diagramStore.saveDiagram({ hash, svg, width: clean.width, height: clean.height, png, spec }, usage);
+
+    await diagramStore.recordUse(cached, usage);
+    return png ? diagramStore.attachPng(cached, png) : cached;
+  })();
+
+  inFlight.set(hash, pending);
+  try {
+    return await pending;
+  } finally {
+    inFlight.delete(hash);
+  }
+}
+
+/**
+ * Render (specs), sanitise and store one diagram.
+ * `usage` ({ school, subject }) is recorded for the diagram library.
+ * Returns the stored reference ({ index, caption, diagramId, url, width,
+ * height, spec?, failed? } - failed when no PNG could be made), or
+ * { index, caption, spec?, failed: true } when there was nothing safe to draw.
+ */
+async function convertDiagram({ svgCode, spec, error, caption }, index, usage) {
+  const label = caption || `Diagram ${index + 1}`;
+  let clean;
+  try {
+    if (error) throw diagramError(error);
+    clean = sanitizeSvg(spec ? renderDiagramSpec(spec) : svgCode);
+  } catch (err) {
+    console.log(`⚠️ Diagram ${index + 1} rejected: ${err.message}`);
+    return { caption: label, index, ...(spec ? { spec } : {}), failed: true };
+  }
+
+  const record = await storeDiagram(clean, spec, { ...usage, caption });
+  console.log(record.png
+    ? `✅ Diagram ${index + 1} ready`
+    : `⚠️ Diagram ${index + 1} conversion failed, will be served as SVG`);
+
+  return diagramStore.toReference(record, { index, caption: label });
+}
+
+/**
+ * Convert every diagram in the content and replace each block with
+ * an [IMAGE_PLACEHOLDER_n] marker. Stray markers are removed.
+ * `usage` ({ school, subject }) is recorded against stored diagrams.
+ * Returns: { processedContent, diagrams: [{ index, caption, diagramId?, url?, spec?, failed? }] }
+ */
+async function processDiagramsInContent(content, usage = {}) {
+  const blocks = extractDiagrams(content);
+  const diagrams = await Promise.all(blocks.map((block, index) => convertDiagram(block, index, usage)));
+
+  let processedContent = '';
+  let position = 0;
+  blocks.forEach((block, index) => {
+    processedContent += `${content.slice(position, block.start)}[IMAGE_PLACEHOLDER_${index}]`;
+    position = block.end;
+  });
+  processedContent += content.slice(position);
+
+  return { processedContent: processedContent.replace(DIAGRAM_MARKER, ''), diagrams };
+}
+
+module.exports = {
+  hasDiagramBlocks,
+  extractDiagrams,
+  sanitizeSvg,
+  processDiagramsInContent
+};
@@ -0,0 +1,220 @@
+/* ============================================================
+   STRUCTURED DOCUMENT BUILDER
+   Builds generation prompts from a stored syllabus subtopic and
+   turns the model's JSON reply into a typed document.
+============================================================ */
+
+const { DIAGRAM_SPEC_GUIDE } = require('./diagramSpec');
+
+/**
+ * Supported document types and the named sections each one returns.
+ * The section keys are what the model must use in its JSON reply.
+ * Types with `diagrams` get the diagram spec format in their prompt.
+ */
+const DOCUMENT_TYPES = {
+  'lesson-plan': {
+    title: 'Lesson Plan',
+    sections: [
+      { key: 'lessonDetails', heading: 'Lesson Details', guide: 'Class, subject, topic, subtopic, duration and date (leave blanks where unknown)' },
+      { key: 'objectives', heading: 'Lesson Objectives', guide: 'Measurable objectives derived from the curriculum items' },
+      { key: 'materials', heading: 'Teaching and Learning Materials', guide: 'Resources and references needed for the lesson' },
+      { key: 'introduction', heading: 'Introduction', guide: 'Teacher and learner activities for the lesson opening' },
+      { key: 'development', heading: 'Lesson Development', guide: 'Step-by-step teacher and learner activities' },
+      { key: 'conclusion', heading: 'Conclusion', guide: 'Summary and wrap-up activities' },
+      { key: 'assessment', heading: 'Assessment', guide: 'How attainment of each objective will be checked' },
+      { key: 'evaluation', heading: 'Lesson Evaluation', guide: 'Prompts for the teacher to reflect on after the lesson' }
+    ]
+  },
+  'scheme-of-work': {
+    title: 'Scheme of Work',
+    sections: [
+      { key: 'overview', heading: 'Overview', guide: 'Subject, class, term and the topic being covered' },
+      { key: 'weeklyPlan', heading: 'Weekly Plan', guide: 'A markdown table with columns Week, Topic/Subtopic, Competences/Outcomes, Activities, Resources, References' },
+      { key: 'assessment', heading: 'Assessment Plan', guide: 'When and how learning will be assessed' },
+      { key: 'remarks', heading: 'Remarks', guide: 'Notes for the teacher' }
+    ]
+  },
+  'record-of-work': {
+    title: 'Record of Work',
+    sections: [
+      { key: 'overview', heading: 'Overview', guide: 'Subject, class and period covered' },
+      { key: 'workCovered', heading: 'Work Covered', guide: 'A markdown table with columns Date, Topic/Subtopic, Work Covered, Method, Remarks' },
+      { key: 'learnerProgress', heading: 'Learner Progress', guide: 'Summary of attainment against the curriculum items' },
+      { key: 'remarks', heading: 'Remarks', guide: 'Follow-up actions' }
+    ]
+  },
+  notes: {
+    title: 'Learner Notes',
+    diagrams: true,
+    sections: [
+      { key: 'introduction', heading: 'Introduction', guide: 'Short learner-friendly introduction to the subtopic' },
+      { key: 'content', heading: 'Notes', guide: 'Full notes covering every curriculum item, with headings, examples and diagrams where useful' },
+      { key: 'keyTerms', heading: 'Key Terms', guide: 'Glossary of important words' },
+      { key: 'summary', heading: 'Summary', guide: 'Key points to remember' },
+      { key: 'exercises', heading: 'Exercises', guide: 'Practice questions with answers at the end' }
+    ]
+  }
+};
+
+/* ---- Helper: Describe the class level of a syllabus ---- */
+function describeLevel(syllabus) {
+  if (syllabus.form) return `Form ${String(syllabus.form).replace(/^form\s*/i, '')}`;
+  if (syllabus.grade) return `Grade ${String(syllabus.grade).replace(/^grade\s*/i, '')}`;
+  if (syllabus.yearRange) return `Early Childhood (${syllabus.yearRange})`;
+  return syllabus.gradeRange || '';
+}
+
+/**
+ * Locate the topic and subtopics referenced by a request.
+ * Returns null when the topic (or the given subtopic) is not part of the syllabus.
+ */
+function findSyllabusSection(syllabus, topicId, subtopicId) {
+  const topic = syllabus.topics.id(topicId);
+  if (!topic) return null;
+
+  if (!subtopicId) {
+    return { topic, subtopics: topic.subtopics.slice() };
+  }
+
+  const subtopic = topic.subtopics.id(subtopicId);
+  if (!subtopic) return null;
+
+  return { topic, subtopics: [subtopic] };
+}
+
+/**
+ * Copy the curriculum items of each subtopic exactly as stored.
+ * This is returned alongside the generated sections so the official
+ * wording never depends on what the model chose to echo back.
+ */
+function extractCurriculum(curriculumType, subtopics) {
+  return subtopics.map(s => {
+    if (curriculumType === 'cbc') {
+      return {
+        subtopicId: s._id,
+        subtopic: s.name,
+        specificCompetences: s.specificCompetences.map(c => ({
+          description: c.description,
+          learningActivities: [...c.learningActivities],
+          expectedStandards: [...c.expectedStandards]
+        })),
+        keyCompetences: [...(s.keyCompetences || [])],
+        resources: [...(s.resources || [])]
+      };
+    }
+
+    return {
+      subtopicId: s._id,
+      subtopic: s.name,
+      specificOutcomes: [...s.specificOutcomes],
+      knowledge: [...s.knowledge],
+      skills: [...s.skills],
+      values: [...s.values]
+    };
+  });
+}
+
+/* ---- Helper: Render the curriculum block of the prompt ---- */
+function formatCurriculum(curriculumType, curriculum) {
+  const list = (label, items) => items.length
+    ? `${label}:\n${items.map(i => `  - ${i}`).join('\n')}`
+    : `${label}: (none listed)`;
+
+  return curriculum.map(entry => {
+    const lines = [`SUBTOPIC: ${entry.subtopic}`];
+
+    if (curriculumType === 'cbc') {
+      if (!entry.specificCompetences.length) lines.push('Specific Competences: (none listed)');
+      entry.specificCompetences.forEach(c => {
+        lines.push(`Specific Competence: ${c.description}`);
+        lines.push(list('  Learning Activities', c.learningActivities));
+        lines.push(list('  Expected Standards', c.expectedStandards));
+      });
+      // Only in syllabi that have these columns
+      if (entry.keyCompetences.length) lines.push(list('Key Competences', entry.keyCompetences));
+      if (entry.resources.length) lines.push(list('Resources', entry.resources));
+    } else {
+      lines.push(list('Specific Outcomes', entry.specificOutcomes));
+      lines.push(list('Knowledge', entry.knowledge));
+      lines.push(list('Skills', entry.skills));
+      lines.push(list('Values', entry.values));
+    }
+
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Build the generation prompt for a document type.
+ * `details` holds optional teacher-supplied values (class name, duration, date...).
+ */
+function buildDocumentPrompt({ syllabus, topic, curriculum, documentType, details = {} }) {
+  const type = DOCUMENT_TYPES[documentType];
+  const curriculumLabel = syllabus.curriculumType === 'cbc'
+    ? 'Competence-Based Curriculum (CBC)'
+    : 'Outcome-Based Curriculum (OBC)';
+
+  const detailLines = Object.entries(details)
+    .filter(([, value]) => value !== undefined && value !== null && String(value).trim())
+    .map(([key, value]) => `- ${key}: ${value}`);
+
+  const sectionLines = type.sections
+    .map(s => `- "${s.key}" (${s.heading}): ${s.guide}`);
+
+  return [
+    `You are an experienced Zambian teacher preparing a ${type.title.toLowerCase()}.`,
+    '',
+    `Subject: ${syllabus.subject}`,
+    `Curriculum: ${curriculumLabel}`,
+    `Level: ${describeLevel(syllabus) || 'Not specified'}`,
+    `Topic: ${topic.name}`,
+    '',
+    'CURRICULUM ITEMS (quote these exactly as written, do not reword them):',
+    formatCurriculum(syllabus.curriculumType, curriculum),
+    '',
+    ...(detailLines.length ? ['ADDITIONAL DETAILS:', ...detailLines, ''] : []),
+    'Reply with ONLY a JSON object, no text before or after it, in this shape:',
+    '{ "title": string, "sections": { <sectionKey>: string } }',
+    'Each section value is markdown text. Use exactly these section keys:',
+    ...sectionLines,
+    ...(type.diagrams
+      ? ['', 'Diagram blocks go inside the section text, escaped like any other JSON string.', DIAGRAM_SPEC_GUIDE]
+      : [])
+  ].join('\n');
+}
+
+/**
+ * Parse the model reply into named sections in the order defined for the type.
+ * Throws when the reply does not contain a usable JSON object.
+ */
+function parseStructuredDocument(text, documentType) {
+  const type = DOCUMENT_TYPES[documentType];
+  const cleaned = text.replace(/```(?:json)?/gi, '');
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new Error('AI response did not contain a JSON document');
+  }
+
+  const json = JSON.parse(cleaned.slice(start, end + 1));
+  const sections = json.sections || {};
+
+  return {
+    title: typeof json.title === 'string' && json.title.trim() ? json.title.trim() : type.title,
+    sections: type.sections.map(s => ({
+      key: s.key,
+      heading: s.heading,
+      content: typeof sections[s.key] === 'string' ? sections[s.key].trim() : ''
+    }))
+  };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  describeLevel,
+  findSyllabusSection,
+  extractCurriculum,
+  buildDocumentPrompt,
+  parseStructuredDocument
+};
@@ -0,0 +1,359 @@
+/* ============================================================
+   DOCX EXPORT
+   Renders a generated document (headings, lists, tables and the
+   converted PNG diagrams) into a Word file, and a stored syllabus
+   back into the table layout the upload parsers read.
+============================================================ */
+
+const {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  Header,
+  HeadingLevel,
+  ImageRun,
+  LevelFormat,
+  Packer,
+  PageOrientation,
+  Paragraph,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} = require('docx');
+const { documentToBlocks, parseInline } = require('./contentBlocks');
+
+// Usable width of an A4 page with 1" margins, in pixels at 96 DPI
+const MAX_IMAGE_WIDTH = 600;
+
+const A4 = { width: 11906, height: 16838 }; // twips
+
+// Syllabus table columns, named the way the upload parsers expect
+const SYLLABUS_COLUMNS = {
+  cbc: ['Topic', 'Sub-topic', 'Specific Competences', 'Learning Activities', 'Expected Standards', 'Key Competences', 'Resources'],
+  obc: ['Topic', 'Sub-topic', 'Specific Outcomes', 'Knowledge', 'Skills', 'Values']
+};
+
+const HEADING_LEVELS = {
+  1: HeadingLevel.HEADING_1,
+  2: HeadingLevel.HEADING_2,
+  3: HeadingLevel.HEADING_3,
+  4: HeadingLevel.HEADING_4
+};
+
+/* ---- Helper: Read width/height from a PNG's IHDR chunk ---- */
+function pngSize(buffer) {
+  if (buffer.length < 24 || buffer.toString('ascii', 1, 4) !== 'PNG') {
+    return { width: 800, height: 600 };
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+/* ---- Helper: Scale an image to fit the page width ---- */
+function fitImage({ width, height }) {
+  if (width <= MAX_IMAGE_WIDTH) return { width, height };
+  return { width: MAX_IMAGE_WIDTH, height: Math.round(height * MAX_IMAGE_WIDTH / width) };
+}
+
+/* ---- Helper: Styled text runs for a line of markdown ---- */
+function textRuns(text, extra = {}) {
+  return parseInline(text).map(run => new TextRun({
+    text: run.text,
+    bold: run.bold || extra.bold,
+    italics: run.italic || extra.italics
+  }));
+}
+
+/* ---- Helper: Paragraphs for a diagram placeholder ---- */
+function diagramParagraphs(diagram, index) {
+  if (!diagram) {
+    return [new Paragraph({ children: [new TextRun({ text: `[Diagram ${index + 1} missing]`, italics: true })] })];
+  }
+
+  const caption = new Paragraph({
+    alignment: AlignmentType.CENTER,
+    spacing: { after: 200 },
+    children: [new TextRun({ text: diagram.caption || `Diagram ${index + 1}`, italics: true, size: 20 })]
+  });
+
+  if (!diagram.base64) {
+    return [
+      new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: [new TextRun({ text: '[Diagram could not be rendered]', italics: true })]
+      }),
+      caption
+    ];
+  }
+
+  const data = Buffer.from(diagram.base64, 'base64');
+
+  return [
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new ImageRun({ type: 'png', data, transformation: fitImage(pngSize(data)) })]
+    }),
+    caption
+  ];
+}
+
+/* ---- Helper: A bordered table, header row in bold ---- */
+function buildTable(rows) {
+  const columnCount = Math.max(...rows.map(r => r.length));
+  const border = { style: BorderStyle.SINGLE, size: 4, color: '999999' };
+
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    borders: {
+      top: border, bottom: border, left: border, right: border,
+      insideHorizontal: border, insideVertical: border
+    },
+    rows: rows.map((row, rowIndex) => new TableRow({
+      tableHeader: rowIndex === 0 || undefined,
+      children: Array.from({ length: columnCount }, (_, i) => new TableCell({
+        children: (row[i] || '').split(/<br\s*\/?>/i).map(line => new Paragraph({
+          children: textRuns(line, { bold: rowIndex === 0 })
+        }))
+      }))
+    }))
+  });
+}
+
+/* ---- Helper: Letterhead shown at the top of the first page ---- */
+function buildLetterhead(letterhead) {
+  const children = [];
+
+  if (letterhead.logoBase64) {
+    const data = Buffer.from(letterhead.logoBase64.replace(/^data:image\/png;base64,/, ''), 'base64');
+    const { width, height } = pngSize(data);
+    const scale = Math.min(1, 80 / height);
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new ImageRun({ type: 'png', data, transformation: { width: Math.round(width * scale), height: Math.round(height * scale) } })]
+    }));
+  }
+
+  if (letterhead.schoolName) {
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun({ text: letterhead.schoolName.toUpperCase(), bold: true, size: 32 })]
+    }));
+  }
+
+  ['address', 'contact', 'motto'].forEach(field => {
+    if (letterhead[field]) {
+      children.push(new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: [new TextRun({ text: letterhead[field], size: 20, italics: field === 'motto' })]
+      }));
+    }
+  });
+
+  // Rule under the letterhead
+  children.push(new Paragraph({
+    border: { bottom: { style: BorderStyle.SINGLE, size: 8, color: '000000', space: 4 } },
+    children: []
+  }));
+
+  return new Header({ children });
+}
+
+/**
+ * Build the .docx file for a document.
+ * `document`: { title, subtitle?, content?, sections?, diagrams? }
+ * `letterhead`: optional { schoolName, address, contact, motto, logoBase64 (PNG) }
+ * Returns: Buffer
+ */
+async function buildDocx(document, letterhead) {
+  const diagrams = document.diagrams || [];
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER, children: [new TextRun(document.title)] })
+  ];
+
+  if (document.subtitle) {
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 300 },
+      children: [new TextRun({ text: document.subtitle, italics: true })]
+    }));
+  }
+
+  documentToBlocks(document).forEach(block => {
+    switch (block.type) {
+      case 'heading':
+        children.push(new Paragraph({ heading: HEADING_LEVELS[block.level], children: textRuns(block.text) }));
+        break;
+      case 'list':
+        block.items.forEach(item => children.push(new Paragraph({
+          numbering: block.ordered ? { reference: 'numbered', level: 0 } : undefined,
+          bullet: block.ordered ? undefined : { level: 0 },
+          children: textRuns(item)
+        })));
+        break;
+      case 'table':
+        children.push(buildTable(block.rows));
+        children.push(new Paragraph({ children: [] }));
+        break;
+      case 'image':
+        children.push(...diagramParagraphs(diagrams.find(d => d.index === block.index), block.index));
+        break;
+      case 'rule':
+        children.push(new Paragraph({
+          border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: '999999', space: 1 } },
+          children: []
+        }));
+        break;
+      default:
+        children.push(new Paragraph({ spacing: { after: 120 }, children: textRuns(block.text) }));
+    }
+  });
+
+  const hasLetterhead = letterhead && Object.values(letterhead).some(Boolean);
+
+  const doc = new Document({
+    title: document.title,
+    creator: 'EduGen AI',
+    numbering: {
+      config: [{
+        reference: 'numbered',
+        levels: [{ level: 0, format: LevelFormat.DECIMAL, text: '%1.', alignment: AlignmentType.START }]
+      }]
+    },
+    sections: [{
+      properties: {
+        titlePage: hasLetterhead,
+        page: { size: A4 }
+      },
+      headers: hasLetterhead ? { first: buildLetterhead(letterhead) } : undefined,
+      children
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+/* ---- Helper: Table cell with one paragraph per item ---- */
+function syllabusCell(items, { bold = false, rowSpan } = {}) {
+  const lines = (Array.isArray(items) ? items : [items]).filter(Boolean);
+  return new TableCell({
+    rowSpan: rowSpan > 1 ? rowSpan : undefined,
+    children: lines.length
+      ? lines.map(line => new Paragraph({ children: [new TextRun({ text: line, bold })] }))
+      : [new Paragraph({ children: [] })]
+  });
+}
+
+/* ---- Helper: Rows of a CBC syllabus, one per specific competence ---- */
+function cbcSyllabusRows(topics) {
+  const rows = [];
+
+  topics.forEach(topic => {
+    const subtopics = topic.subtopics.length ? topic.subtopics : [null];
+    const span = subtopics.reduce((total, s) => total + Math.max(s ? s.specificCompetences.length : 0, 1), 0);
+
+    subtopics.forEach((subtopic, s) => {
+      const competences = subtopic && subtopic.specificCompetences.length ? subtopic.specificCompetences : [null];
+
+      competences.forEach((competence, c) => {
+        const cells = [];
+        // Topic, sub-topic and the subtopic-level lists are merged down their rows
+        if (s === 0 && c === 0) cells.push(syllabusCell(topic.name, { rowSpan: span }));
+        if (c === 0) cells.push(syllabusCell(subtopic && subtopic.name, { rowSpan: competences.length }));
+        cells.push(
+          syllabusCell(competence && competence.description),
+          syllabusCell(competence && competence.learningActivities),
+          syllabusCell(competence && competence.expectedStandards)
+        );
+        if (c === 0) {
+          cells.push(
+            syllabusCell(subtopic && subtopic.keyCompetences, { rowSpan: competences.length }),
+            syllabusCell(subtopic && subtopic.resources, { rowSpan: competences.length })
+          );
+        }
+        rows.push(new TableRow({ children: cells }));
+      });
+    });
+  });
+
+  return rows;
+}
+
+/* ---- Helper: Rows of an OBC syllabus, one per subtopic ---- */
+function obcSyllabusRows(topics) {
+  const rows = [];
+
+  topics.forEach(topic => {
+    const subtopics = topic.subtopics.length ? topic.subtopics : [null];
+
+    subtopics.forEach((subtopic, s) => {
+      const cells = [];
+      if (s === 0) cells.push(syllabusCell(topic.name, { rowSpan: subtopics.length }));
+      cells.push(
+        syllabusCell(subtopic && subtopic.name),
+        ...['specificOutcomes', 'knowledge', 'skills', 'values'].map(field => syllabusCell(subtopic && subtopic[field]))
+      );
+      rows.push(new TableRow({ children: cells }));
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Build a .docx of a stored syllabus as one landscape table in the
+ * CBC or OBC column layout, so it can be corrected in Word and
+ * uploaded again through the normal parsers.
+ * `options.subtitle`: line under the subject (level, curriculum)
+ * Returns: Buffer
+ */
+async function buildSyllabusDocx(syllabus, { subtitle } = {}) {
+  const border = { style: BorderStyle.SINGLE, size: 4, color: '999999' };
+  const bodyRows = syllabus.curriculumType === 'cbc' ? cbcSyllabusRows(syllabus.topics) : obcSyllabusRows(syllabus.topics);
+
+  const table = new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    borders: {
+      top: border, bottom: border, left: border, right: border,
+      insideHorizontal: border, insideVertical: border
+    },
+    rows: [
+      new TableRow({
+        tableHeader: true,
+        children: SYLLABUS_COLUMNS[syllabus.curriculumType].map(label => syllabusCell(label, { bold: true }))
+      }),
+      ...bodyRows
+    ]
+  });
+
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER, children: [new TextRun(syllabus.subject)] })
+  ];
+  if (subtitle) {
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 300 },
+      children: [new TextRun({ text: subtitle, italics: true })]
+    }));
+  }
+  children.push(table);
+
+  const doc = new Document({
+    title: syllabus.subject,
+    creator: 'EduGen AI',
+    sections: [{
+      properties: {
+        page: { size: { ...A4, orientation: PageOrientation.LANDSCAPE }, margin: { top: 720, bottom: 720, left: 720, right: 720 } }
+      },
+      children
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+module.exports = {
+  buildDocx,
+  buildSyllabusDocx,
+  pngSize
+};
@@ -0,0 +1,260 @@
+/* ============================================================
+   GENERATION JOB QUEUE (MONGO-BACKED)
+   Jobs are claimed atomically from the GenerationJob collection, so
+   several server instances can share one queue. A claim takes one of
+   JOB_CONCURRENCY slots (unique among running jobs), which keeps the
+   limit deployment-wide without a separate count.
+
+   Settings (environment):
+   - JOB_CONCURRENCY       max running jobs across the deployment (2)
+   - JOB_MAX_ATTEMPTS      attempts before a job fails (5)
+   - JOB_POLL_INTERVAL_MS  how often the worker looks for work (1000)
+============================================================ */
+
+const os = require('os');
+const { EventEmitter } = require('events');
+const GenerationJob = require('../models/GenerationJob');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Upstream statuses worth retrying: rate limits, overload and transient failures
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+// A running job whose lock is older than this belonged to a worker that died
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// Running jobs refresh their lock this often, so long generations never look stale
+const HEARTBEAT_MS = 60 * 1000;
+
+const RELEASE_LOCK = { $unset: { lockedAt: 1, lockedBy: 1, slot: 1 } };
+
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 2 * 60 * 1000;
+
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// Emits 'finished' with the job document when a job reaches a terminal status
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const active = new Map(); // jobId -> AbortController, for jobs running in this process
+let handler = null;
+let timer = null;
+let ticking = false;
+
+/* ---- Helper: Read a positive integer setting ---- */
+function setting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+/* ---- Helper: Decide whether a failed attempt should be retried ---- */
+function isRetryable(err) {
+  if (RETRYABLE_STATUSES.includes(err.status)) return true;
+  // fetch() network failures surface as TypeError('fetch failed')
+  return err.name === 'TypeError' && /fetch failed/i.test(err.message);
+}
+
+/**
+ * Delay before the next attempt: exponential with jitter, capped.
+ */
+function backoffDelay(attempt) {
+  const exponential = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/* ---- Helper: Record a terminal status and notify listeners ---- */
+async function finish(jobId, update) {
+  const job = await GenerationJob.findOneAndUpdate(
+    { _id: jobId, status: 'running' },
+    { ...update, finishedAt: new Date(), ...RELEASE_LOCK },
+    { new: true }
+  );
+  if (job) events.emit('finished', job);
+  return job;
+}
+
+/* ---- Run one claimed job to completion (or to its next retry) ---- */
+async function runJob(job) {
+  const controller = new AbortController();
+  active.set(String(job._id), controller);
+
+  console.log(`⚙️ Job ${job._id} started (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  const heartbeat = setInterval(() => {
+    GenerationJob.updateOne(
+      { _id: job._id, status: 'running', lockedBy: WORKER_ID },
+      { lockedAt: new Date() }
+    ).catch(err => console.error(`❌ Job ${job._id} heartbeat failed:`, err.message));
+  }, HEARTBEAT_MS);
+
+  try {
+    const result = await handler(job, controller.signal);
+    await finish(job._id, { status: 'succeeded', result });
+    console.log(`✅ Job ${job._id} succeeded`);
+
+  } catch (err) {
+    if (controller.signal.aborted) {
+      await finish(job._id, { status: 'cancelled' });
+      console.log(`🛑 Job ${job._id} cancelled`);
+      return;
+    }
+
+    if (isRetryable(err) && job.attempts < job.maxAttempts) {
+      const delay = backoffDelay(job.attempts);
+      await GenerationJob.updateOne(
+        { _id: job._id, status: 'running' },
+        {
+          status: 'queued',
+          runAt: new Date(Date.now() + delay),
+          lastError: err.message,
+          ...RELEASE_LOCK
+        }
+      );
+      console.log(`⏳ Job ${job._id} will retry in ${Math.round(delay / 1000)}s: ${err.message}`);
+      return;
+    }
+
+    console.error(`❌ Job ${job._id} failed:`, err.message);
+    await finish(job._id, {
+      status: 'failed',
+      lastError: err.message,
+      error: err.statusCode ? err.message : 'Generation failed. Please try again.'
+    });
+
+  } finally {
+    clearInterval(heartbeat);
+    active.delete(String(job._id));
+  }
+}
+
+/* ---- Helper: Abort local jobs whose cancellation was requested elsewhere ---- */
+async function abortCancelledJobs() {
+  if (!active.size) return;
+
+  const cancelled = await GenerationJob.find({
+    _id: { $in: [...active.keys()] },
+    cancelRequested: true
+  }).select('_id').lean();
+
+  cancelled.forEach(j => active.get(String(j._id))?.abort());
+}
+
+/* ---- Helper: Put jobs from dead workers back in the queue ---- */
+async function requeueStaleJobs() {
+  const result = await GenerationJob.updateMany(
+    { status: 'running', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+    { status: 'queued', runAt: new Date(), ...RELEASE_LOCK }
+  );
+  if (result.modifiedCount) {
+    console.log(`♻️ Requeued ${result.modifiedCount} stale job(s)`);
+  }
+}
+
+/* ---- One polling pass: housekeeping, then claim jobs up to the limit ---- */
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    await abortCancelledJobs();
+    await requeueStaleJobs();
+
+    const concurrency = setting('JOB_CONCURRENCY', 2);
+    const taken = await GenerationJob.distinct('slot', { status: 'running', slot: { $exists: true } });
+
+    for (let slot = 0; slot < concurrency; slot++) {
+      if (taken.includes(slot)) continue;
+
+      let job;
+      try {
+        job = await GenerationJob.findOneAndUpdate(
+          { status: 'queued', runAt: { $lte: new Date() } },
+          {
+            status: 'running',
+            slot,
+            lockedAt: new Date(),
+            lockedBy: WORKER_ID,
+            $inc: { attempts: 1 },
+            $min: { startedAt: new Date() }
+          },
+          { sort: { runAt: 1, createdAt: 1 }, new: true }
+        );
+      } catch (err) {
+        // Another worker claimed this slot first
+        if (err.code === 11000) continue;
+        throw err;
+      }
+      if (!job) break;
+
+      runJob(job).catch(err => console.error(`❌ Job ${job._id} crashed:`, err));
+    }
+  } catch (err) {
+    console.error('❌ Job queue polling error:', err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the worker. `jobHandler(job, signal)` performs the generation
+ * and resolves with the result to store on the job.
+ */
+function start(jobHandler) {
+  if (timer) return;
+  handler = jobHandler;
+  timer = setInterval(tick, setting('JOB_POLL_INTERVAL_MS', 1000));
+  console.log(`⚙️ Generation job worker started (${WORKER_ID})`);
+}
+
+/**
+ * Queue a job and wake the worker. `owner` is { school, createdBy }.
+ */
+async function enqueue(kind, input, llmOptions = {}, owner) {
+  const job = await GenerationJob.create({
+    kind,
+    input,
+    llmOptions,
+    ...owner,
+    maxAttempts: setting('JOB_MAX_ATTEMPTS', 5)
+  });
+  if (timer) setImmediate(tick);
+  return job;
+}
+
+/**
+ * Cancel a job. Queued jobs are cancelled immediately; running jobs
+ * are aborted by whichever worker owns them.
+ * Returns the updated job, or null when it does not exist.
+ */
+async function cancel(jobId) {
+  const queued = await GenerationJob.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { status: 'cancelled', cancelRequested: true, finishedAt: new Date() },
+    { new: true }
+  );
+  if (queued) {
+    events.emit('finished', queued);
+    return queued;
+  }
+
+  const job = await GenerationJob.findOneAndUpdate(
+    { _id: jobId, status: 'running' },
+    { cancelRequested: true },
+    { new: true }
+  );
+  if (job) {
+    active.get(String(jobId))?.abort();
+    return job;
+  }
+
+  return GenerationJob.findById(jobId);
+}
+
+module.exports = {
+  TERMINAL_STATUSES,
+  events,
+  start,
+  enqueue,
+  cancel
+};
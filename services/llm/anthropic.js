@@ -0,0 +1,130 @@
+/* ============================================================
+   ANTHROPIC PROVIDER
+   Claude Messages API over plain fetch (no SDK dependency)
+============================================================ */
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+/* ---- Helper: Build an error the routes can surface ---- */
+function apiError(message, status) {
+  const error = new Error(message);
+  error.statusCode = 500;
+  error.status = status; // Upstream HTTP status (429, 529...) for retry decisions
+  return error;
+}
+
+/* ---- Helper: Send the request, failing early when no key is set ---- */
+async function request({ prompt, model, maxTokens, temperature, signal, stream }) {
+  if (!process.env.ANTHROPIC_API_KEY) {
+    console.error('❌ ANTHROPIC_API_KEY not configured');
+    throw apiError('AI service not configured. Please set ANTHROPIC_API_KEY.');
+  }
+
+  const body = {
+    model,
+    max_tokens: maxTokens,
+    messages: [
+      { role: 'user', content: prompt }
+    ]
+  };
+  if (temperature !== undefined) body.temperature = temperature;
+  if (stream) body.stream = true;
+
+  const response = await fetch(API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': process.env.ANTHROPIC_API_KEY,
+      'anthropic-version': API_VERSION
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    console.error('❌ Claude API error:', data);
+    throw apiError(data.error?.message || 'AI generation failed', response.status);
+  }
+
+  return response;
+}
+
+/* ---- Helper: Normalise Anthropic usage to our field names ---- */
+function toUsage(usage = {}) {
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0
+  };
+}
+
+async function generate(options) {
+  const response = await request(options);
+  const data = await response.json();
+
+  return {
+    text: data.content[0]?.text || '',
+    model: data.model,
+    usage: toUsage(data.usage)
+  };
+}
+
+async function stream(options) {
+  const response = await request({ ...options, stream: true });
+
+  let text = '';
+  let model = options.model;
+  const usage = {};
+  let buffer = '';
+  const decoder = new TextDecoder();
+
+  // Report running usage so an aborted or failed stream can still be charged.
+  // Output tokens are estimated from the text until message_delta gives the count.
+  const reportUsage = () => options.onUsage?.(toUsage(usage));
+
+  // Anthropic sends SSE frames separated by a blank line; we only need the data lines
+  const handleFrame = frame => {
+    const dataLine = frame.split('\n').find(line => line.startsWith('data:'));
+    if (!dataLine) return;
+
+    const event = JSON.parse(dataLine.slice(5));
+
+    if (event.type === 'message_start') {
+      model = event.message.model;
+      Object.assign(usage, event.message.usage);
+      reportUsage();
+    } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+      text += event.delta.text;
+      usage.output_tokens = Math.max(usage.output_tokens || 0, Math.ceil(text.length / 4));
+      reportUsage();
+      options.onText(event.delta.text);
+    } else if (event.type === 'message_delta' && event.usage) {
+      Object.assign(usage, event.usage);
+      reportUsage();
+    } else if (event.type === 'error') {
+      throw apiError(event.error?.message || 'AI generation failed', event.error?.type === 'overloaded_error' ? 529 : undefined);
+    }
+  };
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      handleFrame(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+
+  if (buffer.trim()) handleFrame(buffer);
+
+  return { text, model, usage: toUsage(usage) };
+}
+
+module.exports = {
+  name: 'anthropic',
+  defaultModel: 'claude-sonnet-4-20250514',
+  generate,
+  stream
+};
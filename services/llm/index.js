@@ -0,0 +1,131 @@
+/* ============================================================
+   LLM PROVIDER LAYER
+   Picks a provider and resolves model / token limit / temperature
+   from the deployment defaults plus optional per-request overrides.
+
+   Deployment settings (environment):
+   - LLM_PROVIDER     anthropic (default) | mock
+   - LLM_MODEL        model name (defaults to the provider's default)
+   - LLM_MAX_TOKENS   default token limit (8192); requests may only lower it
+   - LLM_TEMPERATURE  default temperature (provider default when unset)
+   - LLM_ALLOWED_MODELS  comma-separated allowlist; model overrides are rejected when unset
+   - LLM_MOCK_ENABLED    'true' lets requests pick the mock provider
+============================================================ */
+
+const anthropic = require('./anthropic');
+const mock = require('./mock');
+
+const PROVIDERS = { anthropic, mock };
+
+/* ---- Helper: Build a 400 error for bad overrides ---- */
+function invalidOption(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/* ---- Helper: Parse a numeric env var, falling back when unset/invalid ---- */
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value)
+    ? value
+    : fallback;
+}
+
+/* ---- Helper: Providers a request may pick (mock only when the deployment enables it) ---- */
+function selectableProviders(deploymentProvider) {
+  return Object.keys(PROVIDERS).filter(name =>
+    name !== 'mock' || deploymentProvider === 'mock' || process.env.LLM_MOCK_ENABLED === 'true'
+  );
+}
+
+/**
+ * Resolve the provider and generation settings for one call.
+ * `overrides` may contain { provider, model, maxTokens, temperature }.
+ * Throws a 400 error when an override is not acceptable.
+ */
+function resolveOptions(overrides = {}) {
+  const deploymentProvider = process.env.LLM_PROVIDER || 'anthropic';
+  const providerName = overrides.provider || deploymentProvider;
+  const selectable = selectableProviders(deploymentProvider);
+  if (!PROVIDERS[providerName] || (overrides.provider && !selectable.includes(providerName))) {
+    throw invalidOption(`provider must be one of: ${selectable.join(', ')}`);
+  }
+  const provider = PROVIDERS[providerName];
+
+  const deploymentModel = providerName === deploymentProvider ? process.env.LLM_MODEL : undefined;
+  const model = overrides.model || deploymentModel || provider.defaultModel;
+
+  if (overrides.model) {
+    const allowed = (process.env.LLM_ALLOWED_MODELS || '').split(',').map(m => m.trim()).filter(Boolean);
+    if (!allowed.length) {
+      throw invalidOption('model cannot be overridden on this deployment');
+    }
+    if (!allowed.includes(overrides.model)) {
+      throw invalidOption(`model must be one of: ${allowed.join(', ')}`);
+    }
+  }
+
+  const maxTokensLimit = envNumber('LLM_MAX_TOKENS', 8192);
+  const maxTokens = overrides.maxTokens !== undefined
+    ? Number(overrides.maxTokens)
+    : maxTokensLimit;
+  if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > maxTokensLimit) {
+    throw invalidOption(`maxTokens must be an integer between 1 and ${maxTokensLimit}`);
+  }
+
+  const temperature = overrides.temperature !== undefined
+    ? Number(overrides.temperature)
+    : envNumber('LLM_TEMPERATURE', undefined);
+  if (temperature !== undefined && (!Number.isFinite(temperature) || temperature < 0 || temperature > 1)) {
+    throw invalidOption('temperature must be a number between 0 and 1');
+  }
+
+  return { provider, model, maxTokens, temperature };
+}
+
+/**
+ * Pick the generation overrides out of a request body.
+ */
+function optionsFromBody(body = {}) {
+  const overrides = {};
+  ['provider', 'model', 'maxTokens', 'temperature'].forEach(key => {
+    if (body[key] !== undefined && body[key] !== null && body[key] !== '') {
+      overrides[key] = body[key];
+    }
+  });
+  return overrides;
+}
+
+/**
+ * Generate a complete reply.
+ * Returns: { text, model, provider, usage: { inputTokens, outputTokens } }
+ */
+async function generate(prompt, overrides = {}, { signal } = {}) {
+  const { provider, ...settings } = resolveOptions(overrides);
+  console.log(`🤖 Generating with ${provider.name} (${settings.model})...`);
+
+  const result = await provider.generate({ prompt, ...settings, signal });
+  return { ...result, provider: provider.name };
+}
+
+/**
+ * Stream a reply, calling onText for every text delta and onUsage
+ * with the running { inputTokens, outputTokens } as they grow.
+ * Returns the same shape as generate() once the stream completes.
+ */
+async function stream(prompt, overrides = {}, { signal, onText, onUsage }) {
+  const { provider, ...settings } = resolveOptions(overrides);
+  console.log(`🤖 Streaming with ${provider.name} (${settings.model})...`);
+
+  const result = await provider.stream({ prompt, ...settings, signal, onText, onUsage });
+  return { ...result, provider: provider.name };
+}
+
+module.exports = {
+  PROVIDERS,
+  resolveOptions,
+  optionsFromBody,
+  generate,
+  stream
+};
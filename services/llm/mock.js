@@ -0,0 +1,165 @@
+/* ============================================================
+   MOCK PROVIDER
+   Deterministic offline output for development and integration
+   testing. Needs no API key and makes no network calls.
+============================================================ */
+
+const SAMPLE_SVG = [
+  '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300" viewBox="0 0 400 300">',
+  '  <rect x="0" y="0" width="400" height="300" fill="#ffffff"/>',
+  '  <circle cx="200" cy="150" r="80" fill="none" stroke="#1f4e79" stroke-width="4"/>',
+  '  <line x1="200" y1="150" x2="280" y2="150" stroke="#c00000" stroke-width="3"/>',
+  '  <text x="215" y="140" font-family="Arial" font-size="18">r</text>',
+  '</svg>'
+].join('\n');
+
+const SAMPLE_SPEC = {
+  type: 'number-line',
+  caption: 'Numbers greater than -2 and at most 3',
+  min: -5,
+  max: 5,
+  ranges: [{ from: -2, to: 3, fromOpen: true, label: '-2 < x ≤ 3' }]
+};
+
+/* ---- Helper: Rough token estimate so usage figures are non-zero ---- */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/* ---- Helper: Structured prompts list their section keys as `- "key" (Heading)` ---- */
+function requestedSectionKeys(prompt) {
+  const keys = [];
+  const regex = /^- "([A-Za-z]+)" \(/gm;
+  let match;
+  while ((match = regex.exec(prompt)) !== null) {
+    keys.push(match[1]);
+  }
+  return keys;
+}
+
+/**
+ * Canned question paper for an assessment prompt. Item codes are listed
+ * as `[C1] ...` and question counts as `- <type>: <n>`; questions are
+ * tagged with the codes in turn.
+ */
+function cannedAssessment(prompt) {
+  const codes = [...prompt.matchAll(/^\s*\[([CO]\d+)\]/gm)].map(match => match[1]);
+  const counts = [...prompt.matchAll(/^- (multiple-choice|short-answer|structured): (\d+)$/gm)];
+  const questions = [];
+
+  counts.forEach(([, type, count]) => {
+    for (let i = 0; i < Number(count); i++) {
+      const n = questions.length + 1;
+      const question = {
+        type,
+        question: `Mock ${type} question ${n}.`,
+        answer: `Mock answer ${n}.`,
+        marks: type === 'multiple-choice' ? 1 : 2,
+        markingScheme: [`Award marks for answer ${n}.`],
+        assesses: [codes[questions.length % codes.length]]
+      };
+      if (type === 'multiple-choice') {
+        question.options = ['Option one', 'Option two', 'Option three', 'Option four'];
+        question.correctOption = n % 4;
+      }
+      if (type === 'structured') {
+        question.parts = [
+          { question: 'Mock part one.', marks: 2, answer: 'Answer one.' },
+          { question: 'Mock part two.', marks: 3, answer: 'Answer two.' }
+        ];
+      }
+      questions.push(question);
+    }
+  });
+
+  return JSON.stringify({ title: 'Mock Assessment', questions }, null, 2);
+}
+
+/**
+ * Build the canned reply for a prompt.
+ * Structured prompts get a JSON document with every requested section,
+ * assessment prompts a tagged question paper; anything else gets
+ * markdown with one SVG diagram block and one diagram spec block.
+ */
+function cannedReply(prompt) {
+  if (prompt.includes('Reply with ONLY a JSON object') && prompt.includes('"questions": [')) {
+    return cannedAssessment(prompt);
+  }
+
+  const keys = requestedSectionKeys(prompt);
+
+  if (prompt.includes('Reply with ONLY a JSON object') && keys.length) {
+    const sections = {};
+    keys.forEach(key => {
+      sections[key] = `Mock content for the ${key} section.`;
+    });
+    return JSON.stringify({ title: 'Mock Document', sections }, null, 2);
+  }
+
+  return [
+    '# Mock Document',
+    '',
+    'This content was produced by the offline mock provider.',
+    '',
+    '## Diagram',
+    '',
+    '[SVG_DIAGRAM_START]',
+    SAMPLE_SVG,
+    '[SVG_DIAGRAM_END]',
+    '[DIAGRAM_CAPTION]: A circle showing its radius r',
+    '',
+    '[DIAGRAM_START]',
+    JSON.stringify(SAMPLE_SPEC),
+    '[DIAGRAM_END]',
+    '',
+    '## Summary',
+    '',
+    '- Point one',
+    '- Point two'
+  ].join('\n');
+}
+
+/* ---- Helper: Reject like fetch does when the signal is aborted ---- */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+async function generate({ prompt, model, signal }) {
+  throwIfAborted(signal);
+  const text = cannedReply(prompt);
+
+  return {
+    text,
+    model,
+    usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) }
+  };
+}
+
+async function stream({ prompt, model, signal, onText, onUsage }) {
+  const text = cannedReply(prompt);
+
+  // Emit in small chunks, yielding between them like a real stream
+  for (let i = 0; i < text.length; i += 40) {
+    throwIfAborted(signal);
+    onUsage?.({ inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text.slice(0, i + 40)) });
+    onText(text.slice(i, i + 40));
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return {
+    text,
+    model,
+    usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) }
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  defaultModel: 'mock-1',
+  generate,
+  stream
+};
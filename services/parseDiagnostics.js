@@ -0,0 +1,151 @@
+/* ============================================================
+   SYLLABUS PARSE DIAGNOSTICS
+   The parsers record what they saw (numbered items, rows they
+   could not place, empty activity cells) in a collector; this
+   module turns that into a report curriculum officers can use
+   to fix the source document, plus a 0-1 confidence score.
+============================================================ */
+
+// Longest list of missing numbers spelled out for a single gap
+const MAX_MISSING_LISTED = 10;
+
+/**
+ * Fresh collector for one parse.
+ * `location` values are { row } for CBC tables and { line } for OBC text.
+ */
+function createCollector() {
+  return {
+    matched: 0,                   // Rows/lines that made it into the tree
+    numbered: [],                 // { number, text, location }
+    unmatched: [],                // { location, text | cells }
+    emptyLearningActivities: []   // { location, competence }
+  };
+}
+
+/* ---- Helper: Record a numbered item (topic, subtopic, competence, outcome) ---- */
+function recordNumber(collector, number, text, location) {
+  collector.numbered.push({ number, text: text.replace(/\s+/g, ' ').trim(), location });
+}
+
+/* ---- Helper: Parent and position of a dotted number ("1.2.3" -> "1.2", 3) ---- */
+function splitNumber(number) {
+  const parts = number.split('.');
+  return {
+    parent: parts.slice(0, -1).join('.'),
+    position: Number(parts[parts.length - 1])
+  };
+}
+
+/**
+ * Same number used for different text, and numbers skipped within a parent.
+ * Merged Word cells repeat a topic on every row, so a number seen again
+ * with identical text is not a duplicate.
+ */
+function analyseNumbering(numbered) {
+  const byNumber = new Map();
+  const childrenByParent = new Map();
+
+  numbered.forEach(({ number, text, location }) => {
+    let entry = byNumber.get(number);
+
+    if (!entry) {
+      entry = { texts: [], locations: [] };
+      byNumber.set(number, entry);
+
+      const { parent, position } = splitNumber(number);
+      if (!childrenByParent.has(parent)) childrenByParent.set(parent, new Set());
+      childrenByParent.get(parent).add(position);
+    }
+
+    if (!entry.texts.includes(text)) {
+      entry.texts.push(text);
+      entry.locations.push(location);
+    }
+  });
+
+  const duplicateNumbers = [];
+  byNumber.forEach((entry, number) => {
+    if (entry.texts.length > 1) {
+      duplicateNumbers.push({ number, texts: entry.texts, locations: entry.locations });
+    }
+  });
+
+  const numberingGaps = [];
+  childrenByParent.forEach((positions, parent) => {
+    let previous = 0;
+
+    [...positions].sort((a, b) => a - b).forEach(position => {
+      if (position > previous + 1) {
+        const missing = [];
+        for (let n = previous + 1; n < position && missing.length < MAX_MISSING_LISTED; n++) {
+          missing.push(`${parent}.${n}`);
+        }
+        numberingGaps.push({
+          after: previous ? `${parent}.${previous}` : parent,
+          next: `${parent}.${position}`,
+          missing
+        });
+      }
+      previous = position;
+    });
+  });
+
+  return { numberingGaps, duplicateNumbers };
+}
+
+/* ---- Helper: Subtopics that ended up with no competences/outcomes ---- */
+function findEmptySubtopics(topics, leafField) {
+  const empty = [];
+  topics.forEach(topic => {
+    topic.subtopics.forEach(subtopic => {
+      if (!subtopic[leafField] || !subtopic[leafField].length) {
+        empty.push({ topic: topic.name, subtopic: subtopic.name });
+      }
+    });
+  });
+  return empty;
+}
+
+/**
+ * Build the diagnostics report for a finished parse.
+ * `orphans` are items the parser could not attach to a parent.
+ */
+function buildDiagnostics(collector, { topics, leafField, orphans = [] }) {
+  const { numberingGaps, duplicateNumbers } = analyseNumbering(collector.numbered);
+  const emptySubtopics = findEmptySubtopics(topics, leafField);
+
+  // Share of content rows/lines that made it into the tree...
+  const { matched } = collector;
+  const coverage = matched + collector.unmatched.length
+    ? matched / (matched + collector.unmatched.length)
+    : 0;
+
+  // ...discounted by structural problems relative to the size of the tree
+  const items = topics.reduce(
+    (sum, topic) => sum + 1 + topic.subtopics.reduce((n, s) => n + 1 + (s[leafField] || []).length, 0),
+    0
+  );
+  const problems = numberingGaps.length + duplicateNumbers.length + emptySubtopics.length +
+    collector.emptyLearningActivities.length + orphans.length;
+  const structure = items ? Math.max(0, 1 - problems / items) : 0;
+
+  const score = Math.round(coverage * structure * 100) / 100;
+
+  return {
+    confidence: {
+      score,
+      level: score >= 0.9 ? 'high' : score >= 0.7 ? 'medium' : 'low'
+    },
+    unmatched: collector.unmatched,
+    numberingGaps,
+    duplicateNumbers,
+    emptySubtopics,
+    emptyLearningActivities: collector.emptyLearningActivities
+  };
+}
+
+module.exports = {
+  createCollector,
+  recordNumber,
+  buildDiagnostics
+};
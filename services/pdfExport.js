@@ -0,0 +1,240 @@
+/* ============================================================
+   PDF EXPORT
+   Paginated A4 output built with pdfkit (pure JS, no external
+   rendering service). Diagrams use the converted PNG when there is
+   one, otherwise the SVG is drawn as vectors. Text is set in the
+   DejaVu Sans TTFs shipped with the dejavu-fonts-ttf package.
+============================================================ */
+
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+const { documentToBlocks, parseInline } = require('./contentBlocks');
+const { sanitizeSvg } = require('./diagrams');
+
+const MARGIN = 56;          // ~2 cm
+const FOOTER_HEIGHT = 30;
+const MAX_DIAGRAM_HEIGHT = 360;
+
+// DejaVu Sans instead of the built-in Helvetica, whose WinAnsi encoding
+// garbles the symbols teaching content uses (≤, π, ², ✓...)
+const FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const FONTS = {
+  regular: ['Body', 'DejaVuSans.ttf'],
+  bold: ['Body-Bold', 'DejaVuSans-Bold.ttf'],
+  italic: ['Body-Oblique', 'DejaVuSans-Oblique.ttf'],
+  boldItalic: ['Body-BoldOblique', 'DejaVuSans-BoldOblique.ttf']
+};
+const FONT = Object.fromEntries(Object.entries(FONTS).map(([style, [name]]) => [style, name]));
+
+const HEADING_SIZES = { 1: 18, 2: 15, 3: 13, 4: 12 };
+const BODY_SIZE = 11;
+
+/* ---- Helper: Start a new page if `height` does not fit ---- */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+/* ---- Helper: Write a line of markdown with bold/italic runs ---- */
+function writeRichText(doc, text, options = {}) {
+  const runs = parseInline(text);
+  runs.forEach((run, i) => {
+    doc.font(run.bold || options.bold
+      ? (run.italic ? FONT.boldItalic : FONT.bold)
+      : (run.italic ? FONT.italic : FONT.regular));
+    doc.text(run.text, { ...options, continued: i < runs.length - 1 });
+  });
+  doc.font(FONT.regular);
+}
+
+/* ---- Helper: Bordered table with the header row in bold ---- */
+function writeTable(doc, rows) {
+  const columnCount = Math.max(...rows.map(r => r.length));
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const columnWidth = tableWidth / columnCount;
+  const padding = 4;
+
+  doc.fontSize(9);
+
+  rows.forEach((row, rowIndex) => {
+    const cells = Array.from({ length: columnCount }, (_, i) => (row[i] || '').replace(/<br\s*\/?>/gi, '\n').replace(/\*\*/g, ''));
+    doc.font(rowIndex === 0 ? FONT.bold : FONT.regular);
+
+    const rowHeight = Math.max(...cells.map(cell =>
+      doc.heightOfString(cell, { width: columnWidth - padding * 2 })
+    )) + padding * 2;
+
+    ensureSpace(doc, rowHeight);
+    const top = doc.y;
+
+    cells.forEach((cell, i) => {
+      const x = left + i * columnWidth;
+      if (rowIndex === 0) {
+        doc.save().rect(x, top, columnWidth, rowHeight).fill('#eeeeee').restore();
+      }
+      doc.rect(x, top, columnWidth, rowHeight).lineWidth(0.5).stroke('#999999');
+      doc.fillColor('black').text(cell, x + padding, top + padding, { width: columnWidth - padding * 2 });
+    });
+
+    doc.x = left;
+    doc.y = top + rowHeight;
+  });
+
+  doc.font(FONT.regular).fontSize(BODY_SIZE).moveDown(0.5);
+}
+
+/* ---- Helper: Draw a diagram (PNG or vector SVG) with its caption ---- */
+function writeDiagram(doc, diagram, index) {
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const caption = diagram?.caption || `Diagram ${index + 1}`;
+
+  if (diagram?.base64) {
+    const image = doc.openImage(Buffer.from(diagram.base64, 'base64'));
+    const scale = Math.min(1, width / image.width, MAX_DIAGRAM_HEIGHT / image.height);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+
+    ensureSpace(doc, drawHeight + 30);
+    doc.image(image, doc.page.margins.left + (width - drawWidth) / 2, doc.y, { width: drawWidth, height: drawHeight });
+    doc.y += drawHeight + 6;
+
+  } else if (diagram?.svgCode) {
+    ensureSpace(doc, MAX_DIAGRAM_HEIGHT + 30);
+    const top = doc.y;
+    try {
+      // Diagrams can come straight from the client, so never trust the markup
+      SVGtoPDF(doc, sanitizeSvg(diagram.svgCode).svg, doc.page.margins.left, top, {
+        width,
+        height: MAX_DIAGRAM_HEIGHT,
+        preserveAspectRatio: 'xMidYMid meet'
+      });
+    } catch (err) {
+      doc.font(FONT.italic).text('[Diagram could not be rendered]', { align: 'center' });
+    }
+    doc.x = doc.page.margins.left;
+    doc.y = top + MAX_DIAGRAM_HEIGHT + 6;
+
+  } else {
+    doc.font(FONT.italic).text(`[Diagram ${index + 1} missing]`, { align: 'center' });
+  }
+
+  doc.font(FONT.italic).fontSize(9).text(caption, doc.page.margins.left, doc.y, { align: 'center' });
+  doc.font(FONT.regular).fontSize(BODY_SIZE).moveDown();
+}
+
+/* ---- Helper: Footer with document details and page numbers on every page ---- */
+function writeFooters(doc, footerText) {
+  const range = doc.bufferedPageRange();
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+
+    // Footers sit inside the bottom margin, so lift it while writing
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    const y = doc.page.height - bottomMargin + (bottomMargin - FOOTER_HEIGHT) / 2;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    doc.moveTo(doc.page.margins.left, y - 6)
+      .lineTo(doc.page.width - doc.page.margins.right, y - 6)
+      .lineWidth(0.5)
+      .stroke('#999999');
+
+    doc.font(FONT.regular).fontSize(8).fillColor('#555555');
+    if (footerText) {
+      doc.text(footerText, doc.page.margins.left, y, { width, align: 'left', lineBreak: false });
+    }
+    doc.text(`Page ${i + 1} of ${range.count}`, doc.page.margins.left, y, { width, align: 'right', lineBreak: false });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+
+  doc.fillColor('black');
+}
+
+/**
+ * Build the PDF for a document.
+ * `document`: { title, subtitle?, content?, sections?, diagrams? }
+ * `footer`: { subject, level, curriculumType } shown on every page
+ * Returns: Promise<Buffer>
+ */
+function buildPdf(document, footer = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: MARGIN, left: MARGIN, right: MARGIN, bottom: MARGIN + FOOTER_HEIGHT },
+      bufferPages: true,
+      info: { Title: document.title, Creator: 'EduGen AI' }
+    });
+
+    Object.values(FONTS).forEach(([name, file]) => doc.registerFont(name, path.join(FONT_DIR, file)));
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const diagrams = document.diagrams || [];
+
+    doc.font(FONT.bold).fontSize(20).text(document.title, { align: 'center' });
+    if (document.subtitle) {
+      doc.font(FONT.italic).fontSize(11).text(document.subtitle, { align: 'center' });
+    }
+    doc.font(FONT.regular).fontSize(BODY_SIZE).moveDown();
+
+    documentToBlocks(document).forEach(block => {
+      switch (block.type) {
+        case 'heading':
+          ensureSpace(doc, 40);
+          doc.moveDown(0.5);
+          doc.font(FONT.bold).fontSize(HEADING_SIZES[block.level]).text(block.text.replace(/\*\*/g, ''));
+          doc.font(FONT.regular).fontSize(BODY_SIZE).moveDown(0.3);
+          break;
+        case 'list':
+          block.items.forEach((item, i) => {
+            ensureSpace(doc, 20);
+            doc.text(block.ordered ? `${i + 1}.` : '•', doc.page.margins.left + 8, doc.y, { continued: false, width: 16 });
+            doc.moveUp();
+            writeRichText(doc, item, { indent: 0, width: doc.page.width - doc.page.margins.left - doc.page.margins.right - 28 });
+            doc.x = doc.page.margins.left;
+          });
+          doc.moveDown(0.5);
+          break;
+        case 'table':
+          writeTable(doc, block.rows);
+          break;
+        case 'image':
+          writeDiagram(doc, diagrams.find(d => d.index === block.index), block.index);
+          break;
+        case 'rule':
+          doc.moveTo(doc.page.margins.left, doc.y)
+            .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+            .lineWidth(0.5)
+            .stroke('#999999');
+          doc.moveDown();
+          break;
+        default:
+          ensureSpace(doc, 20);
+          writeRichText(doc, block.text);
+          doc.moveDown(0.5);
+      }
+    });
+
+    const footerText = [
+      footer.subject,
+      footer.level,
+      footer.curriculumType ? footer.curriculumType.toUpperCase() : null
+    ].filter(Boolean).join(' · ');
+
+    writeFooters(doc, footerText);
+    doc.end();
+  });
+}
+
+module.exports = {
+  buildPdf
+};
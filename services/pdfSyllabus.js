@@ -0,0 +1,271 @@
+/* ============================================================
+   PDF SYLLABUS READER
+   Rebuilds the rows and columns of a text-based PDF from the
+   positions of its text so the DOCX parsers can read it:
+   an HTML table for the CBC parser, plain text for OBC.
+============================================================ */
+
+// Segments further apart than this (in font-size units) are separate cells
+const CELL_GAP_EMS = 1.5;
+
+// Segment starts within this distance (points) belong to the same column
+const COLUMN_TOLERANCE = 6;
+
+// Fewer characters than this per page means there is no text layer
+const MIN_CHARS_PER_PAGE = 20;
+
+const BULLET = /^[•\-▪◦●○■□➢✓]/;
+const NUMBERED = /^\d+(\.\d+)+\s/;
+const PAGE_NUMBER = /^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i;
+const HEADER_WORDS = /topic|competenc|activit|standard|outcome|content|resource|knowledge|skills|values|specific|expected|learning|key/i;
+
+/* ---- Helper: Errors with a status the route can pass through ---- */
+function pdfError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/* ---- Helper: Escape text for the rebuilt HTML ---- */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Positioned text items of every page.
+ * Returns: [[{ text, x, y, width, size }]]
+ */
+async function loadPages(buffer) {
+  // pdfjs-dist only ships as an ES module
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+  let pdf;
+  try {
+    pdf = await pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      useSystemFonts: true,
+      disableFontFace: true,
+      verbosity: 0
+    }).promise;
+  } catch (err) {
+    if (err.name === 'PasswordException') {
+      throw pdfError(400, 'This PDF is password protected. Remove the password and upload it again.');
+    }
+    throw pdfError(400, 'The file could not be read as a PDF.');
+  }
+
+  const pages = [];
+  try {
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number);
+      const content = await page.getTextContent();
+
+      pages.push(content.items
+        .filter(item => item.str && item.str.trim())
+        .map(item => ({
+          text: item.str,
+          x: item.transform[4],
+          y: item.transform[5],
+          width: item.width,
+          size: Math.hypot(item.transform[2], item.transform[3]) || item.height || 10
+        })));
+
+      page.cleanup();
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return pages;
+}
+
+/* ---- Helper: Group a page's items into lines, top to bottom ---- */
+function groupLines(items) {
+  const lines = [];
+
+  items
+    .slice()
+    .sort((a, b) => b.y - a.y || a.x - b.x)
+    .forEach(item => {
+      const line = lines[lines.length - 1];
+      if (line && Math.abs(line.y - item.y) <= Math.min(line.size, item.size) * 0.5) {
+        line.items.push(item);
+      } else {
+        lines.push({ y: item.y, size: item.size, items: [item] });
+      }
+    });
+
+  lines.forEach(line => line.items.sort((a, b) => a.x - b.x));
+  return lines;
+}
+
+/* ---- Helper: Split a line into cell segments at wide gaps ---- */
+function lineSegments(line) {
+  const segments = [];
+
+  line.items.forEach(item => {
+    const segment = segments[segments.length - 1];
+    const gap = segment ? item.x - segment.end : Infinity;
+
+    if (segment && gap < item.size * CELL_GAP_EMS) {
+      const space = gap > item.size * 0.15 ? ' ' : '';
+      segment.text += space + item.text;
+      segment.end = Math.max(segment.end, item.x + item.width);
+    } else {
+      segments.push({ x: item.x, end: item.x + item.width, text: item.text });
+    }
+  });
+
+  return segments
+    .map(segment => ({ ...segment, text: segment.text.replace(/\s+/g, ' ').trim() }))
+    .filter(segment => segment.text);
+}
+
+/**
+ * Column left edges, from lines with more than one cell.
+ * Single-segment lines (paragraphs, wrapped cell text) would only add noise.
+ */
+function detectColumns(lines) {
+  const starts = lines
+    .filter(line => line.segments.length > 1)
+    .flatMap(line => line.segments.map(segment => segment.x))
+    .sort((a, b) => a - b);
+
+  const clusters = [];
+  starts.forEach(x => {
+    const cluster = clusters[clusters.length - 1];
+    if (cluster && x - cluster.last <= COLUMN_TOLERANCE) {
+      cluster.last = x;
+      cluster.count++;
+    } else {
+      clusters.push({ start: x, last: x, count: 1 });
+    }
+  });
+
+  const columns = clusters.filter(cluster => cluster.count >= 2).map(cluster => cluster.start);
+  return columns.length ? columns : [0];
+}
+
+/**
+ * Put the text of a line in its columns. Items are placed one by one
+ * because text running up to the next column can join a segment.
+ */
+function lineCells(line, columns) {
+  const cells = columns.map(() => []);
+
+  line.items.forEach(item => {
+    let column = 0;
+    columns.forEach((start, index) => {
+      if (start <= item.x + COLUMN_TOLERANCE) column = index;
+    });
+    cells[column].push(item);
+  });
+
+  return cells.map(items => lineSegments({ items }).map(segment => segment.text).join(' '));
+}
+
+/* ---- Helper: Join wrapped lines of a cell, keeping bullets separate ---- */
+function joinCellLines(lines) {
+  const merged = [];
+  lines.forEach(line => {
+    if (!merged.length || BULLET.test(line) || NUMBERED.test(line)) {
+      merged.push(line);
+    } else {
+      merged[merged.length - 1] += ` ${line}`;
+    }
+  });
+  return merged;
+}
+
+/* ---- Helper: Add a continuation line to a row's cells ---- */
+function appendLine(row, cells) {
+  cells.forEach((text, index) => {
+    if (text) row.cells[index].push(text);
+  });
+}
+
+/**
+ * Rebuild table rows. `classifyLine(cellTexts)` returns 'header' for a
+ * (repeated) column header, 'row' for a line that opens a new table row
+ * (it carries a topic/subtopic/competence number) or null for a line
+ * that continues the row above, e.g. wrapped cell text.
+ * Returns: { rows, lines } - lines is the plain text of every line.
+ */
+function buildRows(pages, classifyLine) {
+  const allLines = pages.flatMap(items => groupLines(items));
+  allLines.forEach(line => { line.segments = lineSegments(line); });
+
+  const columns = detectColumns(allLines);
+  const rows = [];
+  let current = null;
+  let lastContentRow = null;
+
+  allLines.forEach(line => {
+    const cells = lineCells(line, columns);
+    const lineText = cells.filter(Boolean).join(' ');
+    if (!lineText || PAGE_NUMBER.test(lineText)) return;
+
+    const kind = classifyLine(cells);
+    const continuesHeader = current && current.header && cells.every(text => !text || HEADER_WORDS.test(text));
+
+    if (!kind && continuesHeader) {
+      appendLine(current, cells);
+      return;
+    }
+
+    if (kind || !current) {
+      current = { header: kind === 'header', cells: cells.map(text => (text ? [text] : [])) };
+      rows.push(current);
+      if (!current.header) lastContentRow = current;
+      return;
+    }
+
+    // Text after a header repeated at the top of a page belongs to the
+    // row that was split across the page break
+    appendLine(current.header && lastContentRow ? lastContentRow : current, cells);
+  });
+
+  return {
+    rows: rows.map(row => row.cells.map(joinCellLines)),
+    lines: allLines.map(line => line.segments.map(segment => segment.text).join(' '))
+  };
+}
+
+/**
+ * Read a text-based PDF into table form.
+ * Returns: { html, text, lines, pages } - html for the CBC table parser,
+ * text in the cell order mammoth.extractRawText would give for OBC,
+ * and the plain text of each line (title page detection).
+ */
+async function readPdfSyllabus(buffer, { classifyLine }) {
+  const pages = await loadPages(buffer);
+
+  const characters = pages.reduce(
+    (sum, items) => sum + items.reduce((n, item) => n + item.text.trim().length, 0),
+    0
+  );
+
+  if (!pages.length || characters < MIN_CHARS_PER_PAGE * pages.length) {
+    throw pdfError(422, 'This PDF has no selectable text (it looks like a scanned image). Upload a text-based PDF or the Word version of the syllabus.');
+  }
+
+  const { rows, lines } = buildRows(pages, classifyLine);
+
+  const html = '<table>' + rows.map(row =>
+    '<tr>' + row.map(lines => `<td>${lines.map(escapeHtml).join('<br>')}</td>`).join('') + '</tr>'
+  ).join('') + '</table>';
+
+  const text = rows
+    .map(row => row.map(lines => lines.join('\n')).filter(Boolean).join('\n'))
+    .join('\n');
+
+  return { html, text, lines, pages: pages.length };
+}
+
+module.exports = {
+  readPdfSyllabus
+};
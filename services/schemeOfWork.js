@@ -0,0 +1,402 @@
+/* ============================================================
+   SCHEME OF WORK PLANNER
+   Spreads the topics of a syllabus over the teaching weeks of a
+   term. Every subtopic gets at least one period; the remaining
+   periods are shared in proportion to its competence (CBC) or
+   outcome (OBC) count. The plan is laid out week by week and
+   rendered into the scheme-of-work document sections.
+============================================================ */
+
+const { DOCUMENT_TYPES, describeLevel } = require('./documentBuilder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHOOL_DAYS_PER_WEEK = 5;
+const MAX_TERM_WEEKS = 20;
+const MAX_PERIODS_PER_WEEK = 40;
+
+/* ---- Helper: Errors with a status the route can pass through ---- */
+function schemeError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/* ---- Helper: "2026-01-12" -> Date at UTC midnight ---- */
+function parseDate(value, name) {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+
+  if (!date || date.getUTCDate() !== Number(match[3])) {
+    throw schemeError(`${name} must be a date in YYYY-MM-DD format`);
+  }
+  return date;
+}
+
+/* ---- Helper: Date -> "2026-01-12" ---- */
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/* ---- Helper: Monday-Friday ---- */
+function isSchoolDay(date) {
+  const day = date.getUTCDay();
+  return day >= 1 && day <= SCHOOL_DAYS_PER_WEEK;
+}
+
+/**
+ * Holidays as { start, end, name }. Accepts "YYYY-MM-DD" strings or
+ * { date } / { start, end } objects with an optional name.
+ */
+function normaliseHolidays(holidays) {
+  if (holidays === undefined || holidays === null) return [];
+  if (!Array.isArray(holidays)) throw schemeError('holidays must be an array');
+
+  return holidays.map((holiday, index) => {
+    const entry = typeof holiday === 'string' ? { date: holiday } : holiday || {};
+    const start = parseDate(entry.start || entry.date, `holidays[${index}].start`);
+    const end = entry.end ? parseDate(entry.end, `holidays[${index}].end`) : start;
+
+    if (end < start) throw schemeError(`holidays[${index}] ends before it starts`);
+
+    return {
+      start: isoDate(start),
+      end: isoDate(end),
+      name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : 'Holiday'
+    };
+  });
+}
+
+/**
+ * Validate the request body into planner input.
+ * Returns: { termStart, termEnd, holidays, periodsPerWeek, topicIds }
+ */
+function normaliseSchemeInput(body) {
+  const termStart = parseDate(body.termStart, 'termStart');
+  const termEnd = parseDate(body.termEnd, 'termEnd');
+
+  if (termEnd < termStart) throw schemeError('termEnd must be after termStart');
+  if ((termEnd - termStart) / DAY_MS > MAX_TERM_WEEKS * 7) {
+    throw schemeError(`A term can be at most ${MAX_TERM_WEEKS} weeks long`);
+  }
+
+  const periodsPerWeek = Number(body.periodsPerWeek);
+  if (!Number.isInteger(periodsPerWeek) || periodsPerWeek < 1 || periodsPerWeek > MAX_PERIODS_PER_WEEK) {
+    throw schemeError(`periodsPerWeek must be a whole number from 1 to ${MAX_PERIODS_PER_WEEK}`);
+  }
+
+  if (body.topicIds !== undefined && !Array.isArray(body.topicIds)) {
+    throw schemeError('topicIds must be an array');
+  }
+
+  return {
+    termStart: isoDate(termStart),
+    termEnd: isoDate(termEnd),
+    holidays: normaliseHolidays(body.holidays),
+    periodsPerWeek,
+    topicIds: body.topicIds ? body.topicIds.map(String) : undefined
+  };
+}
+
+/**
+ * School weeks of the term (Monday-Friday dates). Week 1 starts on
+ * termStart and each later week on a Monday; periods shrink with the
+ * days lost to holidays and partial first/last weeks.
+ */
+function buildTermWeeks({ termStart, termEnd, holidays, periodsPerWeek }) {
+  const first = parseDate(termStart, 'termStart');
+  const last = parseDate(termEnd, 'termEnd');
+  const weeks = [];
+  let week = null;
+
+  for (let time = first.getTime(); time <= last.getTime(); time += DAY_MS) {
+    const date = new Date(time);
+    const day = isoDate(date);
+
+    if (!week || date.getUTCDay() === 1) {
+      week = { week: weeks.length + 1, start: null, end: null, teachingDays: 0, holidays: [] };
+      weeks.push(week);
+    }
+
+    if (!isSchoolDay(date)) continue;
+    week.start = week.start || day;
+    week.end = day;
+
+    const holiday = holidays.find(h => h.start <= day && day <= h.end);
+    if (holiday) {
+      if (!week.holidays.includes(holiday.name)) week.holidays.push(holiday.name);
+    } else {
+      week.teachingDays++;
+    }
+  }
+
+  // Weekend-only stretches at the term edges are not weeks
+  return weeks
+    .filter(w => w.start)
+    .map((w, index) => ({
+      ...w,
+      week: index + 1,
+      periods: Math.round(periodsPerWeek * w.teachingDays / SCHOOL_DAYS_PER_WEEK)
+    }));
+}
+
+/**
+ * One unit per subtopic (or per topic without subtopics), in syllabus
+ * order or the order of `topicIds`. Items are the competences/outcomes.
+ */
+function collectUnits(syllabus, topicIds) {
+  let topics = syllabus.topics;
+
+  if (topicIds) {
+    topics = topicIds.map(id => {
+      const topic = syllabus.topics.find(t => String(t._id) === id);
+      if (!topic) throw schemeError(`Topic ${id} is not part of this syllabus`);
+      return topic;
+    });
+  }
+
+  const cbc = syllabus.curriculumType === 'cbc';
+  const units = [];
+
+  topics.forEach(topic => {
+    if (!topic.subtopics.length) {
+      units.push({ topic, subtopic: null, items: [], weight: 1 });
+      return;
+    }
+
+    topic.subtopics.forEach(subtopic => {
+      const items = cbc
+        ? subtopic.specificCompetences.map(c => ({
+          competenceId: c._id,
+          description: c.description,
+          learningActivities: [...c.learningActivities]
+        }))
+        : subtopic.specificOutcomes.map((text, outcomeIndex) => ({ outcomeIndex, text }));
+
+      units.push({ topic, subtopic, items, weight: Math.max(1, items.length) });
+    });
+  });
+
+  if (!units.length) throw schemeError('The syllabus has no topics to plan');
+  return units;
+}
+
+/* ---- Helper: Share `total` periods by weight, largest remainder first ---- */
+function allocatePeriods(units, total) {
+  const spare = total - units.length;
+  const weightSum = units.reduce((sum, unit) => sum + unit.weight, 0);
+
+  const shares = units.map((unit, index) => {
+    const exact = spare * unit.weight / weightSum;
+    return { index, periods: 1 + Math.floor(exact), remainder: exact % 1 };
+  });
+
+  let left = total - shares.reduce((sum, share) => sum + share.periods, 0);
+  shares
+    .slice()
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(share => {
+      if (left > 0) {
+        share.periods++;
+        left--;
+      }
+    });
+
+  return shares.map(share => share.periods);
+}
+
+/* ---- Helper: Spread a unit's items over its weekly parts by period share ---- */
+function splitItems(items, parts) {
+  const total = parts.reduce((sum, part) => sum + part.periods, 0);
+  const slices = parts.map(() => []);
+
+  items.forEach((item, index) => {
+    const position = (index + 0.5) * total / items.length;
+    let covered = 0;
+    const part = parts.findIndex(p => (covered += p.periods) > position);
+    slices[part === -1 ? parts.length - 1 : part].push(item);
+  });
+
+  return slices;
+}
+
+/**
+ * Build the week-by-week plan.
+ * Returns: { ...input, syllabusId, subject, level, curriculumType,
+ *            totalPeriods, weeks: [{ week, start, end,
+ *            teachingDays, periods, holidays, entries }] }
+ */
+function buildSchemePlan(syllabus, input) {
+  const weeks = buildTermWeeks(input);
+  const totalPeriods = weeks.reduce((sum, week) => sum + week.periods, 0);
+  const units = collectUnits(syllabus, input.topicIds);
+
+  if (totalPeriods < units.length) {
+    throw schemeError(`The term has ${totalPeriods} teaching periods but ${units.length} subtopics to cover. Choose fewer topics or more periods per week.`);
+  }
+
+  const allocation = allocatePeriods(units, totalPeriods);
+  const cbc = syllabus.curriculumType === 'cbc';
+
+  // Lay the units out in order, splitting them at week boundaries
+  const placements = units.map(() => []);
+  let unitIndex = 0;
+  let unitLeft = allocation[0];
+
+  weeks.forEach(week => {
+    week.entries = [];
+    let weekLeft = week.periods;
+
+    while (weekLeft > 0 && unitIndex < units.length) {
+      const periods = Math.min(weekLeft, unitLeft);
+      const entry = { periods };
+      week.entries.push(entry);
+      placements[unitIndex].push(entry);
+
+      weekLeft -= periods;
+      unitLeft -= periods;
+      if (!unitLeft) {
+        unitIndex++;
+        unitLeft = allocation[unitIndex];
+      }
+    }
+  });
+
+  units.forEach((unit, index) => {
+    const parts = placements[index];
+    const slices = splitItems(unit.items, parts);
+
+    parts.forEach((entry, part) => {
+      Object.assign(entry, {
+        topicId: unit.topic._id,
+        topic: unit.topic.name,
+        subtopicId: unit.subtopic ? unit.subtopic._id : null,
+        subtopic: unit.subtopic ? unit.subtopic.name : null,
+        part: part + 1,
+        parts: parts.length,
+        [cbc ? 'competences' : 'outcomes']: slices[part],
+        ...(cbc && unit.subtopic && { resources: [...(unit.subtopic.resources || [])] })
+      });
+    });
+  });
+
+  return {
+    ...input,
+    syllabusId: syllabus._id,
+    subject: syllabus.subject,
+    level: describeLevel(syllabus),
+    curriculumType: syllabus.curriculumType,
+    totalPeriods,
+    weeks
+  };
+}
+
+/* ---- Helper: Text safe inside a markdown table cell ---- */
+function cell(text) {
+  return String(text || '').replace(/\|/g, '/').replace(/\s+/g, ' ').trim() || '-';
+}
+
+/* ---- Helper: "Fractions: Adding (part 1 of 2)" ---- */
+function entryLabel(entry) {
+  const name = entry.subtopic ? `${entry.topic}: ${entry.subtopic}` : entry.topic;
+  return entry.parts > 1 ? `${name} (part ${entry.part} of ${entry.parts})` : name;
+}
+
+/**
+ * Render a plan into the scheme-of-work sections used by the exporters.
+ */
+function schemeSections(plan) {
+  const cbc = plan.curriculumType === 'cbc';
+  const topics = [...new Set(plan.weeks.flatMap(week => week.entries.map(entry => entry.topic)))];
+  const holidays = plan.holidays.map(h => (h.start === h.end ? `${h.name} (${h.start})` : `${h.name} (${h.start} to ${h.end})`));
+
+  const overview = [
+    `**Subject:** ${plan.subject}`,
+    `**Class:** ${plan.level || 'Not specified'}`,
+    `**Term:** ${plan.termStart} to ${plan.termEnd} (${plan.weeks.length} weeks)`,
+    `**Periods:** ${plan.periodsPerWeek} per week, ${plan.totalPeriods} in the term`,
+    '',
+    '**Topics covered:**',
+    ...topics.map(topic => `- ${topic}`)
+  ].join('\n');
+
+  const header = cbc
+    ? '| Week | Dates | Topic/Subtopic | Specific Competences | Learning Activities | Resources | Periods |'
+    : '| Week | Dates | Topic/Subtopic | Specific Outcomes | Periods |';
+  const rows = [header, header.replace(/[^|]+/g, ' --- ')];
+
+  plan.weeks.forEach(week => {
+    const dates = `${week.start} to ${week.end}`;
+
+    if (!week.entries.length) {
+      const note = week.holidays.length ? week.holidays.join(', ') : 'No lessons';
+      rows.push(cbc
+        ? `| ${week.week} | ${dates} | ${cell(note)} | - | - | - | ${week.periods} |`
+        : `| ${week.week} | ${dates} | ${cell(note)} | - | ${week.periods} |`);
+      return;
+    }
+
+    week.entries.forEach(entry => {
+      if (cbc) {
+        const competences = entry.competences.map(c => c.description).join('; ');
+        const activities = entry.competences.flatMap(c => c.learningActivities).join('; ');
+        rows.push(`| ${week.week} | ${dates} | ${cell(entryLabel(entry))} | ${cell(competences)} | ${cell(activities)} | ${cell((entry.resources || []).join('; '))} | ${entry.periods} |`);
+      } else {
+        rows.push(`| ${week.week} | ${dates} | ${cell(entryLabel(entry))} | ${cell(entry.outcomes.map(o => o.text).join('; '))} | ${entry.periods} |`);
+      }
+    });
+  });
+
+  // End-of-topic checks go in the week a topic's last subtopic finishes
+  const assessment = [];
+  plan.weeks.forEach(week => {
+    week.entries.forEach((entry, index) => {
+      const next = week.entries[index + 1] ||
+        (plan.weeks.slice(week.week).find(w => w.entries.length) || { entries: [] }).entries[0];
+      const topicEnds = entry.part === entry.parts && (!next || String(next.topicId) !== String(entry.topicId));
+      if (topicEnds) assessment.push(`- Week ${week.week}: end of topic test - ${entry.topic}`);
+    });
+  });
+  assessment.push(`- Week ${plan.weeks.length}: end of term test`);
+
+  const remarks = [
+    holidays.length ? `Holidays: ${holidays.join('; ')}.` : 'No holidays entered.',
+    'Periods per subtopic are weighted by the number of ' + (cbc ? 'specific competences.' : 'specific outcomes.')
+  ].join('\n\n');
+
+  const content = { overview, weeklyPlan: rows.join('\n'), assessment: assessment.join('\n'), remarks };
+
+  return DOCUMENT_TYPES['scheme-of-work'].sections.map(s => ({
+    key: s.key,
+    heading: s.heading,
+    content: content[s.key] || ''
+  }));
+}
+
+/* ---- Helper: Stored description of what produced a plan (documents need a prompt) ---- */
+function schemePrompt(plan) {
+  return `Scheme of work planned from the syllabus: ${plan.termStart} to ${plan.termEnd}, ` +
+    `${plan.periodsPerWeek} periods per week, ${plan.holidays.length} holiday(s)`;
+}
+
+/**
+ * The plan entry a lesson is generated from: the given subtopic in
+ * that week, or the week's first entry.
+ */
+function findPlanEntry(plan, weekNumber, subtopicId) {
+  const week = plan.weeks.find(w => w.week === Number(weekNumber));
+  if (!week) return null;
+
+  const entry = subtopicId
+    ? week.entries.find(e => String(e.subtopicId) === String(subtopicId))
+    : week.entries[0];
+
+  return entry ? { week, entry } : null;
+}
+
+module.exports = {
+  normaliseSchemeInput,
+  buildSchemePlan,
+  schemeSections,
+  schemePrompt,
+  findPlanEntry
+};
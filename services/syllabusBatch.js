@@ -0,0 +1,156 @@
+/* ============================================================
+   SYLLABUS BATCH UPLOAD
+   Flattens a batch upload (Word and PDF files, and ZIP archives
+   of them) into one list of files to parse, and fingerprints
+   files so repeats can be reported as duplicates. A file that
+   cannot be read is listed with its error instead of failing
+   the batch.
+
+   Archive entries are only inflated when their turn comes, and
+   the uploads plus everything unpacked share one byte budget.
+============================================================ */
+
+const crypto = require('crypto');
+const JSZip = require('jszip');
+
+const MB = 1024 * 1024;
+const SYLLABUS_FILE = /\.(docx|pdf)$/i;
+const MAX_FILE_BYTES = 10 * MB; // Same as a single upload
+const MAX_BATCH_FILES = Number(process.env.SYLLABUS_BATCH_MAX_FILES) || 100;
+const MAX_BATCH_BYTES = (Number(process.env.SYLLABUS_BATCH_MAX_MB) || 100) * MB;
+
+/* ---- Helper: Errors with a status the route can pass through ---- */
+function batchError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/* ---- Helper: Archive entries that are not documents (Mac and Word leftovers) ---- */
+function isJunk(name) {
+  return name.split('/').some(part => part === '__MACOSX' || part.startsWith('.') || part.startsWith('~$'));
+}
+
+/* ---- Helper: Inflate one archive entry, giving up once it passes `limit` bytes ---- */
+function readEntry(entry, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.nodeStream();
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.pause();
+        stream.removeAllListeners();
+        reject(Object.assign(new Error('Entry is over the size limit'), { tooLarge: true }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.once('end', () => resolve(Buffer.concat(chunks)));
+    stream.once('error', reject);
+  });
+}
+
+/* ---- Helper: List the documents inside an uploaded ZIP without inflating them ---- */
+async function listZip(upload, items) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(upload.buffer);
+  } catch (err) {
+    items.push({ name: upload.originalname, error: 'Not a readable ZIP archive' });
+    return;
+  }
+
+  Object.values(zip.files)
+    .filter(entry => !entry.dir && !isJunk(entry.name))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(entry => {
+      const name = `${upload.originalname}/${entry.name}`;
+      items.push(SYLLABUS_FILE.test(entry.name)
+        ? { name, entry }
+        : { name, error: 'Only Word (.docx) or PDF files are read from archives' });
+    });
+}
+
+/* ---- Helper: Yield the files one at a time, inflating each entry just before it is parsed ---- */
+async function* readBatchFiles(items, uploadedBytes) {
+  let used = uploadedBytes;
+
+  for (const { name, entry, buffer, error } of items) {
+    if (!entry) {
+      yield error ? { name, error } : { name, buffer };
+      continue;
+    }
+
+    const remaining = MAX_BATCH_BYTES - used;
+    if (remaining <= 0) {
+      yield { name, error: `Not unpacked: the batch is over its ${MAX_BATCH_BYTES / MB}MB limit` };
+      continue;
+    }
+
+    let unpacked;
+    try {
+      unpacked = await readEntry(entry, Math.min(MAX_FILE_BYTES, remaining));
+    } catch (err) {
+      if (!err.tooLarge) {
+        yield { name, error: err.message };
+      } else if (remaining < MAX_FILE_BYTES) {
+        used = MAX_BATCH_BYTES;
+        yield { name, error: `Not unpacked: the batch is over its ${MAX_BATCH_BYTES / MB}MB limit` };
+      } else {
+        yield { name, error: `File is larger than ${MAX_FILE_BYTES / MB}MB once unpacked` };
+      }
+      continue;
+    }
+
+    used += unpacked.length;
+    yield { name, buffer: unpacked };
+  }
+}
+
+/**
+ * Turn multer uploads into the files of a batch. ZIP directories are
+ * read up front so the file count is checked before anything is parsed.
+ * Returns: { count, files() } where files() yields { name, buffer } or
+ * { name, error } for files that cannot be parsed, one at a time.
+ * Throws a 400 error when the batch is too big.
+ */
+async function openBatch(uploads) {
+  const uploadedBytes = uploads.reduce((total, upload) => total + upload.size, 0);
+  if (uploadedBytes > MAX_BATCH_BYTES) {
+    throw batchError(`A batch upload can be at most ${MAX_BATCH_BYTES / MB}MB`);
+  }
+
+  const items = [];
+  for (const upload of uploads) {
+    if (/\.zip$/i.test(upload.originalname)) {
+      await listZip(upload, items);
+    } else if (!SYLLABUS_FILE.test(upload.originalname)) {
+      items.push({ name: upload.originalname, error: 'Only Word (.docx), PDF or ZIP files are allowed' });
+    } else if (upload.size > MAX_FILE_BYTES) {
+      items.push({ name: upload.originalname, error: `File is larger than ${MAX_FILE_BYTES / MB}MB` });
+    } else {
+      items.push({ name: upload.originalname, buffer: upload.buffer });
+    }
+  }
+
+  if (items.length > MAX_BATCH_FILES) {
+    throw batchError(`A batch can hold at most ${MAX_BATCH_FILES} files`);
+  }
+
+  return { count: items.length, files: () => readBatchFiles(items, uploadedBytes) };
+}
+
+/* ---- Helper: SHA-256 of a file's bytes ---- */
+function fileHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+module.exports = {
+  MAX_BATCH_FILES,
+  MAX_BATCH_BYTES,
+  openBatch,
+  fileHash
+};
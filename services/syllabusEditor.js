@@ -0,0 +1,320 @@
+/* ============================================================
+   SYLLABUS TREE EDITOR
+   Mutators for topics, subtopics, specific competences (CBC) and
+   specific outcomes (OBC) inside a loaded Syllabus document.
+   Each returns { target, before, after } for the edit log; the
+   caller saves the syllabus so schema validation still applies.
+============================================================ */
+
+/* ---- Helper: 400/404 errors the routes pass straight through ---- */
+function editError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/* ---- Helper: Required non-empty string ---- */
+function requireText(value, field) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw editError(400, `${field} is required`);
+  }
+  return value.trim();
+}
+
+/* ---- Helper: Optional array of strings (blank entries dropped) ---- */
+function optionalList(value, field) {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+    throw editError(400, `${field} must be an array of strings`);
+  }
+  return value.map(v => v.trim()).filter(Boolean);
+}
+
+/* ---- Helper: Optional target index, clamped to the list ---- */
+function optionalPosition(value, length) {
+  if (value === undefined || value === null) return undefined;
+  const position = Number(value);
+  if (!Number.isInteger(position) || position < 0) {
+    throw editError(400, 'position must be a non-negative integer');
+  }
+  return Math.min(position, length);
+}
+
+/* ---- Helper: Plain snapshot of a subdocument ---- */
+function snapshot(item) {
+  return item && typeof item.toObject === 'function' ? item.toObject() : item;
+}
+
+/* ---- Helper: Move one entry of a (document) array to a new index ---- */
+function moveEntry(parent, field, fromIndex, toIndex) {
+  const items = parent[field].slice();
+  const [item] = items.splice(fromIndex, 1);
+  items.splice(Math.min(toIndex, items.length), 0, item);
+  parent[field] = items;
+}
+
+/* ---- Helper: Insert at position (append when undefined) ---- */
+function insertEntry(parent, field, item, position) {
+  if (position === undefined) {
+    parent[field].push(item);
+    return parent[field][parent[field].length - 1];
+  }
+  parent[field].splice(position, 0, item);
+  return parent[field][position];
+}
+
+/* ---- Lookups ---- */
+function findTopic(syllabus, topicId) {
+  const topic = syllabus.topics.id(topicId);
+  if (!topic) throw editError(404, 'Topic not found');
+  return topic;
+}
+
+function findSubtopic(syllabus, topicId, subtopicId) {
+  const topic = findTopic(syllabus, topicId);
+  const subtopic = topic.subtopics.id(subtopicId);
+  if (!subtopic) throw editError(404, 'Subtopic not found');
+  return { topic, subtopic };
+}
+
+function requireCurriculum(syllabus, curriculumType, what) {
+  if (syllabus.curriculumType !== curriculumType) {
+    throw editError(400, `${what} only exist in ${curriculumType.toUpperCase()} syllabi`);
+  }
+}
+
+/* ============================================================
+   TOPICS
+============================================================ */
+
+function addTopic(syllabus, params, body) {
+  const name = requireText(body.name, 'name');
+  const position = optionalPosition(body.position, syllabus.topics.length);
+  const topic = insertEntry(syllabus, 'topics', { name, subtopics: [] }, position);
+
+  return { target: { topicId: topic._id }, before: null, after: snapshot(topic) };
+}
+
+function updateTopic(syllabus, { topicId }, body) {
+  const topic = findTopic(syllabus, topicId);
+  const before = snapshot(topic);
+
+  if (body.name !== undefined) topic.name = requireText(body.name, 'name');
+
+  const position = optionalPosition(body.position, syllabus.topics.length - 1);
+  if (position !== undefined) {
+    moveEntry(syllabus, 'topics', syllabus.topics.indexOf(topic), position);
+  }
+
+  return { target: { topicId: topic._id }, before, after: snapshot(syllabus.topics.id(topicId)) };
+}
+
+function deleteTopic(syllabus, { topicId }) {
+  const topic = findTopic(syllabus, topicId);
+  const before = snapshot(topic);
+  topic.deleteOne();
+
+  return { target: { topicId: before._id }, before, after: null };
+}
+
+/* ============================================================
+   SUBTOPICS
+============================================================ */
+
+// Plain list fields of a subtopic, by curriculum
+const SUBTOPIC_LISTS = {
+  cbc: ['keyCompetences', 'resources'],
+  obc: ['specificOutcomes', 'knowledge', 'skills', 'values']
+};
+
+/* ---- Helper: Curriculum fields a subtopic body may set ---- */
+function subtopicFields(syllabus, body) {
+  const fields = {};
+  const other = syllabus.curriculumType === 'obc' ? 'cbc' : 'obc';
+
+  if (SUBTOPIC_LISTS[other].some(field => body[field] !== undefined)) {
+    throw editError(400, `${SUBTOPIC_LISTS[other].join(', ')} only exist in ${other.toUpperCase()} syllabi`);
+  }
+
+  SUBTOPIC_LISTS[syllabus.curriculumType].forEach(field => {
+    const list = optionalList(body[field], field);
+    if (list !== undefined) fields[field] = list;
+  });
+
+  return fields;
+}
+
+function addSubtopic(syllabus, { topicId }, body) {
+  const topic = findTopic(syllabus, topicId);
+  const name = requireText(body.name, 'name');
+  const position = optionalPosition(body.position, topic.subtopics.length);
+
+  const subtopic = insertEntry(topic, 'subtopics', { name, ...subtopicFields(syllabus, body) }, position);
+
+  return { target: { topicId: topic._id, subtopicId: subtopic._id }, before: null, after: snapshot(subtopic) };
+}
+
+function updateSubtopic(syllabus, { topicId, subtopicId }, body) {
+  const { topic, subtopic } = findSubtopic(syllabus, topicId, subtopicId);
+  const before = snapshot(subtopic);
+
+  if (body.name !== undefined) subtopic.name = requireText(body.name, 'name');
+  subtopic.set(subtopicFields(syllabus, body));
+
+  const position = optionalPosition(body.position, topic.subtopics.length - 1);
+  if (position !== undefined) {
+    moveEntry(topic, 'subtopics', topic.subtopics.indexOf(subtopic), position);
+  }
+
+  return {
+    target: { topicId: topic._id, subtopicId: subtopic._id },
+    before,
+    after: snapshot(topic.subtopics.id(subtopicId))
+  };
+}
+
+function deleteSubtopic(syllabus, { topicId, subtopicId }) {
+  const { topic, subtopic } = findSubtopic(syllabus, topicId, subtopicId);
+  const before = snapshot(subtopic);
+  subtopic.deleteOne();
+
+  return { target: { topicId: topic._id, subtopicId: before._id }, before, after: null };
+}
+
+/* ============================================================
+   SPECIFIC COMPETENCES (CBC)
+============================================================ */
+
+function addCompetence(syllabus, { topicId, subtopicId }, body) {
+  requireCurriculum(syllabus, 'cbc', 'Specific competences');
+  const { topic, subtopic } = findSubtopic(syllabus, topicId, subtopicId);
+  const position = optionalPosition(body.position, subtopic.specificCompetences.length);
+
+  const competence = insertEntry(subtopic, 'specificCompetences', {
+    description: requireText(body.description, 'description'),
+    learningActivities: optionalList(body.learningActivities, 'learningActivities') || [],
+    expectedStandards: optionalList(body.expectedStandards, 'expectedStandards') || []
+  }, position);
+
+  return {
+    target: { topicId: topic._id, subtopicId: subtopic._id, competenceId: competence._id },
+    before: null,
+    after: snapshot(competence)
+  };
+}
+
+function updateCompetence(syllabus, { topicId, subtopicId, competenceId }, body) {
+  requireCurriculum(syllabus, 'cbc', 'Specific competences');
+  const { topic, subtopic } = findSubtopic(syllabus, topicId, subtopicId);
+  const competence = subtopic.specificCompetences.id(competenceId);
+  if (!competence) throw editError(404, 'Specific competence not found');
+
+  const before = snapshot(competence);
+
+  if (body.description !== undefined) competence.description = requireText(body.description, 'description');
+  ['learningActivities', 'expectedStandards'].forEach(field => {
+    const list = optionalList(body[field], field);
+    if (list !== undefined) competence[field] = list;
+  });
+
+  const position = optionalPosition(body.position, subtopic.specificCompetences.length - 1);
+  if (position !== undefined) {
+    moveEntry(subtopic, 'specificCompetences', subtopic.specificCompetences.indexOf(competence), position);
+  }
+
+  return {
+    target: { topicId: topic._id, subtopicId: subtopic._id, competenceId: competence._id },
+    before,
+    after: snapshot(subtopic.specificCompetences.id(competenceId))
+  };
+}
+
+function deleteCompetence(syllabus, { topicId, subtopicId, competenceId }) {
+  requireCurriculum(syllabus, 'cbc', 'Specific competences');
+  const { topic, subtopic } = findSubtopic(syllabus, topicId, subtopicId);
+  const competence = subtopic.specificCompetences.id(competenceId);
+  if (!competence) throw editError(404, 'Specific competence not found');
+
+  const before = snapshot(competence);
+  competence.deleteOne();
+
+  return {
+    target: { topicId: topic._id, subtopicId: subtopic._id, competenceId: before._id },
+    before,
+    after: null
+  };
+}
+
+/* ============================================================
+   SPECIFIC OUTCOMES (OBC) - plain strings, addressed by index
+============================================================ */
+
+/* ---- Helper: Validate an outcome index ---- */
+function outcomeIndex(subtopic, value) {
+  const index = Number(value);
+  if (!Number.isInteger(index) || index < 0 || index >= subtopic.specificOutcomes.length) {
+    throw editError(404, 'Specific outcome not found');
+  }
+  return index;
+}
+
+function addOutcome(syllabus, { topicId, subtopicId }, body) {
+  requireCurriculum(syllabus, 'obc', 'Specific outcomes');
+  const { topic, subtopic } = findSubtopic(syllabus, topicId, subtopicId);
+  const text = requireText(body.text, 'text');
+  const position = optionalPosition(body.position, subtopic.specificOutcomes.length);
+
+  insertEntry(subtopic, 'specificOutcomes', text, position);
+  const index = position === undefined ? subtopic.specificOutcomes.length - 1 : position;
+
+  return { target: { topicId: topic._id, subtopicId: subtopic._id, outcomeIndex: index }, before: null, after: text };
+}
+
+function updateOutcome(syllabus, { topicId, subtopicId, index }, body) {
+  requireCurriculum(syllabus, 'obc', 'Specific outcomes');
+  const { topic, subtopic } = findSubtopic(syllabus, topicId, subtopicId);
+  let current = outcomeIndex(subtopic, index);
+  const before = subtopic.specificOutcomes[current];
+
+  if (body.text !== undefined) {
+    subtopic.specificOutcomes.set(current, requireText(body.text, 'text'));
+  }
+
+  const position = optionalPosition(body.position, subtopic.specificOutcomes.length - 1);
+  if (position !== undefined) {
+    moveEntry(subtopic, 'specificOutcomes', current, position);
+    current = position;
+  }
+
+  return {
+    target: { topicId: topic._id, subtopicId: subtopic._id, outcomeIndex: current },
+    before,
+    after: subtopic.specificOutcomes[current]
+  };
+}
+
+function deleteOutcome(syllabus, { topicId, subtopicId, index }) {
+  requireCurriculum(syllabus, 'obc', 'Specific outcomes');
+  const { topic, subtopic } = findSubtopic(syllabus, topicId, subtopicId);
+  const current = outcomeIndex(subtopic, index);
+  const before = subtopic.specificOutcomes[current];
+
+  subtopic.specificOutcomes.splice(current, 1);
+
+  return { target: { topicId: topic._id, subtopicId: subtopic._id, outcomeIndex: current }, before, after: null };
+}
+
+module.exports = {
+  addTopic,
+  updateTopic,
+  deleteTopic,
+  addSubtopic,
+  updateSubtopic,
+  deleteSubtopic,
+  addCompetence,
+  updateCompetence,
+  deleteCompetence,
+  addOutcome,
+  updateOutcome,
+  deleteOutcome
+};
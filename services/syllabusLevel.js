@@ -0,0 +1,299 @@
+/* ============================================================
+   SYLLABUS LEVEL & SUBJECT
+   Reads the class level ("FORM 3", "GRADE 5", "Ages 3-4"),
+   subject and curriculum type from a syllabus title page or
+   file name, and normalises stored level fields (category /
+   grade / form / yearRange) including the deprecated gradeRange.
+   Stored values are bare numbers or ranges: form "3" or "1-4",
+   grade "10" or "10-12", yearRange "3-4".
+============================================================ */
+
+// Only the title page / header is searched
+const HEAD_LINES = 60;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+const NUM = '(\\d{1,2}|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)';
+const RANGE = '\\s*(?:-|–|to|and|&)\\s*';
+
+const FORM_PATTERN = new RegExp(`\\bforms?\\s*${NUM}(?:${RANGE}${NUM})?\\b`, 'i');
+const GRADE_PATTERN = new RegExp(`\\bgrades?\\s*${NUM}(?:${RANGE}${NUM})?\\b`, 'i');
+const AGE_PATTERN = /\bages?\s*(\d)\s*(?:-|–|to)\s*(\d)\b|\b(\d)\s*(?:-|–|to)\s*(\d)\s*(?:years?|yrs)\b/i;
+const EARLY_PATTERN = /\b(early\s+childhood|ecce?|pre-?school|nursery)\b/i;
+
+// Title-page words that are not part of the subject name
+const TITLE_NOISE = /\b(republic of zambia|zambia|ministry of (general )?education|curriculum development cent(re|er)|competence[-\s]*based|outcomes?[-\s]*based|cbc|obc|curriculum|syllabus|syllabi|early childhood( education)?|(junior |senior )?secondary|primary|schools?|ordinary level|o[-\s]*level|ecce?|pre-?school|nursery|\d{4})\b/gi;
+const EDGE_WORDS = /^(?:(?:for|the|of|and|in)\b|[\s\-–:,.()])+|(?:\b(?:for|the|of|and|in)|[\s\-–:,.()])+$/gi;
+const SMALL_WORDS = ['and', 'of', 'the', 'in', 'for'];
+
+// Grades each category spans, per curriculum
+const GRADE_STAGES = {
+  cbc: [{ category: 'primary', from: 1, to: 6 }],
+  obc: [{ category: 'primary', from: 1, to: 7 }, { category: 'secondary', from: 8, to: 12 }]
+};
+
+const CBC_PATTERN = /\bcbc\b|competence[-\s]*based/i;
+const OBC_PATTERN = /\bobc\b|outcomes?[-\s]*based/i;
+
+/* ---- Helper: "3" / "three" -> 3 ---- */
+function toNumber(word) {
+  return /^\d+$/.test(word) ? Number(word) : NUMBER_WORDS[word.toLowerCase()];
+}
+
+/* ---- Helper: Matched numbers as a stored level, "3" or "1-4" ---- */
+function levelValue(from, to) {
+  return to && to !== from ? `${from}-${to}` : String(from);
+}
+
+/**
+ * Category a grade or grade range ("10-12") falls in entirely, or
+ * undefined. A single OBC grade has none; an OBC range only when
+ * it stays within one stage, e.g. "10-12" is secondary.
+ */
+function gradeCategory(grade, curriculumType) {
+  const obc = curriculumType === 'obc';
+  const [from, to = from] = String(grade).split('-').map(Number);
+  if (obc && from === to) return undefined;
+
+  const stage = GRADE_STAGES[obc ? 'obc' : 'cbc'].find(s => from >= s.from && to <= s.to);
+  return stage && stage.category;
+}
+
+/**
+ * Level fields named in a piece of text, or null.
+ * CBC forms and ages always have a category; grades only when
+ * gradeCategory() can tell.
+ */
+function matchLevel(text, curriculumType) {
+  if (!text) return null;
+  const cbc = curriculumType !== 'obc';
+
+  const form = text.match(FORM_PATTERN);
+  if (form) {
+    const value = levelValue(toNumber(form[1]), form[2] && toNumber(form[2]));
+    return { ...(cbc && { category: 'secondary' }), form: value };
+  }
+
+  const grade = text.match(GRADE_PATTERN);
+  if (grade) {
+    const value = levelValue(toNumber(grade[1]), grade[2] && toNumber(grade[2]));
+    const category = gradeCategory(value, curriculumType);
+    return { ...(category && { category }), grade: value };
+  }
+
+  const ages = text.match(AGE_PATTERN);
+  if (ages || EARLY_PATTERN.test(text)) {
+    const yearRange = ages ? `${ages[1] || ages[3]}-${ages[2] || ages[4]}` : undefined;
+    return {
+      ...(cbc && { category: 'early-childhood' }),
+      ...(yearRange && { yearRange })
+    };
+  }
+
+  return null;
+}
+
+/* ---- Helper: "design AND TECHNOLOGY" -> "Design and Technology" ---- */
+function titleCase(text) {
+  return text
+    .toLowerCase()
+    .split(' ')
+    .map((word, index) => (index && SMALL_WORDS.includes(word) ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join(' ');
+}
+
+/* ---- Helper: What is left of a title line once level and noise are removed ---- */
+function subjectFromLine(line) {
+  const cleaned = line
+    .replace(new RegExp(GRADE_PATTERN.source, 'gi'), ' ')
+    .replace(new RegExp(FORM_PATTERN.source, 'gi'), ' ')
+    .replace(new RegExp(AGE_PATTERN.source, 'gi'), ' ')
+    .replace(TITLE_NOISE, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(EDGE_WORDS, '')
+    .trim();
+
+  const words = cleaned.split(' ').filter(Boolean);
+  if (cleaned.replace(/[^a-z]/gi, '').length < 3 || words.length > 5) return null;
+  return titleCase(cleaned);
+}
+
+/**
+ * Suggest the level and subject from the first lines of a syllabus.
+ * Returns: { level: { category?, grade?, form?, yearRange?, source } | null,
+ *            subject: { value, source } | null }
+ */
+function detectLevelAndSubject(lines, curriculumType) {
+  const head = lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).slice(0, HEAD_LINES);
+
+  let level = null;
+  let subject = null;
+
+  const levelIndex = head.findIndex(line => matchLevel(line, curriculumType));
+  if (levelIndex !== -1) {
+    level = { ...matchLevel(head[levelIndex], curriculumType), source: head[levelIndex] };
+  }
+
+  // "EARLY CHILDHOOD EDUCATION" often comes a few lines before the ages
+  if (level && level.category === 'early-childhood' && !level.yearRange) {
+    const ages = head.find(line => AGE_PATTERN.test(line));
+    if (ages) level = { ...level, ...matchLevel(ages, curriculumType), source: `${level.source} / ${ages}` };
+  }
+
+  // Prefer the "... SYLLABUS" line, then the line that named the level;
+  // a bare "SYLLABUS" line takes the subject from the line above it
+  const candidates = [];
+  head.forEach((line, index) => {
+    if (/syllabus/i.test(line)) {
+      candidates.push(line);
+      if (index) candidates.push(head[index - 1]);
+    }
+  });
+  if (levelIndex !== -1) {
+    candidates.push(head[levelIndex]);
+    if (levelIndex > 0) candidates.push(head[levelIndex - 1]);
+  }
+
+  candidates.some(line => {
+    const value = subjectFromLine(line);
+    if (value) subject = { value, source: line };
+    return subject;
+  });
+
+  return { level, subject };
+}
+
+/**
+ * Normalise the level fields of a syllabus record.
+ * Moves anything readable out of the deprecated gradeRange, strips
+ * "Form"/"Grade" prefixes, drops forms on primary/early-childhood
+ * syllabi and grade values stored as OBC forms (old parser defaults),
+ * and fills a missing category from the level (OBC: grade ranges only).
+ * Returns the new { category, yearRange, grade, form, gradeRange }.
+ */
+function normaliseLevel(record) {
+  const cbc = record.curriculumType !== 'obc';
+  const clean = value => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+  const result = {
+    category: clean(record.category),
+    yearRange: clean(record.yearRange),
+    grade: clean(record.grade),
+    form: clean(record.form),
+    gradeRange: clean(record.gradeRange)
+  };
+
+  // Legacy free-text level
+  if (result.gradeRange) {
+    const legacy = matchLevel(result.gradeRange, record.curriculumType) ||
+      matchLevel(`grade ${result.gradeRange}`, record.curriculumType);
+    if (legacy) {
+      Object.entries(legacy).forEach(([field, value]) => {
+        if (!result[field]) result[field] = value;
+      });
+      result.gradeRange = undefined;
+    }
+  }
+
+  // A "form" that is really a grade ("Grade 10" was the OBC default)
+  if (result.form && GRADE_PATTERN.test(result.form)) {
+    if (!result.grade) result.grade = matchLevel(result.form, 'obc').grade;
+    result.form = undefined;
+  }
+
+  if (result.form) {
+    const form = result.form.match(new RegExp(`^(?:forms?\\s*)?${NUM}(?:${RANGE}${NUM})?$`, 'i'));
+    if (form) result.form = levelValue(toNumber(form[1]), form[2] && toNumber(form[2]));
+  }
+
+  if (result.yearRange) {
+    const ages = result.yearRange.match(/^(?:ages?\s*)?(\d)\s*(?:-|–|to)\s*(\d)\s*(?:years?|yrs)?$/i);
+    if (ages) result.yearRange = `${ages[1]}-${ages[2]}`;
+  }
+
+  if (result.grade) {
+    const grade = matchLevel(/^grade/i.test(result.grade) ? result.grade : `grade ${result.grade}`, record.curriculumType);
+    if (grade && grade.grade) result.grade = grade.grade;
+  }
+
+  if (cbc) {
+    // "Form 1" was the CBC default, even for primary and early childhood
+    if (result.form && ['primary', 'early-childhood'].includes(result.category)) {
+      result.form = undefined;
+    }
+
+    if (!result.category) {
+      if (result.form) result.category = 'secondary';
+      else if (result.yearRange) result.category = 'early-childhood';
+    }
+  }
+
+  if (!result.category && result.grade) {
+    result.category = gradeCategory(result.grade, record.curriculumType);
+  }
+
+  return result;
+}
+
+/**
+ * Curriculum type named in title lines or file name parts, or read
+ * from the level: forms and early childhood are CBC, grades 7 and up
+ * OBC. Returns 'cbc', 'obc' or null.
+ */
+function detectCurriculum(lines) {
+  const head = lines.slice(0, HEAD_LINES);
+  const named = head.find(line => CBC_PATTERN.test(line) || OBC_PATTERN.test(line));
+  if (named) return CBC_PATTERN.test(named) ? 'cbc' : 'obc';
+
+  for (const line of head) {
+    const level = matchLevel(line, 'cbc');
+    if (!level) continue;
+    if (level.form || level.category === 'early-childhood') return 'cbc';
+    if (level.grade && Number(level.grade.split('-')[0]) >= 7) return 'obc';
+    return null;
+  }
+  return null;
+}
+
+/**
+ * A file path as title-like lines: the file name first, then the
+ * folders it sits in, nearest first ("CBC/Form 1/Maths_Syllabus.docx"
+ * -> ["Maths Syllabus", "Form 1", "CBC"]). Hyphens between digits
+ * ("Grade 10-12") are kept.
+ */
+function fileNameLines(filePath) {
+  return filePath
+    .split(/[\\/]/)
+    .reverse()
+    .map((part, index) => (index === 0 ? part.replace(/\.[a-z0-9]+$/i, '') : part.replace(/\.zip$/i, '')))
+    .map(part => part.replace(/[_.+]+/g, ' ').replace(/(?<!\d)-|-(?!\d)/g, ' ').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Suggest the level and subject from a file's name and folders.
+ * The subject only comes from the file name itself; folders often
+ * name a class or curriculum instead.
+ * Returns the same shape as detectLevelAndSubject().
+ */
+function detectFromFileName(filePath, curriculumType) {
+  const lines = fileNameLines(filePath);
+  const levelLine = lines.find(line => matchLevel(line, curriculumType));
+  const subject = lines.length ? subjectFromLine(lines[0]) : null;
+
+  return {
+    level: levelLine ? { ...matchLevel(levelLine, curriculumType), source: levelLine } : null,
+    subject: subject ? { value: subject, source: lines[0] } : null
+  };
+}
+
+module.exports = {
+  detectLevelAndSubject,
+  detectCurriculum,
+  fileNameLines,
+  detectFromFileName,
+  normaliseLevel
+};
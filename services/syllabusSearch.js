@@ -0,0 +1,184 @@
+/* ============================================================
+   SYLLABUS SEARCH
+   Query-string filters and cursor pagination for the syllabus
+   list, and the topic/subtopic/competence/outcome paths that
+   match a full-text search inside each syllabus.
+============================================================ */
+
+const mongoose = require('mongoose');
+const { normaliseLevel } = require('./syllabusLevel');
+
+const CURRICULUM_TYPES = ['cbc', 'obc'];
+const CATEGORIES = ['early-childhood', 'primary', 'secondary'];
+const LEVEL_FILTERS = ['grade', 'form', 'yearRange'];
+
+// Matching paths returned per syllabus; the full count is still reported
+const MAX_MATCHES = 20;
+
+/* ---- Helper: Errors with a status the route can pass through ---- */
+function searchError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/* ---- Helper: Escape text for use inside a RegExp ---- */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/* ---- Helper: A single trimmed query value (repeated params are rejected) ---- */
+function queryText(query, name) {
+  const value = query[name];
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string') throw searchError(`${name} must be given once`);
+  return value.trim() || undefined;
+}
+
+/**
+ * Mongo filter for the list/search query string:
+ * curriculumType, category, grade, form, yearRange, subject (prefix,
+ * case-insensitive), active (true/false) and q (full text). Level
+ * values are normalised the way they are stored, so "Form 3" finds
+ * form "3".
+ */
+function buildSyllabusFilter(query) {
+  const filter = {};
+
+  const curriculumType = queryText(query, 'curriculumType');
+  if (curriculumType) {
+    if (!CURRICULUM_TYPES.includes(curriculumType.toLowerCase())) {
+      throw searchError(`curriculumType must be one of: ${CURRICULUM_TYPES.join(', ')}`);
+    }
+    filter.curriculumType = curriculumType.toLowerCase();
+  }
+
+  const category = queryText(query, 'category');
+  if (category) {
+    if (!CATEGORIES.includes(category.toLowerCase())) {
+      throw searchError(`category must be one of: ${CATEGORIES.join(', ')}`);
+    }
+    filter.category = category.toLowerCase();
+  }
+
+  LEVEL_FILTERS.forEach(field => {
+    const value = queryText(query, field);
+    // 'obc' keeps normaliseLevel from inferring a category or dropping forms
+    if (value) filter[field] = normaliseLevel({ curriculumType: 'obc', [field]: value })[field];
+  });
+
+  const subject = queryText(query, 'subject');
+  if (subject) filter.subject = new RegExp(`^${escapeRegex(subject)}`, 'i');
+
+  const active = queryText(query, 'active');
+  if (active) {
+    if (!['true', 'false'].includes(active)) throw searchError('active must be true or false');
+    // Syllabi saved before versioning have no flag and count as active
+    filter.active = active === 'true' ? { $ne: false } : false;
+  }
+
+  const q = queryText(query, 'q');
+  if (q) filter.$text = { $search: q };
+
+  return filter;
+}
+
+/* ---- Helper: Page size from ?limit, within bounds ---- */
+function pageLimit(query, fallback, max) {
+  return Math.min(Math.max(parseInt(query.limit, 10) || fallback, 1), max);
+}
+
+/* ---- Helper: Opaque cursor for the last item of a page (newest first) ---- */
+function encodeCursor(record) {
+  return Buffer.from(`${record.createdAt.toISOString()}_${record._id}`).toString('base64url');
+}
+
+/**
+ * Filter fragment for the items after a cursor, in
+ * { createdAt: -1, _id: -1 } order.
+ */
+function cursorFilter(cursor) {
+  const [createdAt, id] = Buffer.from(cursor, 'base64url').toString().split('_');
+  const date = new Date(createdAt);
+
+  if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+    throw searchError('Invalid cursor');
+  }
+
+  const _id = new mongoose.Types.ObjectId(id);
+  return {
+    $or: [
+      { createdAt: { $lt: date } },
+      { createdAt: date, _id: { $lt: _id } }
+    ]
+  };
+}
+
+/**
+ * Patterns for the words and "quoted phrases" of a text search.
+ * Mongo stems words, so plain words match from their stem
+ * ("fractions" finds "fraction"); -excluded words are skipped.
+ */
+function searchPatterns(q) {
+  const patterns = [];
+  const rest = q.replace(/"([^"]+)"/g, (_, phrase) => {
+    patterns.push(new RegExp(escapeRegex(phrase.trim()), 'i'));
+    return ' ';
+  });
+
+  rest.split(/\s+/).forEach(word => {
+    if (!word || word.startsWith('-')) return;
+    const clean = word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    if (clean.length < 2) return;
+    const stem = clean.replace(/(ies|es|s|ing|ed)$/, '');
+    patterns.push(new RegExp(`\\b${escapeRegex(stem.length >= 3 ? stem : clean)}`, 'i'));
+  });
+
+  return patterns;
+}
+
+/**
+ * Where a text search matched inside a syllabus.
+ * Paths use the ids the editing routes take (outcomes by index).
+ * Returns: { matchCount, matches: [{ kind, path, topic, subtopic?, text }] }
+ */
+function findMatches(syllabus, q) {
+  const patterns = searchPatterns(q);
+  const matches = [];
+  let matchCount = 0;
+
+  const check = (kind, text, path, context) => {
+    if (!text || !patterns.some(pattern => pattern.test(text))) return;
+    matchCount++;
+    if (matches.length < MAX_MATCHES) matches.push({ kind, path, ...context, text });
+  };
+
+  (syllabus.topics || []).forEach(topic => {
+    const topicPath = { topicId: topic._id };
+    check('topic', topic.name, topicPath, { topic: topic.name });
+
+    (topic.subtopics || []).forEach(subtopic => {
+      const subtopicPath = { ...topicPath, subtopicId: subtopic._id };
+      const context = { topic: topic.name, subtopic: subtopic.name };
+      check('subtopic', subtopic.name, subtopicPath, context);
+
+      (subtopic.specificCompetences || []).forEach(competence => {
+        check('competence', competence.description, { ...subtopicPath, competenceId: competence._id }, context);
+      });
+
+      (subtopic.specificOutcomes || []).forEach((outcome, outcomeIndex) => {
+        check('outcome', outcome, { ...subtopicPath, outcomeIndex }, context);
+      });
+    });
+  });
+
+  return { matchCount, matches };
+}
+
+module.exports = {
+  buildSyllabusFilter,
+  pageLimit,
+  encodeCursor,
+  cursorFilter,
+  findMatches
+};
@@ -0,0 +1,424 @@
+/* ============================================================
+   SYLLABUS EXPORT & IMPORT
+   A stored syllabus as versioned JSON or as a flat CSV (one row
+   per competence/outcome under its topic and subtopic), and the
+   readers that turn either back into syllabus fields. Ministries
+   can ship corrected syllabi this way without going through the
+   Word/PDF parsers. The Word export is buildSyllabusDocx() in
+   services/docxExport.js.
+============================================================ */
+
+const { normaliseLevel } = require('./syllabusLevel');
+
+const SYLLABUS_FORMAT = 'edugen-syllabus';
+const SYLLABUS_FORMAT_VERSION = 1;
+
+const LEVEL_FIELDS = ['category', 'grade', 'form', 'yearRange', 'gradeRange'];
+
+// String lists stored on a subtopic, per curriculum
+const SUBTOPIC_LISTS = {
+  cbc: ['keyCompetences', 'resources'],
+  obc: ['specificOutcomes', 'knowledge', 'skills', 'values']
+};
+const COMPETENCE_LISTS = ['learningActivities', 'expectedStandards'];
+
+// CSV columns; list cells hold one item per line
+const METADATA_COLUMNS = ['subject', 'curriculum_type', 'category', 'grade', 'form', 'year_range'];
+const CSV_COLUMNS = {
+  cbc: [...METADATA_COLUMNS, 'topic', 'subtopic', 'specific_competence', 'learning_activities', 'expected_standards', 'key_competences', 'resources'],
+  obc: [...METADATA_COLUMNS, 'topic', 'subtopic', 'specific_outcome', 'knowledge', 'skills', 'values']
+};
+const COLUMN_FIELDS = {
+  curriculum_type: 'curriculumType',
+  year_range: 'yearRange',
+  learning_activities: 'learningActivities',
+  expected_standards: 'expectedStandards',
+  key_competences: 'keyCompetences'
+};
+const FIELD_COLUMNS = Object.fromEntries(Object.entries(COLUMN_FIELDS).map(([column, field]) => [field, column]));
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/* ---- Helper: Errors with a status the route can pass through ---- */
+function importError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/* ---- Helper: Level fields of a syllabus that are set ---- */
+function levelFields(syllabus) {
+  const level = {};
+  LEVEL_FIELDS.forEach(field => {
+    if (syllabus[field]) level[field] = syllabus[field];
+  });
+  return level;
+}
+
+/* ---- Helper: Subtopic without ids or the other curriculum's fields ---- */
+function exportSubtopic(subtopic, curriculumType) {
+  const exported = { name: subtopic.name };
+
+  if (curriculumType === 'cbc') {
+    exported.specificCompetences = (subtopic.specificCompetences || []).map(competence => ({
+      description: competence.description,
+      learningActivities: [...(competence.learningActivities || [])],
+      expectedStandards: [...(competence.expectedStandards || [])]
+    }));
+  }
+  SUBTOPIC_LISTS[curriculumType].forEach(field => {
+    exported[field] = [...(subtopic[field] || [])];
+  });
+  return exported;
+}
+
+/**
+ * Versioned JSON export of a syllabus (ids and ownership left out).
+ */
+function syllabusToJson(syllabus) {
+  return {
+    format: SYLLABUS_FORMAT,
+    version: SYLLABUS_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    syllabus: {
+      subject: syllabus.subject,
+      curriculumType: syllabus.curriculumType,
+      ...levelFields(syllabus),
+      topics: syllabus.topics.map(topic => ({
+        name: topic.name,
+        subtopics: topic.subtopics.map(subtopic => exportSubtopic(subtopic, syllabus.curriculumType))
+      }))
+    }
+  };
+}
+
+/* -----------------------------
+   VALIDATION (both import formats)
+------------------------------ */
+
+/* ---- Helper: Trimmed non-empty string, or an error naming the field ---- */
+function requiredText(value, path) {
+  if (typeof value !== 'string' || !value.trim()) throw importError(`${path} is required`);
+  return value.trim();
+}
+
+/* ---- Helper: List of trimmed non-empty strings ---- */
+function textList(value, path) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw importError(`${path} must be a list of text`);
+  return value.map((item, i) => {
+    if (typeof item !== 'string') throw importError(`${path}[${i}] must be text`);
+    return item.trim();
+  }).filter(Boolean);
+}
+
+/**
+ * Check imported syllabus fields and return a clean copy ready for
+ * Syllabus.create(): subject, curriculumType, level fields, topics.
+ * Throws a 400 error naming the first bad field.
+ */
+function normaliseImportedSyllabus(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw importError('Syllabus must be an object');
+
+  const curriculumType = data.curriculumType;
+  if (!['cbc', 'obc'].includes(curriculumType)) throw importError('curriculumType must be cbc or obc');
+
+  const subject = requiredText(data.subject, 'subject');
+  if (!Array.isArray(data.topics) || !data.topics.length) throw importError('topics must be a non-empty list');
+
+  const topics = data.topics.map((topic, t) => {
+    const path = `topics[${t}]`;
+    if (!topic || typeof topic !== 'object') throw importError(`${path} must be an object`);
+    if (topic.subtopics !== undefined && !Array.isArray(topic.subtopics)) throw importError(`${path}.subtopics must be a list`);
+
+    return {
+      name: requiredText(topic.name, `${path}.name`),
+      subtopics: (topic.subtopics || []).map((subtopic, s) => {
+        const subPath = `${path}.subtopics[${s}]`;
+        if (!subtopic || typeof subtopic !== 'object') throw importError(`${subPath} must be an object`);
+
+        const clean = { name: requiredText(subtopic.name, `${subPath}.name`) };
+        if (curriculumType === 'cbc') {
+          const competences = subtopic.specificCompetences || [];
+          if (!Array.isArray(competences)) throw importError(`${subPath}.specificCompetences must be a list`);
+          clean.specificCompetences = competences.map((competence, c) => {
+            const compPath = `${subPath}.specificCompetences[${c}]`;
+            if (!competence || typeof competence !== 'object') throw importError(`${compPath} must be an object`);
+            return {
+              description: requiredText(competence.description, `${compPath}.description`),
+              learningActivities: textList(competence.learningActivities, `${compPath}.learningActivities`),
+              expectedStandards: textList(competence.expectedStandards, `${compPath}.expectedStandards`)
+            };
+          });
+        }
+        SUBTOPIC_LISTS[curriculumType].forEach(field => {
+          clean[field] = textList(subtopic[field], `${subPath}.${field}`);
+        });
+        return clean;
+      })
+    };
+  });
+
+  const level = {};
+  LEVEL_FIELDS.forEach(field => {
+    if (data[field] === undefined || data[field] === null || data[field] === '') return;
+    if (typeof data[field] !== 'string' && typeof data[field] !== 'number') throw importError(`${field} must be text`);
+    level[field] = String(data[field]);
+  });
+
+  return { subject, curriculumType, ...normaliseLevel({ curriculumType, ...level }), topics };
+}
+
+/**
+ * Read a JSON export (object or text) back into syllabus fields.
+ * Older format versions are read; newer ones are refused.
+ */
+function syllabusFromJson(input) {
+  let data = input;
+  if (typeof input === 'string' || Buffer.isBuffer(input)) {
+    try {
+      data = JSON.parse(String(input).replace(/^﻿/, ''));
+    } catch (err) {
+      throw importError(`File is not valid JSON: ${err.message}`);
+    }
+  }
+
+  if (!data || data.format !== SYLLABUS_FORMAT) {
+    throw importError(`Not a syllabus export (expected "format": "${SYLLABUS_FORMAT}")`);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw importError('Syllabus export has no valid "version"');
+  }
+  if (data.version > SYLLABUS_FORMAT_VERSION) {
+    throw importError(`Syllabus export version ${data.version} is newer than this server supports (${SYLLABUS_FORMAT_VERSION})`);
+  }
+
+  return normaliseImportedSyllabus(data.syllabus);
+}
+
+/* -----------------------------
+   CSV
+------------------------------ */
+
+/* ---- Helper: One CSV cell; formula-like text gets a leading ' ---- */
+function csvCell(value) {
+  let text = Array.isArray(value) ? value.join('\n') : String(value ?? '');
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flat CSV export: one row per competence (CBC) or outcome (OBC),
+ * repeating the syllabus details, topic and subtopic on every row.
+ * Subtopic-level lists repeat on each of the subtopic's rows; a
+ * subtopic with no competences/outcomes still gets one row.
+ */
+function syllabusToCsv(syllabus) {
+  const { curriculumType } = syllabus;
+  const metadata = [
+    syllabus.subject, curriculumType, syllabus.category, syllabus.grade, syllabus.form, syllabus.yearRange
+  ];
+  const rows = [CSV_COLUMNS[curriculumType]];
+
+  syllabus.topics.forEach(topic => {
+    if (!topic.subtopics.length) {
+      rows.push([...metadata, topic.name]);
+      return;
+    }
+
+    topic.subtopics.forEach(subtopic => {
+      const path = [...metadata, topic.name, subtopic.name];
+
+      if (curriculumType === 'cbc') {
+        const shared = [subtopic.keyCompetences, subtopic.resources];
+        const competences = subtopic.specificCompetences.length ? subtopic.specificCompetences : [null];
+        competences.forEach(competence => rows.push(competence
+          ? [...path, competence.description, competence.learningActivities, competence.expectedStandards, ...shared]
+          : [...path, '', '', '', ...shared]));
+      } else {
+        const shared = [subtopic.knowledge, subtopic.skills, subtopic.values];
+        const outcomes = subtopic.specificOutcomes.length ? subtopic.specificOutcomes : [''];
+        outcomes.forEach(outcome => rows.push([...path, outcome, ...shared]));
+      }
+    });
+  });
+
+  // BOM so spreadsheet programs read the file as UTF-8
+  return `﻿${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Split CSV text (RFC 4180: quoted cells, "" escapes, line breaks
+ * inside quotes, CRLF or LF) into rows of cells.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const source = text.replace(/^﻿/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && !cell) {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw importError('CSV has an unclosed quoted cell');
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/* ---- Helper: Cell text with the export's formula guard removed ---- */
+function csvValue(text) {
+  const value = (text || '').trim();
+  return value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+/* ---- Helper: One list item per line ---- */
+function csvList(text) {
+  return csvValue(text).split(/\r?\n/).map(item => item.trim()).filter(Boolean);
+}
+
+/* ---- Helper: Add items to a list, skipping ones already there ---- */
+function addUnique(list, items) {
+  items.forEach(item => {
+    if (!list.includes(item)) list.push(item);
+  });
+}
+
+/**
+ * Read a CSV export back into syllabus fields. Columns are matched by
+ * header name (case and spacing ignored) and may come in any order.
+ * A blank topic or subtopic cell repeats the one above, and repeated
+ * subtopic-level lists are merged. `defaults` ({ subject, curriculumType,
+ * category, grade, form, yearRange }) fill in missing columns.
+ */
+function syllabusFromCsv(input, defaults = {}) {
+  const rows = parseCsv(String(input));
+  if (rows.length < 2) throw importError('CSV needs a header row and at least one data row');
+
+  // "Sub Topic", "sub_topic" and "Subtopics" all name the same column
+  const key = header => header.toLowerCase().replace(/[^a-z]/g, '').replace(/s$/, '');
+  const headers = new Map(rows[0].map((header, index) => [key(header), index]));
+  const columns = { has: column => headers.has(key(column)), get: column => headers.get(key(column)) };
+  ['topic', 'subtopic'].forEach(column => {
+    if (!columns.has(column)) throw importError(`CSV is missing the "${column}" column`);
+  });
+
+  const cell = (cells, column) => (columns.has(column) ? csvValue(cells[columns.get(column)]) : '');
+  const firstValue = column => {
+    const row = rows.slice(1).find(cells => cell(cells, column));
+    return row ? cell(row, column) : '';
+  };
+
+  let curriculumType = defaults.curriculumType || firstValue('curriculum_type').toLowerCase();
+  if (!curriculumType) {
+    if (columns.has('specific_competence')) curriculumType = 'cbc';
+    else if (columns.has('specific_outcome')) curriculumType = 'obc';
+  }
+  if (!['cbc', 'obc'].includes(curriculumType)) {
+    throw importError('Could not tell the curriculum type; add a curriculum_type column (cbc or obc)');
+  }
+
+  const metadata = { curriculumType };
+  METADATA_COLUMNS.filter(column => column !== 'curriculum_type').forEach(column => {
+    const field = COLUMN_FIELDS[column] || column;
+    const value = defaults[field] || firstValue(column);
+    if (value) metadata[field] = value;
+  });
+
+  const topics = [];
+  let topic = null;
+  let subtopic = null;
+
+  rows.slice(1).forEach((cells, i) => {
+    const line = i + 2;
+    const topicName = cell(cells, 'topic');
+    const subtopicName = cell(cells, 'subtopic');
+
+    if (topicName && (!topic || topic.name !== topicName)) {
+      topic = topics.find(t => t.name === topicName);
+      if (!topic) {
+        topic = { name: topicName, subtopics: [] };
+        topics.push(topic);
+      }
+      subtopic = null;
+    }
+    if (!topic) throw importError(`Row ${line}: topic is required`);
+
+    if (subtopicName && (!subtopic || subtopic.name !== subtopicName)) {
+      subtopic = topic.subtopics.find(s => s.name === subtopicName);
+      if (!subtopic) {
+        subtopic = curriculumType === 'cbc'
+          ? { name: subtopicName, specificCompetences: [], keyCompetences: [], resources: [] }
+          : { name: subtopicName, specificOutcomes: [], knowledge: [], skills: [], values: [] };
+        topic.subtopics.push(subtopic);
+      }
+    }
+
+    const lists = field => csvList(cells[columns.get(FIELD_COLUMNS[field] || field)]);
+    const leaf = cell(cells, curriculumType === 'cbc' ? 'specific_competence' : 'specific_outcome');
+    const hasDetail = leaf || SUBTOPIC_LISTS[curriculumType].some(field => field !== 'specificOutcomes' && lists(field).length);
+
+    if (!subtopic) {
+      if (hasDetail) throw importError(`Row ${line}: subtopic is required`);
+      return;
+    }
+
+    if (curriculumType === 'cbc') {
+      if (leaf) {
+        let competence = subtopic.specificCompetences.find(c => c.description === leaf);
+        if (!competence) {
+          competence = { description: leaf, learningActivities: [], expectedStandards: [] };
+          subtopic.specificCompetences.push(competence);
+        }
+        COMPETENCE_LISTS.forEach(field => addUnique(competence[field], lists(field)));
+      }
+      ['keyCompetences', 'resources'].forEach(field => addUnique(subtopic[field], lists(field)));
+    } else {
+      if (leaf) addUnique(subtopic.specificOutcomes, [leaf]);
+      ['knowledge', 'skills', 'values'].forEach(field => addUnique(subtopic[field], lists(field)));
+    }
+  });
+
+  return normaliseImportedSyllabus({ ...metadata, topics });
+}
+
+module.exports = {
+  SYLLABUS_FORMAT,
+  SYLLABUS_FORMAT_VERSION,
+  syllabusToJson,
+  syllabusFromJson,
+  syllabusToCsv,
+  syllabusFromCsv,
+  normaliseImportedSyllabus
+};
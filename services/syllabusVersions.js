@@ -0,0 +1,398 @@
+/* ============================================================
+   SYLLABUS VERSIONS
+   Revisions of the same curriculum form a lineage (school +
+   curriculum + level + subject) with numbered versions, one of
+   them active. diffSyllabi() compares two versions item by item,
+   by number and text; affectedMaterials() finds the saved
+   documents and question banks built on what changed.
+============================================================ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Syllabus = require('../models/Syllabus');
+const GeneratedDocument = require('../models/GeneratedDocument');
+const QuestionBank = require('../models/QuestionBank');
+const { syllabusToJson } = require('./syllabusTransfer');
+
+// Retries when two uploads of the same lineage race for a version number
+const CREATE_ATTEMPTS = 3;
+
+const LEVELS = [
+  { key: 'topics', label: 'Topic' },
+  { key: 'subtopics', label: 'Subtopic' },
+  { key: 'items' }
+];
+
+/* ---- Helper: Lower-case text with runs of spaces collapsed ---- */
+function clean(value) {
+  return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/* ---- Helper: Class level part of a lineage key ---- */
+function levelKey(syllabus) {
+  if (syllabus.form) return `form ${clean(syllabus.form)}`;
+  if (syllabus.grade) return `grade ${clean(syllabus.grade)}`;
+  if (syllabus.yearRange) return `years ${clean(syllabus.yearRange)}`;
+  return clean(syllabus.gradeRange);
+}
+
+/**
+ * Key shared by every revision of a curriculum, e.g.
+ * "cbc|primary|grade 4|mathematics". Scoped to a school by the queries.
+ */
+function lineageKey(syllabus) {
+  return [syllabus.curriculumType, clean(syllabus.category), levelKey(syllabus), clean(syllabus.subject)].join('|');
+}
+
+/**
+ * Fingerprint of a syllabus's topic tree (names, competences,
+ * outcomes and lists; ids and metadata ignored), so the same
+ * syllabus parsed from two different files compares equal.
+ * Stored on syllabi and drafts to find duplicates by query.
+ */
+function topicsFingerprint(syllabus) {
+  const { topics } = syllabusToJson(syllabus).syllabus;
+  return crypto.createHash('sha256').update(JSON.stringify(topics)).digest('hex');
+}
+
+/* ---- Helper: Filter for all versions in a syllabus's lineage ---- */
+function lineageFilter(syllabus) {
+  // Saved before versioning and not migrated yet: a lineage of one
+  if (!syllabus.lineage) return { _id: syllabus._id };
+  return { school: syllabus.school, lineage: syllabus.lineage };
+}
+
+/* ---- Helper: Clear the active flag on the rest of the lineage ---- */
+function deactivateOthers(syllabus) {
+  return Syllabus.updateMany(
+    { ...lineageFilter(syllabus), _id: { $ne: syllabus._id }, active: { $ne: false } },
+    { $set: { active: false } },
+    { timestamps: false }
+  );
+}
+
+/**
+ * Save syllabus fields as the next version of their lineage.
+ * The new version becomes the active one unless `activate` is false
+ * (the first version of a lineage is always active).
+ * Returns: the saved Syllabus document
+ */
+async function createSyllabusVersion(fields, { school, uploadedBy, activate = true }) {
+  const lineage = lineageKey(fields);
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await Syllabus.findOne({ school, lineage }).sort({ version: -1 }).select('version').lean();
+
+    try {
+      const syllabus = await Syllabus.create({
+        ...fields,
+        school,
+        uploadedBy,
+        lineage,
+        fingerprint: topicsFingerprint(fields),
+        version: latest ? latest.version + 1 : 1,
+        active: activate || !latest
+      });
+
+      if (syllabus.active) await deactivateOthers(syllabus);
+      return syllabus;
+    } catch (err) {
+      // Someone else took this version number; read the latest again
+      if (err.code !== 11000 || attempt >= CREATE_ATTEMPTS) throw err;
+    }
+  }
+}
+
+/**
+ * Make a syllabus the active version of its lineage.
+ * Returns: the updated lean syllabus
+ */
+async function activateVersion(syllabus) {
+  const updated = await Syllabus.findOneAndUpdate(
+    { _id: syllabus._id },
+    { $set: { active: true } },
+    { new: true, timestamps: false }
+  ).lean();
+
+  await deactivateOthers(syllabus);
+  return updated;
+}
+
+/**
+ * After the active version is deleted, the newest remaining version
+ * of its lineage takes over.
+ */
+async function replaceActive(deleted) {
+  if (!deleted.active || !deleted.lineage) return;
+
+  const latest = await Syllabus.findOne(lineageFilter(deleted)).sort({ version: -1 }).select('_id').lean();
+  if (latest) {
+    await Syllabus.updateOne({ _id: latest._id }, { $set: { active: true } }, { timestamps: false });
+  }
+}
+
+/* ---- Helper: Version before this one in its lineage (null for the first) ---- */
+function previousVersion(syllabus) {
+  if (!syllabus.lineage) return null;
+  return Syllabus.findOne({ ...lineageFilter(syllabus), version: { $lt: syllabus.version } })
+    .sort({ version: -1 })
+    .lean();
+}
+
+/* -----------------------------
+   DIFF
+------------------------------ */
+
+/* ---- Helper: "1.2.3 Adding fractions" -> { number: '1.2.3', text: 'Adding fractions' } ---- */
+function splitNumber(name) {
+  const text = String(name || '').trim();
+  const match = text.match(/^(\d+(?:\.\d+)+)\.?\s*(.*)$/s);
+  return match ? { number: match[1], text: match[2].trim() } : { number: null, text };
+}
+
+/* ---- Helper: One topic/subtopic/item of a syllabus, flattened for matching ---- */
+function node(name, path, parent) {
+  const { number, text } = splitNumber(name);
+  return {
+    name,
+    number,
+    key: text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim(),
+    path,
+    parent
+  };
+}
+
+/* ---- Helper: Every topic, subtopic and competence/outcome of a syllabus ---- */
+function flatten(syllabus) {
+  const levels = { topics: [], subtopics: [], items: [] };
+
+  syllabus.topics.forEach(topic => {
+    const topicNode = node(topic.name, { topicId: topic._id }, null);
+    levels.topics.push(topicNode);
+
+    topic.subtopics.forEach(subtopic => {
+      const subtopicNode = node(subtopic.name, { topicId: topic._id, subtopicId: subtopic._id }, topicNode);
+      levels.subtopics.push(subtopicNode);
+
+      if (syllabus.curriculumType === 'cbc') {
+        subtopic.specificCompetences.forEach(competence => levels.items.push(node(
+          competence.description,
+          { topicId: topic._id, subtopicId: subtopic._id, competenceId: competence._id },
+          subtopicNode
+        )));
+      } else {
+        subtopic.specificOutcomes.forEach((outcome, outcomeIndex) => levels.items.push(node(
+          outcome,
+          { topicId: topic._id, subtopicId: subtopic._id, outcomeIndex },
+          subtopicNode
+        )));
+      }
+    });
+  });
+
+  return levels;
+}
+
+/**
+ * Pair up the nodes of one level. Same text first (preferring the
+ * same number, then the same parent), then same number with new text.
+ * `parentPairs` maps the level above's old nodes to their new ones.
+ */
+function matchNodes(before, after, parentPairs) {
+  const pairs = new Map();
+  const unmatched = new Set(after);
+  const take = (oldNode, newNode) => {
+    pairs.set(oldNode, newNode);
+    unmatched.delete(newNode);
+  };
+
+  before.forEach(oldNode => {
+    const candidates = after.filter(newNode => unmatched.has(newNode) && newNode.key === oldNode.key);
+    const best = candidates.find(newNode => oldNode.number && newNode.number === oldNode.number) ||
+      candidates.find(newNode => newNode.parent && parentPairs.get(oldNode.parent) === newNode.parent) ||
+      candidates[0];
+    if (best) take(oldNode, best);
+  });
+
+  before.forEach(oldNode => {
+    if (pairs.has(oldNode) || !oldNode.number) return;
+    const sameNumber = after.find(newNode => unmatched.has(newNode) && newNode.number === oldNode.number);
+    if (sameNumber) take(oldNode, sameNumber);
+  });
+
+  return { pairs, unmatched };
+}
+
+/* ---- Helper: How a node is reported ---- */
+function describe(entry) {
+  const described = { number: entry.number, name: entry.name, path: entry.path };
+  if (entry.parent) {
+    const topic = entry.parent.parent || entry.parent;
+    described.topic = topic.name;
+    if (entry.parent.parent) described.subtopic = entry.parent.name;
+  }
+  return described;
+}
+
+/* ---- Helper: Human-readable change, e.g. 'Subtopic "1.2 Fractions" renamed to "1.2 Decimals"' ---- */
+function changeText(label, kind, oldNode, newNode) {
+  if (kind === 'renamed') return `${label} "${oldNode.name}" renamed to "${newNode.name}"`;
+  if (kind === 'moved') {
+    const parent = newNode.parent ? ` under "${newNode.parent.name}"` : '';
+    return `${label} "${oldNode.name}" moved${newNode.number ? ` to ${newNode.number}` : ''}${parent}`;
+  }
+  return `${label} "${(oldNode || newNode).name}" ${kind}`;
+}
+
+/**
+ * Compare two syllabi of the same curriculum. Items are matched by
+ * their text, then by their number ("1.2.3"):
+ * - renamed: same number, different text
+ * - moved: same text under another number or parent
+ * - added / removed: no match on the other side
+ * Returns: { topics, subtopics, competences | outcomes, summary, changed },
+ * each level as { added, removed, renamed, moved }; renamed and moved
+ * entries are { from, to }. Paths are topic/subtopic/competence ids
+ * (or outcomeIndex) in `from` (removed) or `to` (added).
+ */
+function diffSyllabi(from, to) {
+  const before = flatten(from);
+  const after = flatten(to);
+  const cbc = from.curriculumType === 'cbc';
+  const diff = { summary: {}, changed: false };
+
+  // Changes against the topic/subtopic ids of `from`, for affectedMaterials()
+  const touched = [];
+  const touch = (oldNode, text) => {
+    if (oldNode) touched.push({ path: oldNode.path, text });
+  };
+
+  let parentPairs = new Map();
+
+  LEVELS.forEach(({ key, label = cbc ? 'Competence' : 'Outcome' }) => {
+    const { pairs, unmatched } = matchNodes(before[key], after[key], parentPairs);
+    const oldParent = new Map([...parentPairs].map(([oldNode, newNode]) => [newNode, oldNode]));
+    const changes = { added: [], removed: [], renamed: [], moved: [] };
+
+    before[key].forEach(oldNode => {
+      const newNode = pairs.get(oldNode);
+      if (!newNode) {
+        changes.removed.push(describe(oldNode));
+        touch(oldNode, changeText(label, 'removed', oldNode));
+        return;
+      }
+
+      if (newNode.key !== oldNode.key) {
+        changes.renamed.push({ from: describe(oldNode), to: describe(newNode) });
+        touch(oldNode, changeText(label, 'renamed', oldNode, newNode));
+      }
+
+      // Under the same parent only the item's own place counts, so
+      // renumbering a topic does not move everything inside it
+      const parentChanged = oldNode.parent && parentPairs.get(oldNode.parent) !== newNode.parent;
+      const place = entry => (entry.parent ? entry.number.split('.').pop() : entry.number);
+      if (parentChanged || (oldNode.number && newNode.number && place(oldNode) !== place(newNode))) {
+        const text = changeText(label, 'moved', oldNode, newNode);
+        changes.moved.push({ from: describe(oldNode), to: describe(newNode) });
+        touch(oldNode, text);
+        if (parentChanged) touch(oldParent.get(newNode.parent), text);
+      }
+    });
+
+    after[key].forEach(newNode => {
+      if (!unmatched.has(newNode)) return;
+      changes.added.push(describe(newNode));
+      touch(oldParent.get(newNode.parent), changeText(label, 'added', null, newNode));
+    });
+
+    const name = key === 'items' ? (cbc ? 'competences' : 'outcomes') : key;
+    diff[name] = changes;
+    diff.summary[name] = Object.fromEntries(Object.entries(changes).map(([kind, list]) => [kind, list.length]));
+    if (Object.values(changes).some(list => list.length)) diff.changed = true;
+
+    parentPairs = pairs;
+  });
+
+  // Kept out of the JSON response
+  Object.defineProperty(diff, 'touched', { value: touched });
+  return diff;
+}
+
+/* -----------------------------
+   AFFECTED MATERIALS
+------------------------------ */
+
+/* ---- Helper: Note a change against an id of `from` ---- */
+function note(map, id, text) {
+  if (id === undefined || id === null) return;
+  const key = String(id);
+  if (!map.has(key)) map.set(key, []);
+  if (!map.get(key).includes(text)) map.get(key).push(text);
+}
+
+/* ---- Helper: Changes behind one topic/subtopic reference ---- */
+function changesFor({ topicId, subtopicId }, { bySubtopic, byTopic }) {
+  if (subtopicId) return bySubtopic.get(String(subtopicId)) || [];
+  return (topicId && byTopic.get(String(topicId))) || [];
+}
+
+/**
+ * Saved documents and question banks of a school, built on `from`,
+ * that cover something the diff changed: a subtopic-level document is
+ * out of date when anything inside its subtopic changed, a topic-level
+ * one when anything inside the topic did. Each comes with the changes
+ * that touch it.
+ * Returns: { documents, questionBanks }
+ */
+async function affectedMaterials(from, diff, school) {
+  const changes = { bySubtopic: new Map(), byTopic: new Map() };
+  diff.touched.forEach(({ path, text }) => {
+    note(changes.bySubtopic, path.subtopicId, text);
+    note(changes.byTopic, path.topicId, text);
+  });
+
+  const ids = map => [...map.keys()].map(id => new mongoose.Types.ObjectId(id));
+  const subtopicIds = ids(changes.bySubtopic);
+  const topicIds = ids(changes.byTopic);
+
+  if (!topicIds.length) return { documents: [], questionBanks: [] };
+
+  const [documents, questionBanks] = await Promise.all([
+    GeneratedDocument.find({
+      syllabus: from._id,
+      school,
+      $or: [
+        { subtopicId: { $in: subtopicIds } },
+        { subtopicId: null, topicId: { $in: topicIds } },
+        // Schemes of work cover many topics in their week plan
+        { 'plan.weeks.entries.subtopicId': { $in: subtopicIds } },
+        { 'plan.weeks.entries': { $elemMatch: { subtopicId: null, topicId: { $in: topicIds } } } }
+      ]
+    }).select('title documentType topicId subtopicId plan.weeks.entries.topicId plan.weeks.entries.subtopicId updatedAt').lean(),
+    QuestionBank.find({ syllabus: from._id, school, 'subtopics.subtopicId': { $in: subtopicIds } })
+      .select('title assessmentType subtopics updatedAt')
+      .lean()
+  ]);
+
+  const collect = refs => [...new Set(refs.flatMap(ref => changesFor(ref, changes)))];
+
+  return {
+    documents: documents.map(({ plan, ...document }) => ({
+      ...document,
+      changes: collect([document, ...(plan && plan.weeks ? plan.weeks.flatMap(week => week.entries || []) : [])])
+    })),
+    questionBanks: questionBanks.map(({ subtopics, ...bank }) => ({ ...bank, changes: collect(subtopics) }))
+  };
+}
+
+module.exports = {
+  lineageKey,
+  topicsFingerprint,
+  lineageFilter,
+  createSyllabusVersion,
+  activateVersion,
+  replaceActive,
+  previousVersion,
+  diffSyllabi,
+  affectedMaterials
+};
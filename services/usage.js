@@ -0,0 +1,178 @@
+/* ============================================================
+   AI USAGE ACCOUNTING & QUOTAS
+   Every model call is recorded against the user and school.
+   Quotas are token limits per UTC day and calendar month.
+
+   Deployment defaults (environment, 0 or unset = unlimited):
+   - SCHOOL_DAILY_TOKEN_QUOTA, SCHOOL_MONTHLY_TOKEN_QUOTA
+   - USER_DAILY_TOKEN_QUOTA,   USER_MONTHLY_TOKEN_QUOTA
+   A school's own `quotas` values override these.
+============================================================ */
+
+const UsageRecord = require('../models/UsageRecord');
+const School = require('../models/School');
+
+/* ---- Helper: Start of the current UTC day / month and the next reset ---- */
+function periodBounds(now = new Date()) {
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return {
+    dayStart,
+    monthStart,
+    dayReset: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000),
+    monthReset: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  };
+}
+
+/* ---- Helper: School override, else environment default; 0 means unlimited ---- */
+function limitFor(override, envName) {
+  const value = override !== null && override !== undefined
+    ? override
+    : parseInt(process.env[envName], 10);
+  return value > 0 ? value : null;
+}
+
+/* ---- Helper: Tokens used today and this month for one filter ---- */
+async function usedTokens(match, { dayStart, monthStart }) {
+  const [totals] = await UsageRecord.aggregate([
+    { $match: { ...match, createdAt: { $gte: monthStart } } },
+    {
+      $group: {
+        _id: null,
+        month: { $sum: '$totalTokens' },
+        day: { $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, '$totalTokens', 0] } }
+      }
+    }
+  ]);
+  return totals || { day: 0, month: 0 };
+}
+
+/**
+ * Current usage and limits for a user and their school.
+ * Returns: { quotas: [{ scope, period, limit, used, remaining, resetAt }], exceeded }
+ * `exceeded` is the first quota that has run out, or null.
+ */
+async function getQuotaStatus({ school, user }) {
+  const bounds = periodBounds();
+  const [schoolDoc, schoolUsed, userUsed] = await Promise.all([
+    School.findById(school).select('quotas').lean(),
+    usedTokens({ school }, bounds),
+    usedTokens({ user }, bounds)
+  ]);
+  const overrides = schoolDoc?.quotas || {};
+
+  const quota = (scope, period, limit, used) => ({
+    scope,
+    period,
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    resetAt: period === 'day' ? bounds.dayReset : bounds.monthReset
+  });
+
+  const quotas = [
+    quota('user', 'day', limitFor(overrides.userDailyTokens, 'USER_DAILY_TOKEN_QUOTA'), userUsed.day),
+    quota('user', 'month', limitFor(overrides.userMonthlyTokens, 'USER_MONTHLY_TOKEN_QUOTA'), userUsed.month),
+    quota('school', 'day', limitFor(overrides.dailyTokens, 'SCHOOL_DAILY_TOKEN_QUOTA'), schoolUsed.day),
+    quota('school', 'month', limitFor(overrides.monthlyTokens, 'SCHOOL_MONTHLY_TOKEN_QUOTA'), schoolUsed.month)
+  ];
+
+  return {
+    quotas,
+    exceeded: quotas.find(q => q.limit !== null && q.remaining <= 0) || null
+  };
+}
+
+/**
+ * Express middleware (after requireAuth): reject with 429 once a quota is used up.
+ */
+async function enforceQuota(req, res, next) {
+  try {
+    const { quotas, exceeded } = await getQuotaStatus({ school: req.user.school, user: req.user.id });
+
+    if (exceeded) {
+      const retryAfter = Math.ceil((exceeded.resetAt.getTime() - Date.now()) / 1000);
+      const who = exceeded.scope === 'user' ? 'Your' : 'Your school\'s';
+      const period = exceeded.period === 'day' ? 'daily' : 'monthly';
+
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `${who} ${period} AI usage limit has been reached. It resets at ${exceeded.resetAt.toISOString()}.`,
+        quota: exceeded,
+        quotas
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error('❌ Quota check error:', err);
+    res.status(500).json({ error: 'Failed to check AI usage quota' });
+  }
+}
+
+/**
+ * Record the tokens spent by one model call. Never throws: accounting
+ * problems are logged rather than failing the teacher's request.
+ */
+async function recordUsage({ school, user, provider, model, usage, purpose }) {
+  try {
+    const inputTokens = usage?.inputTokens || 0;
+    const outputTokens = usage?.outputTokens || 0;
+
+    await UsageRecord.create({
+      school,
+      user,
+      provider,
+      model,
+      purpose,
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens
+    });
+  } catch (err) {
+    console.error('❌ Failed to record AI usage:', err.message);
+  }
+}
+
+/**
+ * Usage totals between two dates, grouped by `groupBy` (school, user, day or model).
+ * `match` narrows the records, e.g. { school } for a single school.
+ */
+async function usageReport({ match = {}, from, to, groupBy }) {
+  const groupKeys = {
+    school: '$school',
+    user: '$user',
+    model: '$model',
+    day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+  };
+
+  const rows = await UsageRecord.aggregate([
+    { $match: { ...match, createdAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: groupKeys[groupBy],
+        requests: { $sum: 1 },
+        inputTokens: { $sum: '$inputTokens' },
+        outputTokens: { $sum: '$outputTokens' },
+        totalTokens: { $sum: '$totalTokens' }
+      }
+    },
+    { $sort: { totalTokens: -1 } }
+  ]);
+
+  const totals = rows.reduce((sum, row) => ({
+    requests: sum.requests + row.requests,
+    inputTokens: sum.inputTokens + row.inputTokens,
+    outputTokens: sum.outputTokens + row.outputTokens,
+    totalTokens: sum.totalTokens + row.totalTokens
+  }), { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0 });
+
+  return { rows, totals };
+}
+
+module.exports = {
+  getQuotaStatus,
+  enforceQuota,
+  recordUsage,
+  usageReport
+};